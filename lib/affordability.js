@@ -0,0 +1,230 @@
+// Purchase costs and mortgage affordability for a Victorian property, shared by the browser
+// (window.PropertyAffordability) and the server (require). Keep this file free of Node or DOM APIs.
+//
+// Land transfer duty follows the State Revenue Office rates for contracts from 1 July 2023 (update
+// DUTY_BRACKETS and the thresholds below when they change):
+//   general   - every purchase
+//   ppr       - principal place of residence concession, dutiable value $130,000 to $550,000
+//   fhb       - first home buyer: exempt up to $600,000, concession sliding to nil at $750,000
+// LMI is a rough band by LVR, not a lender quote; lenders' premiums vary with loan size and insurer.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PropertyAffordability = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // [from, base duty at `from`, rate on the amount over `from`]; `rateOfTotal` brackets charge the whole value
+    const DUTY_BRACKETS = [
+        { from: 0, base: 0, rate: 0.014 },
+        { from: 25000, base: 350, rate: 0.024 },
+        { from: 130000, base: 2870, rate: 0.06 },
+        { from: 960000, rateOfTotal: 0.055 },
+        { from: 2000000, base: 110000, rate: 0.065 }
+    ];
+    const PPR_BRACKETS = [
+        { from: 130000, base: 2870, rate: 0.05 },
+        { from: 440000, base: 18370, rate: 0.06 }
+    ];
+    const PPR_MAX = 550000;
+    const FHB_EXEMPT_MAX = 600000;
+    const FHB_CONCESSION_MAX = 750000;
+
+    // Upper LVR (%) of each band and the premium as a share of the loan
+    const LMI_BANDS = [
+        { maxLvr: 80, band: 'none', ratePct: 0 },
+        { maxLvr: 85, band: 'low', ratePct: 1.0 },
+        { maxLvr: 90, band: 'moderate', ratePct: 2.0 },
+        { maxLvr: 95, band: 'high', ratePct: 3.5 }
+    ];
+    // Above this LVR no LMI is offered and most lenders will not lend
+    const MAX_LVR_PCT = LMI_BANDS[LMI_BANDS.length - 1].maxLvr;
+
+    const DEFAULTS = {
+        depositPct: 20,
+        interestRatePct: 6.0,
+        loanTermYears: 30,
+        bufferPct: 3, // APRA serviceability buffer added to the rate for the stress-tested repayment
+        otherCosts: 3000, // conveyancing, inspections, transfer and mortgage registration (rough)
+        firstHomeBuyer: false,
+        principalResidence: true,
+        lmiCapitalised: true
+    };
+
+    function roundDollars(value) {
+        return Math.round(value);
+    }
+
+    function bracketDuty(value, brackets) {
+        const bracket = brackets.filter(b => value >= b.from).pop();
+        if (!bracket) return 0;
+        if (bracket.rateOfTotal != null) return value * bracket.rateOfTotal;
+        return bracket.base + (value - bracket.from) * bracket.rate;
+    }
+
+    // { amount, basis, generalAmount, saving } for a dutiable value. basis: 'general', 'ppr',
+    // 'fhb-exemption' or 'fhb-concession'
+    function landTransferDuty(value, { firstHomeBuyer = false, principalResidence = true } = {}) {
+        const general = roundDollars(bracketDuty(value, DUTY_BRACKETS));
+        let amount = general;
+        let basis = 'general';
+        if (firstHomeBuyer && value <= FHB_EXEMPT_MAX) {
+            amount = 0;
+            basis = 'fhb-exemption';
+        } else if (firstHomeBuyer && value <= FHB_CONCESSION_MAX) {
+            amount = roundDollars(general * (value - FHB_EXEMPT_MAX) / (FHB_CONCESSION_MAX - FHB_EXEMPT_MAX));
+            basis = 'fhb-concession';
+        } else if (principalResidence && value >= PPR_BRACKETS[0].from && value <= PPR_MAX) {
+            amount = roundDollars(bracketDuty(value, PPR_BRACKETS));
+            basis = 'ppr';
+        }
+        return { amount, basis, generalAmount: general, saving: general - amount };
+    }
+
+    // { band, ratePct, amount } for a loan at an LVR (%); band 'unavailable' above 95%
+    function estimateLmi(loan, lvrPct) {
+        const band = LMI_BANDS.find(b => lvrPct <= b.maxLvr);
+        if (!band) return { band: 'unavailable', ratePct: null, amount: null };
+        return { band: band.band, ratePct: band.ratePct, amount: roundDollars(loan * band.ratePct / 100) };
+    }
+
+    // Principal and interest repayment per month
+    function monthlyRepayment(principal, annualRatePct, termYears) {
+        const n = termYears * 12;
+        const r = annualRatePct / 100 / 12;
+        if (principal <= 0) return 0;
+        if (r === 0) return principal / n;
+        return principal * r / (1 - Math.pow(1 + r, -n));
+    }
+
+    function toNumber(value) {
+        if (value === '' || value == null) return null;
+        const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,\s]/g, ''));
+        return Number.isFinite(n) ? n : NaN;
+    }
+
+    function toBool(value, fallback) {
+        if (value == null || value === '') return fallback;
+        if (value === true || /^(1|true|yes)$/i.test(String(value))) return true;
+        if (value === false || /^(0|false|no)$/i.test(String(value))) return false;
+        return undefined;
+    }
+
+    // Check calculator inputs (query string, JSON body or a profile's finance fields).
+    // Returns { input, errors }; input is only usable when errors is empty.
+    function validateInputs(src) {
+        const raw = src || {};
+        const errors = [];
+        const input = {};
+
+        input.price = toNumber(raw.price);
+        if (input.price == null) errors.push('price is required');
+        else if (Number.isNaN(input.price) || input.price <= 0) errors.push('price must be a positive number');
+
+        for (const [key, max] of [['deposit', Infinity], ['depositPct', 100], ['interestRatePct', 30], ['otherCosts', Infinity]]) {
+            const value = toNumber(raw[key]);
+            if (Number.isNaN(value) || (value != null && (value < 0 || value > max))) {
+                errors.push(`${key} must be a number from 0${max !== Infinity ? ` to ${max}` : ''}`);
+            }
+            input[key] = value;
+        }
+        const term = toNumber(raw.loanTermYears);
+        if (Number.isNaN(term) || (term != null && (!Number.isInteger(term) || term < 1 || term > 40))) {
+            errors.push('loanTermYears must be a whole number of years from 1 to 40');
+        }
+        input.loanTermYears = term;
+
+        for (const key of ['firstHomeBuyer', 'principalResidence', 'lmiCapitalised']) {
+            input[key] = toBool(raw[key], DEFAULTS[key]);
+            if (input[key] === undefined) errors.push(`${key} must be true or false`);
+        }
+        return { input, errors };
+    }
+
+    // Full cost breakdown for a validated input. deposit (dollars) wins over depositPct; both default
+    // to DEFAULTS.depositPct of the price. The deposit is capped at the price.
+    function calculateAffordability(input) {
+        const price = input.price;
+        const interestRatePct = input.interestRatePct != null ? input.interestRatePct : DEFAULTS.interestRatePct;
+        const loanTermYears = input.loanTermYears != null ? input.loanTermYears : DEFAULTS.loanTermYears;
+        const otherCosts = input.otherCosts != null ? input.otherCosts : DEFAULTS.otherCosts;
+        const firstHomeBuyer = input.firstHomeBuyer != null ? input.firstHomeBuyer : DEFAULTS.firstHomeBuyer;
+        const principalResidence = input.principalResidence != null ? input.principalResidence : DEFAULTS.principalResidence;
+        const lmiCapitalised = input.lmiCapitalised != null ? input.lmiCapitalised : DEFAULTS.lmiCapitalised;
+
+        const deposit = roundDollars(Math.min(price, input.deposit != null
+            ? input.deposit
+            : price * (input.depositPct != null ? input.depositPct : DEFAULTS.depositPct) / 100));
+        const duty = landTransferDuty(price, { firstHomeBuyer, principalResidence });
+        const baseLoan = price - deposit;
+        const lvrPct = Math.round(baseLoan / price * 1000) / 10;
+        const lmi = { ...estimateLmi(baseLoan, lvrPct), capitalised: lmiCapitalised };
+        const lmiAmount = lmi.amount || 0;
+        const loan = baseLoan + (lmiCapitalised ? lmiAmount : 0);
+
+        const monthly = monthlyRepayment(loan, interestRatePct, loanTermYears);
+        const bufferedRatePct = Math.round((interestRatePct + DEFAULTS.bufferPct) * 100) / 100;
+        const upfrontCash = deposit + duty.amount + otherCosts + (lmiCapitalised ? 0 : lmiAmount);
+
+        return {
+            price,
+            deposit,
+            depositPct: Math.round(deposit / price * 1000) / 10,
+            duty,
+            otherCosts,
+            lmi,
+            loan,
+            lvrPct,
+            repayment: {
+                interestRatePct,
+                loanTermYears,
+                monthly: roundDollars(monthly),
+                bufferedRatePct,
+                bufferedMonthly: roundDollars(monthlyRepayment(loan, bufferedRatePct, loanTermYears)),
+                totalInterest: roundDollars(monthly * loanTermYears * 12 - loan)
+            },
+            upfrontCash,
+            // Price plus every cost of buying: duty, other costs and LMI however it is paid (none when not financeable)
+            totalCost: price + duty.amount + otherCosts + lmiAmount,
+            // false above MAX_LVR_PCT: the deposit is too small for LMI, so the purchase cannot be financed as set up
+            financeable: lmi.band !== 'unavailable'
+        };
+    }
+
+    // Calculator input from a buyer profile's finance fields for a given price
+    function profileFinance(profile, price) {
+        const p = profile || {};
+        return {
+            price,
+            deposit: p.deposit != null ? p.deposit : null,
+            interestRatePct: p.interestRatePct != null ? p.interestRatePct : null,
+            loanTermYears: p.loanTermYears != null ? p.loanTermYears : null,
+            firstHomeBuyer: !!p.firstHomeBuyer,
+            principalResidence: true
+        };
+    }
+
+    const DUTY_BASIS_LABELS = {
+        general: 'general rates',
+        ppr: 'PPR concession',
+        'fhb-exemption': 'first home buyer exemption',
+        'fhb-concession': 'first home buyer concession'
+    };
+
+    return {
+        DUTY_BRACKETS,
+        PPR_MAX,
+        FHB_EXEMPT_MAX,
+        FHB_CONCESSION_MAX,
+        LMI_BANDS,
+        MAX_LVR_PCT,
+        DEFAULTS,
+        DUTY_BASIS_LABELS,
+        landTransferDuty,
+        estimateLmi,
+        monthlyRepayment,
+        validateInputs,
+        calculateAffordability,
+        profileFinance
+    };
+});
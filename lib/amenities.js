@@ -0,0 +1,98 @@
+// Everyday amenities within walking distance of a point, from the configured POI search (Overpass, or a
+// local OSM extract with POI_SEARCH=local), and a 0-100 amenity score derived from the counts. Used by
+// GET /api/amenities and scripts/precompute-amenities.js, which stores a compact record per suburb as
+// suburbs.json `walkability`.
+//
+// Each category counts places within its own walking radius (800 m is about 10 minutes on foot) and
+// earns full marks at `target` places; the score is the weighted mean over categories.
+
+const providers = require('./providers');
+const { haversineKm } = require('./geo');
+
+const CATEGORIES = {
+    supermarket: { label: 'Supermarkets', filters: ['shop=supermarket'], radiusM: 1000, target: 2, weight: 3 },
+    gp: { label: 'GPs', filters: ['amenity=doctors', 'healthcare=doctor'], radiusM: 1000, target: 2, weight: 2 },
+    park: { label: 'Parks', filters: ['leisure=park'], radiusM: 800, target: 3, weight: 2 },
+    playground: { label: 'Playgrounds', filters: ['leisure=playground'], radiusM: 800, target: 2, weight: 1 },
+    cafe: { label: 'Cafés', filters: ['amenity=cafe'], radiusM: 800, target: 5, weight: 1 },
+    library: { label: 'Libraries', filters: ['amenity=library'], radiusM: 1500, target: 1, weight: 1 },
+    childcare: { label: 'Childcare', filters: ['amenity=childcare', 'amenity=kindergarten'], radiusM: 1000, target: 2, weight: 1 }
+};
+
+const SEARCH_RADIUS_M = Math.max(...Object.values(CATEGORIES).map(c => c.radiusM));
+const KEEP_TAGS = ['name', 'shop', 'amenity', 'leisure', 'healthcare'];
+const NEAREST_EXAMPLES = 3;
+const STORED_EXAMPLES = 2;
+
+function matchesFilter(tags, filter) {
+    const [key, value] = filter.split('=');
+    return tags[key] === value;
+}
+
+// 0-100 from { [category]: { count } }
+function amenityScore(counts) {
+    let total = 0;
+    let weights = 0;
+    Object.entries(CATEGORIES).forEach(([key, c]) => {
+        const count = counts[key] ? counts[key].count : 0;
+        total += c.weight * Math.min(1, count / c.target);
+        weights += c.weight;
+    });
+    return Math.round((total / weights) * 100);
+}
+
+// Counts and nearest places per category from POI search results around a point:
+// { score, categories: { [key]: { label, radiusM, count, nearest: [{ name, distanceM }] } } }
+function summarizeAmenities(lat, lon, elements) {
+    const categories = {};
+    Object.entries(CATEGORIES).forEach(([key, c]) => {
+        const found = elements
+            .filter(el => el.tags && c.filters.some(f => matchesFilter(el.tags, f)))
+            .map(el => ({ name: el.tags.name || null, distanceM: Math.round(haversineKm(lat, lon, el.lat, el.lon) * 1000) }))
+            .filter(p => p.distanceM <= c.radiusM)
+            .sort((a, b) => a.distanceM - b.distanceM);
+        categories[key] = { label: c.label, radiusM: c.radiusM, count: found.length, nearest: found.slice(0, NEAREST_EXAMPLES) };
+    });
+    return { score: amenityScore(categories), categories };
+}
+
+// Whether the POI search can answer amenity queries: Overpass always, the local search only with an
+// OSM extract in place (its fallback derived from suburbs.json has stops and nothing else)
+function amenitySearchAvailable(poi = providers.poi) {
+    return typeof poi.hasExtract !== 'function' || poi.hasExtract();
+}
+
+async function amenitiesNear(lat, lon, poi = providers.poi) {
+    const elements = await poi.search({
+        kind: 'amenities',
+        lat,
+        lon,
+        radiusM: SEARCH_RADIUS_M,
+        filters: [...new Set(Object.values(CATEGORIES).flatMap(c => c.filters))],
+        keepTags: KEEP_TAGS,
+        areas: true
+    });
+    return summarizeAmenities(lat, lon, elements);
+}
+
+// Compact per-suburb record for suburbs.json: { score, categories: { [key]: { count, radiusM, nearest } }, updated }
+function walkabilityRecord(summary, updated = new Date().toISOString().slice(0, 10)) {
+    return {
+        score: summary.score,
+        categories: Object.fromEntries(Object.entries(summary.categories).map(([key, c]) => [
+            key,
+            { count: c.count, radiusM: c.radiusM, nearest: c.nearest.slice(0, STORED_EXAMPLES) }
+        ])),
+        updated
+    };
+}
+
+module.exports = {
+    CATEGORIES,
+    SEARCH_RADIUS_M,
+    amenityScore,
+    summarizeAmenities,
+    amenitySearchAvailable,
+    amenitiesNear,
+    walkabilityRecord
+};
@@ -0,0 +1,224 @@
+// Growth and risk analytics from a suburb's yearly medians (lib/price-series.js yearlySeries), for
+// GET /api/suburbs/:name/analytics and GET /api/analytics/rankings.
+//
+//   cagr         - compound annual growth over the last 3, 5 and 10 years (%), null without both end points
+//   volatility   - standard deviation of the year-on-year changes (%), needs 3 or more changes
+//   maxDrawdown  - largest peak-to-trough fall (%) with its years and, once the median regains the
+//                  peak, the years the recovery took (from the trough)
+//   fromPeak     - how far the latest median sits below the all-time high (%; 0 at a new high)
+//   vsMelbourne  - CAGR minus the Melbourne benchmark for the same window (percentage points). The
+//                  benchmark is the median CAGR of Greater Melbourne suburbs with data for that window,
+//                  so every window compares like with like.
+
+const { yearlySeries } = require('./price-series');
+
+const CAGR_WINDOWS = [3, 5, 10];
+
+// Ranking keys -> value getter. Drawdown and fromPeak are positive percentages (bigger = worse)
+const RANK_METRICS = {
+    cagr3: a => a.cagr[3],
+    cagr5: a => a.cagr[5],
+    cagr10: a => a.cagr[10],
+    vsMelbourne3: a => a.vsMelbourne[3],
+    vsMelbourne5: a => a.vsMelbourne[5],
+    vsMelbourne10: a => a.vsMelbourne[10],
+    volatility: a => a.volatility,
+    maxDrawdown: a => (a.maxDrawdown ? a.maxDrawdown.pct : null),
+    recoveryYears: a => (a.maxDrawdown ? a.maxDrawdown.recoveryYears : null),
+    fromPeak: a => (a.fromPeak ? a.fromPeak.pct : null)
+};
+
+const MAX_LIMIT = 500;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function cagr(points, years) {
+    const last = points[points.length - 1];
+    const base = points.find(p => Number(p.period) === Number(last.period) - years);
+    if (!base || !(base.median > 0)) return null;
+    return round1((Math.pow(last.median / base.median, 1 / years) - 1) * 100);
+}
+
+// Year-on-year changes between consecutive years only (gaps are skipped)
+function annualChanges(points) {
+    const changes = [];
+    for (let i = 1; i < points.length; i++) {
+        if (Number(points[i].period) - Number(points[i - 1].period) === 1 && points[i - 1].median > 0) {
+            changes.push((points[i].median / points[i - 1].median - 1) * 100);
+        }
+    }
+    return changes;
+}
+
+function volatility(points) {
+    const changes = annualChanges(points);
+    if (changes.length < 3) return null;
+    const mean = changes.reduce((a, b) => a + b, 0) / changes.length;
+    const variance = changes.reduce((sum, c) => sum + (c - mean) ** 2, 0) / (changes.length - 1);
+    return round1(Math.sqrt(variance));
+}
+
+function maxDrawdown(points) {
+    let peak = points[0];
+    let worst = null;
+    points.forEach(p => {
+        if (p.median > peak.median) peak = p;
+        const fall = (1 - p.median / peak.median) * 100;
+        if (fall > 0 && (!worst || fall > worst.pct)) worst = { pct: fall, peak, trough: p };
+    });
+    if (!worst) return null;
+    const troughYear = Number(worst.trough.period);
+    const recovered = points.find(p => Number(p.period) > troughYear && p.median >= worst.peak.median);
+    return {
+        pct: round1(worst.pct),
+        peakPeriod: worst.peak.period,
+        troughPeriod: worst.trough.period,
+        recovered: !!recovered,
+        recoveredPeriod: recovered ? recovered.period : null,
+        recoveryYears: recovered ? Number(recovered.period) - troughYear : null
+    };
+}
+
+function fromPeak(points) {
+    const peak = points.reduce((best, p) => (p.median >= best.median ? p : best), points[0]);
+    const last = points[points.length - 1];
+    return { pct: round1((1 - last.median / peak.median) * 100), peakPeriod: peak.period };
+}
+
+// Analytics for one suburb without the benchmark comparison; null values where history is too short
+function suburbAnalytics(suburb, type = 'house') {
+    const points = yearlySeries(suburb, type).filter(p => p.median > 0);
+    const result = {
+        type,
+        years: points.length ? { from: points[0].period, to: points[points.length - 1].period, count: points.length } : null,
+        cagr: {},
+        volatility: null,
+        maxDrawdown: null,
+        fromPeak: null
+    };
+    CAGR_WINDOWS.forEach(w => { result.cagr[w] = points.length > 1 ? cagr(points, w) : null; });
+    if (points.length > 1) {
+        result.volatility = volatility(points);
+        result.maxDrawdown = maxDrawdown(points);
+        result.fromPeak = fromPeak(points);
+    }
+    return result;
+}
+
+function median(values) {
+    const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const cache = new WeakMap(); // suburbs object -> { [type]: { bySuburb, benchmark } }
+
+// Analytics for every suburb plus the Melbourne benchmark, computed once per dataset and type.
+// metro: Set of Greater Melbourne suburb names the benchmark is drawn from.
+function analyseAll(suburbs, type, metro) {
+    if (!cache.has(suburbs)) cache.set(suburbs, {});
+    const byType = cache.get(suburbs);
+    if (byType[type]) return byType[type];
+
+    const bySuburb = {};
+    Object.entries(suburbs).forEach(([name, suburb]) => { bySuburb[name] = suburbAnalytics(suburb, type); });
+
+    const benchmark = { cagr: {}, suburbs: {} };
+    CAGR_WINDOWS.forEach(w => {
+        const values = Object.entries(bySuburb).filter(([name]) => metro.has(name)).map(([, a]) => a.cagr[w]).filter(v => v != null);
+        benchmark.cagr[w] = values.length ? round1(median(values)) : null;
+        benchmark.suburbs[w] = values.length;
+    });
+    Object.values(bySuburb).forEach(a => {
+        a.vsMelbourne = {};
+        CAGR_WINDOWS.forEach(w => {
+            a.vsMelbourne[w] = a.cagr[w] != null && benchmark.cagr[w] != null ? round1(a.cagr[w] - benchmark.cagr[w]) : null;
+        });
+    });
+
+    byType[type] = { bySuburb, benchmark };
+    return byType[type];
+}
+
+// Query for the rankings endpoint: sort (a RANK_METRICS key, '-' prefix or order=desc for descending),
+// min<Metric>/max<Metric> filters (e.g. minCagr5=4, maxFromPeak=0), recovered=true|false, peakedIn=2021,2022,
+// limit/offset. Returns { query, errors }.
+function parseRankingQuery(params) {
+    const src = params || {};
+    const errors = [];
+    const query = { sort: 'cagr5', order: 'desc', ranges: [], recovered: null, peakedIn: [], limit: 50, offset: 0 };
+
+    if (src.sort) {
+        query.sort = String(src.sort).trim();
+        query.order = 'asc';
+        if (query.sort.startsWith('-')) {
+            query.sort = query.sort.slice(1);
+            query.order = 'desc';
+        }
+        if (!RANK_METRICS[query.sort]) errors.push(`sort must be one of ${Object.keys(RANK_METRICS).join(', ')}`);
+    }
+    if (src.order) {
+        query.order = String(src.order).toLowerCase();
+        if (!['asc', 'desc'].includes(query.order)) errors.push('order must be asc or desc');
+    }
+
+    Object.keys(RANK_METRICS).forEach(metric => {
+        const suffix = metric[0].toUpperCase() + metric.slice(1);
+        ['min', 'max'].forEach(bound => {
+            const raw = src[bound + suffix];
+            if (raw == null || raw === '') return;
+            const value = parseFloat(raw);
+            if (!Number.isFinite(value)) errors.push(`${bound}${suffix} must be a number`);
+            else query.ranges.push({ metric, bound, value });
+        });
+    });
+
+    if (src.recovered != null && src.recovered !== '') {
+        if (/^(1|true|yes)$/i.test(src.recovered)) query.recovered = true;
+        else if (/^(0|false|no)$/i.test(src.recovered)) query.recovered = false;
+        else errors.push('recovered must be true or false');
+    }
+    if (src.peakedIn) {
+        query.peakedIn = String(src.peakedIn).split(',').map(y => y.trim()).filter(Boolean);
+        if (query.peakedIn.some(y => !/^\d{4}$/.test(y))) errors.push('peakedIn must be comma-separated years');
+    }
+
+    query.limit = src.limit != null ? parseInt(src.limit, 10) : 50;
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    query.offset = src.offset != null ? parseInt(src.offset, 10) : 0;
+    if (!Number.isInteger(query.offset) || query.offset < 0) errors.push('offset must be a non-negative integer');
+    return { query, errors };
+}
+
+// [{ rank, name, value, analytics }] for suburbs with a value for the sort metric, plus total before paging.
+// names: optional Set to restrict to (e.g. a region)
+function rankSuburbs(bySuburb, query, names) {
+    const valueOf = RANK_METRICS[query.sort];
+    const rows = Object.entries(bySuburb)
+        .filter(([name, a]) => {
+            if (names && !names.has(name)) return false;
+            if (valueOf(a) == null) return false;
+            for (const { metric, bound, value } of query.ranges) {
+                const v = RANK_METRICS[metric](a);
+                if (v == null || (bound === 'min' ? v < value : v > value)) return false;
+            }
+            if (query.recovered != null && (!a.maxDrawdown || a.maxDrawdown.recovered !== query.recovered)) return false;
+            if (query.peakedIn.length && (!a.fromPeak || !query.peakedIn.includes(a.fromPeak.peakPeriod))) return false;
+            return true;
+        })
+        .sort(([nameA, a], [nameB, b]) => (valueOf(a) - valueOf(b)) * (query.order === 'desc' ? -1 : 1) || nameA.localeCompare(nameB));
+    return {
+        total: rows.length,
+        rows: rows.slice(query.offset, query.offset + query.limit).map(([name, a], i) => ({
+            rank: query.offset + i + 1,
+            name,
+            value: valueOf(a),
+            analytics: a
+        }))
+    };
+}
+
+module.exports = { CAGR_WINDOWS, RANK_METRICS, suburbAnalytics, analyseAll, parseRankingQuery, rankSuburbs };
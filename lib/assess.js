@@ -0,0 +1,474 @@
+// Listing and suburb scoring shared by the browser (window.PropertyAssess) and the server (require).
+// Keep this file free of Node or DOM APIs so both sides produce identical verdicts.
+// In the browser, load lib/affordability.js first.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./affordability'));
+    } else {
+        root.PropertyAssess = factory(root.PropertyAffordability);
+    }
+})(typeof self !== 'undefined' ? self : this, function (affordability) {
+    // The original hard-coded search: $1.0M–$1.4M, 4 bed / 2 bath / 1 car, garden, no pool, 1h 15min commute.
+    // Finance: budgetBasis 'price' compares the list price with the budget, 'totalCost' adds duty, LMI and
+    // other purchase costs (lib/affordability.js); deposit null means 20% of the price.
+    const DEFAULT_PROFILE = {
+        id: 'default',
+        name: 'Default buyer',
+        budgetMin: 1000000,
+        budgetMax: 1400000,
+        overBudgetTolerancePct: 10,
+        propertyTypes: ['House', 'Unit', 'Townhouse', 'Villa'],
+        minBedrooms: 4,
+        minBathrooms: 2,
+        minParking: 1,
+        garden: 'required',
+        pool: 'avoid',
+        maxCommuteMin: 75,
+        budgetBasis: 'price',
+        firstHomeBuyer: false,
+        deposit: null,
+        interestRatePct: 6,
+        loanTermYears: 30
+    };
+
+    function formatMillions(value) {
+        return `$${(value / 1e6).toFixed(value % 100000 === 0 ? 1 : 2)}M`;
+    }
+
+    function formatMinutes(min) {
+        if (min < 60) return `${min} min`;
+        return `${Math.floor(min / 60)}h${min % 60 ? ` ${min % 60}min` : ''}`;
+    }
+
+    // Highest price still considered (budget max plus the profile's tolerance)
+    function budgetLimit(profile) {
+        return Math.round(profile.budgetMax * (1 + (profile.overBudgetTolerancePct || 0) / 100));
+    }
+
+    function budgetLabel(profile) {
+        const basis = profile.budgetBasis === 'totalCost' ? ' (total cost)' : '';
+        return `Budget ${formatMillions(profile.budgetMin)} – ${formatMillions(profile.budgetMax)}${basis}`;
+    }
+
+    function formatThousands(value) {
+        return `$${Math.round(value / 1000).toLocaleString()}k`;
+    }
+
+    function financeLabel(profile) {
+        const parts = [profile.deposit != null ? `Deposit ${formatThousands(profile.deposit)}` : 'Deposit 20%'];
+        const rate = profile.interestRatePct != null ? profile.interestRatePct : affordability.DEFAULTS.interestRatePct;
+        const term = profile.loanTermYears != null ? profile.loanTermYears : affordability.DEFAULTS.loanTermYears;
+        parts.push(`${rate}% over ${term} years`);
+        if (profile.firstHomeBuyer) parts.push('first home buyer');
+        return parts.join(', ');
+    }
+
+    function propertyTypesLabel(profile) {
+        const types = profile.propertyTypes || [];
+        return types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : (types[0] || 'Any');
+    }
+
+    function commuteLabel(profile, destinationNames = []) {
+        const names = destinationNames.length > 1
+            ? `${destinationNames.slice(0, -1).join(', ')} & ${destinationNames[destinationNames.length - 1]}`
+            : (destinationNames[0] || 'your destinations');
+        return `Within ${formatMinutes(profile.maxCommuteMin)} to ${names}`;
+    }
+
+    // Lines for the "Your Search Criteria" box
+    function describeProfile(profile, destinationNames) {
+        const rooms = [`${profile.minBedrooms}+ bedrooms`, `${profile.minBathrooms}+ bathrooms`, `${profile.minParking}+ garage`];
+        const features = [];
+        if (profile.garden === 'required') features.push('Garden required');
+        else if (profile.garden === 'preferred') features.push('Garden preferred');
+        if (profile.pool === 'avoid') features.push('no pool');
+        else if (profile.pool === 'preferred') features.push('pool preferred');
+        const lines = [
+            `${budgetLabel(profile)} AUD (up to ${profile.overBudgetTolerancePct}% over)`,
+            `Property: ${propertyTypesLabel(profile)}`,
+            rooms.join(', ')
+        ];
+        if (features.length) lines.push(features.join(', '));
+        if (profile.maxCommuteMin != null) lines.push(commuteLabel(profile, destinationNames));
+        lines.push(financeLabel(profile));
+        return lines;
+    }
+
+    // Suburb median that matters for this profile: unit median when the profile excludes houses
+    function profileMedianPrice(suburb, profile) {
+        const wantsHouse = (profile.propertyTypes || []).some(t => /house|townhouse|villa/i.test(t));
+        if (!wantsHouse && suburb.medianPriceUnit != null) return suburb.medianPriceUnit;
+        return suburb.medianPrice;
+    }
+
+    // Calculate a suburb's match score (0-100) for a buyer profile
+    function calculateMatchScore(suburb, profile) {
+        let score = 50; // Base score
+        const median = profileMedianPrice(suburb, profile);
+        const price = median != null ? median : 0;
+        const overLimit = budgetLimit(profile);
+
+        // Price scoring (max 35 points)
+        if (price >= profile.budgetMin && price <= profile.budgetMax) {
+            score += 35;
+        } else if (price > 0 && price < profile.budgetMin) {
+            score += 30; // Under budget is good
+        } else if (price <= overLimit) {
+            score += 20; // Slightly over
+        } else if (price <= overLimit + (overLimit - profile.budgetMax)) {
+            score += 10; // More over
+        }
+
+        // Transport scoring (max 15 points)
+        if (suburb.transport?.trainStation) {
+            score += 15;
+        } else {
+            score += 5; // Bus only
+        }
+
+        return Math.min(score, 100);
+    }
+
+    function getRecommendation(score, profile) {
+        const budget = `${formatMillions(profile.budgetMin)}–${formatMillions(profile.budgetMax)}`;
+        if (score >= 80) {
+            return {
+                class: 'good',
+                title: '✓ Excellent Match',
+                message: `This suburb fits your ${budget} budget with good transport and amenities. Highly recommended for ${profile.name}.`
+            };
+        } else if (score >= 65) {
+            return {
+                class: 'moderate',
+                title: '⚠ Moderate Match',
+                message: 'This suburb partially meets your criteria. Median price may be above budget or transport options limited.'
+            };
+        } else {
+            return {
+                class: 'poor',
+                title: '✗ Over Budget',
+                message: `This suburb's median price exceeds your ${budget} budget. Consider nearby suburbs for better value.`
+            };
+        }
+    }
+
+    function parseCommuteToMinutes(str) {
+        if (!str || str === 'N/A') return null;
+        const hMatch = str.match(/(\d+)\s*h\s*(\d*)\s*min?/i);
+        if (hMatch) {
+            const h = parseInt(hMatch[1], 10);
+            const m = (hMatch[2] && hMatch[2].trim()) ? parseInt(hMatch[2], 10) : 0;
+            return h * 60 + m;
+        }
+        const minMatch = str.match(/(\d+)\s*min/i);
+        if (minMatch) return parseInt(minMatch[1], 10);
+        return null;
+    }
+
+    // Per-destination commute entries for a suburb (the context.commutes assessListing expects).
+    // transitTimes: { [destinationId]: { [suburbName]: '45 min by train' } }
+    function commutesForSuburb(suburbName, destinations, transitTimes) {
+        const wanted = suburbName ? String(suburbName).trim().toLowerCase() : '';
+        return (destinations || []).map(d => {
+            const table = (transitTimes && transitTimes[d.id]) || {};
+            const key = wanted ? Object.keys(table).find(k => k.toLowerCase() === wanted) : null;
+            const text = key ? table[key] : null;
+            return { id: d.id, name: d.name, checkCommute: d.checkCommute !== false, text, minutes: parseCommuteToMinutes(text) };
+        });
+    }
+
+    // Listing price against its suburb's median. Houses compare with the house median; units, apartments,
+    // flats, townhouses and villas with the unit median (VPSR counts them all as units). Quoted prices this
+    // far below the median look underquoted, this far above look overpriced; below MIN_BENCHMARK_SALES
+    // sales in the quarter the median is too thin to lean on.
+    const UNDERQUOTED_PCT = -15;
+    const OVERPRICED_PCT = 20;
+    const MIN_BENCHMARK_SALES = 10;
+
+    function benchmarkType(propertyType) {
+        return /unit|apartment|flat|townhouse|villa/i.test(propertyType || '') ? 'unit' : 'house';
+    }
+
+    // Sales of a property type ('house' or 'unit') in the latest quarter of the suburb's priceSeries, or null
+    function latestQuarterSales(suburb, type) {
+        const series = suburb.priceSeries && suburb.priceSeries[type];
+        if (!series) return null;
+        const quarters = Object.keys(series).sort();
+        const latest = series[quarters[quarters.length - 1]];
+        return latest && latest.sales != null ? latest.sales : null;
+    }
+
+    // { type, median, premiumPct, verdict, salesCount, reliable } or null when price or median is missing.
+    // salesCount is the type's sales last quarter; unknown counts are not reliable.
+    // verdict: 'underquoted', 'overpriced' or 'in-line'
+    function benchmarkListing(normalized, suburb) {
+        if (!suburb || normalized.price == null) return null;
+        const type = benchmarkType(normalized.propertyType);
+        const median = type === 'unit' ? suburb.medianPriceUnit : suburb.medianPrice;
+        if (median == null || !(median > 0)) return null;
+        const premiumPct = Math.round((normalized.price / median - 1) * 1000) / 10;
+        const salesCount = latestQuarterSales(suburb, type);
+        let verdict = 'in-line';
+        if (premiumPct <= UNDERQUOTED_PCT) verdict = 'underquoted';
+        else if (premiumPct >= OVERPRICED_PCT) verdict = 'overpriced';
+        return { type, median, premiumPct, verdict, salesCount, reliable: salesCount != null && salesCount >= MIN_BENCHMARK_SALES };
+    }
+
+    const YES_NO = ['yes', 'no', 'unknown'];
+
+    // '$1,250,000', 1250000, '1.25m' or '950k' -> dollars; null when empty, NaN when unreadable
+    function parsePrice(value) {
+        if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : NaN;
+        const s = String(value == null ? '' : value).trim().toLowerCase().replace(/[$,\s]/g, '');
+        if (!s) return null;
+        const m = s.match(/^(\d+(?:\.\d+)?)(m|k)?$/);
+        if (!m) return NaN;
+        const scale = m[2] === 'm' ? 1e6 : m[2] === 'k' ? 1e3 : 1;
+        return Math.round(parseFloat(m[1]) * scale);
+    }
+
+    // 3, '3' or '2.5' -> number; null when empty, NaN when unreadable or negative
+    function toCount(value) {
+        if (value == null || String(value).trim() === '') return null;
+        const n = typeof value === 'number' ? value : /^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : NaN;
+        return Number.isFinite(n) && n >= 0 ? n : NaN;
+    }
+
+    // Coerce a listing from /api/listing-from-url, the manual form or an API caller into the shape
+    // assessListing expects. Returns { listing, errors }; an unreadable price or count is an error and
+    // null in the listing.
+    function validateListing(input) {
+        const src = input || {};
+        const errors = [];
+        const yesNo = (v) => {
+            if (v === true) return 'yes';
+            if (v === false) return 'no';
+            const s = String(v || '').toLowerCase();
+            return YES_NO.includes(s) ? s : 'unknown';
+        };
+        const number = (field, raw, parse) => {
+            const n = parse(raw);
+            if (!Number.isNaN(n)) return n;
+            errors.push(`${field} '${raw}' is not a number`);
+            return null;
+        };
+        const suburb = src.suburb ? String(src.suburb).trim() : '';
+        const listing = {
+            price: number('price', src.price, parsePrice),
+            suburb: suburb || null,
+            bedrooms: number('bedrooms', src.bedrooms, toCount),
+            bathrooms: number('bathrooms', src.bathrooms, toCount),
+            garage: number('garage', src.garage != null ? src.garage : src.parking, toCount),
+            propertyType: src.propertyType ? String(src.propertyType) : '',
+            garden: yesNo(src.garden),
+            pool: yesNo(src.pool),
+            displayAddress: src.displayAddress || (suburb ? `${suburb}, VIC` : 'Manual entry')
+        };
+        return { listing, errors };
+    }
+
+    // validateListing's listing, for input that has already been checked
+    function normalizeListing(input) {
+        return validateListing(input).listing;
+    }
+
+    // Score a normalized listing against a buyer profile.
+    // context.commutes: [{ name, text, minutes?, checkCommute? }] per destination for the listing's suburb;
+    // only destinations with checkCommute !== false count towards the profile's maxCommuteMin.
+    // context.suburb: the listing suburb's record, for the price benchmark (informational: it adds a
+    // criterion but does not change the score).
+    // The result's costs is the purchase cost breakdown (lib/affordability.js), null without a price;
+    // benchmark is benchmarkListing's result.
+    function assessListing(normalized, profile, context = {}) {
+        const c = [];
+        let score = 50;
+        let priceDisqualifies = false;
+
+        const price = normalized.price;
+        const costs = price != null ? affordability.calculateAffordability(affordability.profileFinance(profile, price)) : null;
+        const byTotalCost = profile.budgetBasis === 'totalCost' && costs != null;
+        const compared = byTotalCost ? costs.totalCost : price;
+        const costText = byTotalCost
+            ? `$${(compared / 1e6).toFixed(2)}M total cost ($${(price / 1e6).toFixed(2)}M + duty ${formatThousands(costs.duty.amount)}` +
+                `${costs.lmi.amount ? ` + LMI ${formatThousands(costs.lmi.amount)}` : ''} + other ${formatThousands(costs.otherCosts)})`
+            : `$${(price / 1e6).toFixed(2)}M`;
+        const limit = budgetLimit(profile);
+        const budgetText = budgetLabel(profile);
+        const overBudgetLimit = compared != null && compared > limit;
+        const inBudget = compared != null && compared >= profile.budgetMin && compared <= profile.budgetMax;
+        const underBudget = compared != null && compared < profile.budgetMin;
+
+        if (price == null) {
+            c.push({ text: budgetText, status: 'unknown', detail: 'Price not available' });
+        } else if (overBudgetLimit) {
+            c.push({ text: budgetText, status: 'fail', detail: `Over budget by more than ${profile.overBudgetTolerancePct}%: ${byTotalCost ? costText : formatMillions(price)} (limit ${formatMillions(limit)}) — no match` });
+            priceDisqualifies = true;
+        } else if (inBudget) {
+            c.push({ text: budgetText, status: 'pass', detail: costText });
+            score += 25;
+        } else if (underBudget) {
+            c.push({ text: budgetText, status: 'pass', detail: `Under budget: ${costText}` });
+            score += 20;
+        } else {
+            c.push({ text: budgetText, status: 'fail', detail: `Over budget: ${costText}` });
+            score -= 10;
+        }
+
+        if (costs && !costs.financeable) {
+            c.push({
+                text: 'Finance',
+                status: 'fail',
+                detail: `Not financeable: LVR ${costs.lvrPct}% with a ${formatThousands(costs.deposit)} deposit is over ${affordability.MAX_LVR_PCT}%, where LMI is unavailable and most lenders will not lend`
+            });
+        }
+
+        const benchmark = benchmarkListing(normalized, context.suburb);
+        if (benchmark) {
+            const label = `Price vs suburb ${benchmark.type} median`;
+            const diff = benchmark.premiumPct === 0
+                ? 'at the median'
+                : `${Math.abs(benchmark.premiumPct)}% ${benchmark.premiumPct > 0 ? 'above' : 'below'} the ${formatMillions(benchmark.median)} median`;
+            const notes = [];
+            if (benchmark.verdict === 'underquoted') notes.push('may be underquoted');
+            if (benchmark.verdict === 'overpriced') notes.push('looks overpriced');
+            if (!benchmark.reliable) notes.push(`${benchmark.salesCount != null ? `only ${benchmark.salesCount}` : 'unknown'} ${benchmark.type} sales last quarter, benchmark unreliable`);
+            c.push({
+                text: label,
+                status: !benchmark.reliable || benchmark.verdict === 'underquoted' ? 'unknown' : benchmark.verdict === 'overpriced' ? 'fail' : 'pass',
+                detail: [diff, ...notes].join(' – ')
+            });
+        } else if (price != null && normalized.suburb) {
+            c.push({ text: 'Price vs suburb median', status: 'unknown', detail: 'No median for this suburb and property type' });
+        }
+
+        const typeText = propertyTypesLabel(profile);
+        const wantedType = (profile.propertyTypes || []).some(t => new RegExp(`\\b${t}\\b`, 'i').test(normalized.propertyType || ''));
+        const typeOk = normalized.propertyType ? wantedType : null;
+        if (typeOk === true) {
+            c.push({ text: typeText, status: 'pass', detail: normalized.propertyType });
+            score += 10;
+        } else if (typeOk === false) {
+            c.push({ text: typeText, status: 'fail', detail: normalized.propertyType || 'Unknown type' });
+            score -= 5;
+        } else {
+            c.push({ text: typeText, status: 'unknown', detail: 'Not specified' });
+        }
+
+        const rooms = [
+            { key: 'bedrooms', min: profile.minBedrooms, text: `${profile.minBedrooms}+ bedrooms`, unit: 'bedrooms', points: 10 },
+            { key: 'bathrooms', min: profile.minBathrooms, text: `${profile.minBathrooms}+ bathrooms`, unit: 'bathrooms', points: 5 },
+            { key: 'garage', min: profile.minParking, text: `${profile.minParking}+ garage`, unit: 'car space(s)', points: 5 }
+        ];
+        for (const r of rooms) {
+            if (!r.min) continue;
+            const value = normalized[r.key];
+            if (value != null) {
+                const ok = value >= r.min;
+                c.push({ text: r.text, status: ok ? 'pass' : 'fail', detail: `${value} ${r.unit}` });
+                if (ok) score += r.points;
+            } else {
+                c.push({ text: r.text, status: 'unknown', detail: 'Not specified' });
+            }
+        }
+
+        if (profile.garden !== 'any') {
+            const required = profile.garden === 'required';
+            const gardenText = required ? 'Garden required' : 'Garden preferred';
+            if (normalized.garden === 'yes') {
+                c.push({ text: gardenText, status: 'pass', detail: 'Yes' });
+                score += 5;
+            } else if (normalized.garden === 'no') {
+                c.push({ text: gardenText, status: 'fail', detail: 'No' });
+                if (required) score -= 5;
+            } else {
+                c.push({ text: gardenText, status: 'unknown', detail: 'Unknown' });
+            }
+        }
+        if (profile.pool === 'avoid') {
+            if (normalized.pool === 'yes') {
+                c.push({ text: 'No pool', status: 'fail', detail: 'Has pool' });
+                score -= 10;
+            } else if (normalized.pool === 'no') {
+                c.push({ text: 'No pool', status: 'pass', detail: 'No pool' });
+                score += 5;
+            } else {
+                c.push({ text: 'No pool', status: 'unknown', detail: 'Unknown' });
+            }
+        } else if (profile.pool === 'preferred') {
+            if (normalized.pool === 'yes') {
+                c.push({ text: 'Pool preferred', status: 'pass', detail: 'Has pool' });
+                score += 5;
+            } else {
+                c.push({ text: 'Pool preferred', status: normalized.pool === 'no' ? 'fail' : 'unknown', detail: normalized.pool === 'no' ? 'No pool' : 'Unknown' });
+            }
+        }
+
+        const checkedCommutes = (context.commutes || []).filter(d => d.checkCommute !== false);
+        if (profile.maxCommuteMin != null && checkedCommutes.length) {
+            const commuteText = commuteLabel(profile, checkedCommutes.map(d => d.name));
+            const suburbName = normalized.suburb ? normalized.suburb.trim() : '';
+            const minutes = checkedCommutes.map(d => (d.minutes != null ? d.minutes : parseCommuteToMinutes(d.text)));
+            const known = minutes.filter(m => m != null);
+            if (known.length) {
+                const allOk = known.length === minutes.length && known.every(m => m <= profile.maxCommuteMin);
+                c.push({
+                    text: commuteText,
+                    status: allOk ? 'pass' : (known.some(m => m > profile.maxCommuteMin) ? 'fail' : 'unknown'),
+                    detail: checkedCommutes.map(d => `${d.name}: ${d.text || 'N/A'}`).join(' / ')
+                });
+                if (allOk) score += 15;
+            } else {
+                c.push({
+                    text: commuteText,
+                    status: 'unknown',
+                    detail: suburbName ? `Suburb "${suburbName}" not in our commute data` : 'Suburb not specified'
+                });
+            }
+        }
+
+        if (priceDisqualifies) {
+            score = 0;
+        } else {
+            score = Math.max(0, Math.min(100, score));
+        }
+        let summaryClass = 'poor';
+        let summaryText = 'Does not meet most criteria.';
+        if (priceDisqualifies) {
+            summaryText = `${byTotalCost ? 'Total cost' : 'Price'} is more than ${profile.overBudgetTolerancePct}% over your upper limit (${formatMillions(profile.budgetMax)}). No match.`;
+        } else if (score >= 75) {
+            summaryClass = 'good';
+            summaryText = 'Meets most or all of your criteria. Worth a look.';
+        } else if (score >= 55) {
+            summaryClass = 'moderate';
+            summaryText = 'Partially meets your criteria. Check details.';
+        }
+        return { criteria: c, score, summaryClass, summaryText, costs, benchmark };
+    }
+
+    return {
+        DEFAULT_PROFILE,
+        formatMillions,
+        formatMinutes,
+        budgetLimit,
+        budgetLabel,
+        financeLabel,
+        propertyTypesLabel,
+        commuteLabel,
+        describeProfile,
+        profileMedianPrice,
+        calculateMatchScore,
+        getRecommendation,
+        parseCommuteToMinutes,
+        commutesForSuburb,
+        UNDERQUOTED_PCT,
+        OVERPRICED_PCT,
+        MIN_BENCHMARK_SALES,
+        benchmarkType,
+        benchmarkListing,
+        parsePrice,
+        toCount,
+        validateListing,
+        normalizeListing,
+        assessListing
+    };
+});
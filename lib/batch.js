@@ -0,0 +1,313 @@
+// Bulk listing assessment for POST /api/assess/batch. The input is a list of listing URLs (Domain,
+// realestate.com.au or a portal in LISTING_HOSTS, see lib/parsers), or a CSV of listings. Each row is
+// scraped (URL-only rows) and assessed in turn by a background job that the client polls for progress.
+// A failing row records its error and the job moves on.
+//
+// The CSV export puts the input columns first and the results after them. A re-scored spreadsheet
+// can therefore be imported again unchanged. A row whose URL could not be scraped keeps its URL and
+// the suburb taken from it. Fill in its price and details, and it is assessed from those next time.
+
+const crypto = require('crypto');
+const { validateListing } = require('./assess');
+const parsers = require('./parsers');
+
+const MAX_ROWS = 200;
+const SCRAPE_GAP_MS = 1500; // pause between listing page fetches so a batch does not hammer the sites
+const JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_JOBS = 20;
+
+// Input columns in export order, with the header names accepted for each (lower case, spaces and
+// underscores ignored)
+const INPUT_COLUMNS = {
+    url: ['url', 'link', 'listingurl', 'listing'],
+    address: ['address', 'displayaddress'],
+    price: ['price', 'askingprice'],
+    suburb: ['suburb'],
+    beds: ['beds', 'bedrooms', 'bed'],
+    baths: ['baths', 'bathrooms', 'bath'],
+    parking: ['parking', 'garage', 'car', 'cars', 'carspaces'],
+    type: ['type', 'propertytype'],
+    garden: ['garden'],
+    pool: ['pool']
+};
+const RESULT_COLUMNS = ['status', 'score', 'summary', 'vsMedianPct', 'priceVerdict', 'totalCost', 'monthlyRepayment', 'error'];
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks. Returns an array of rows.
+function parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else field += ch;
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Quote when needed. Text starting with = + - @ gets a leading ' so spreadsheets do not run it as a formula.
+function csvField(value) {
+    if (value == null) return '';
+    let s = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatCsv(rows) {
+    return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Only sites the server may fetch (lib/parsers isListingUrl)
+function checkUrl(raw) {
+    if (parsers.isListingUrl(raw)) return null;
+    return `'${raw}' is not a listing URL from ${parsers.listingHosts().join(', ')}`;
+}
+
+// One batch row from its input columns: { row, input, url, listing, error }. A URL without a price is
+// scraped; otherwise the row's own fields are assessed (the URL is kept as the listing link).
+function rowFromInput(row, input) {
+    const out = { row, input, url: input.url || null, listing: null, error: null };
+    if (out.url) out.error = checkUrl(out.url);
+    if (out.error || (out.url && !input.price)) return out;
+
+    const { listing, errors } = validateListing({
+        price: input.price,
+        suburb: input.suburb,
+        bedrooms: input.beds,
+        bathrooms: input.baths,
+        garage: input.parking,
+        propertyType: input.type,
+        garden: input.garden,
+        pool: input.pool,
+        displayAddress: input.address || undefined
+    });
+    if (errors.length) out.error = errors.join('; ');
+    else if (listing.price == null && !listing.suburb) out.error = 'row needs a url, or at least a suburb or a price';
+    else out.listing = listing;
+    return out;
+}
+
+function emptyInput() {
+    return Object.fromEntries(Object.keys(INPUT_COLUMNS).map(k => [k, '']));
+}
+
+// Body { urls: [..] | 'one per line' } or { csv: 'text' } -> { rows, errors }. errors reject the whole
+// batch; problems with a single row are kept on that row.
+function parseBatchInput(body) {
+    const src = body || {};
+    const errors = [];
+    let rows = [];
+
+    if (src.urls != null && src.csv != null) errors.push('Send either urls or csv, not both');
+    else if (src.urls != null) {
+        const urls = (Array.isArray(src.urls) ? src.urls : String(src.urls).split(/\r?\n/)).map(u => String(u).trim()).filter(Boolean);
+        rows = urls.map((url, i) => rowFromInput(i + 1, { ...emptyInput(), url }));
+    } else if (src.csv != null) {
+        const table = parseCsv(src.csv);
+        const header = (table[0] || []).map(h => h.trim().toLowerCase().replace(/[\s_]/g, ''));
+        const columns = {};
+        Object.entries(INPUT_COLUMNS).forEach(([key, names]) => {
+            const idx = header.findIndex(h => names.includes(h));
+            if (idx !== -1) columns[key] = idx;
+        });
+        if (!table.length) errors.push('csv is empty');
+        else if (!('url' in columns) && !('suburb' in columns) && !('price' in columns)) {
+            errors.push(`csv header needs a url, suburb or price column (columns: ${Object.keys(INPUT_COLUMNS).join(', ')})`);
+        } else {
+            rows = table.slice(1).map((cells, i) => {
+                const input = emptyInput();
+                Object.entries(columns).forEach(([key, idx]) => { input[key] = (cells[idx] || '').trim(); });
+                return rowFromInput(i + 1, input);
+            });
+        }
+    } else errors.push('Provide urls (a list of listing URLs) or csv (listings with a header row)');
+
+    if (!errors.length && !rows.length) errors.push('No listings to assess');
+    if (rows.length > MAX_ROWS) errors.push(`A batch can hold at most ${MAX_ROWS} listings (got ${rows.length})`);
+    return { rows, errors };
+}
+
+const jobs = new Map(); // id -> job
+
+function pruneJobs() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.status === 'done' && now - Date.parse(job.finishedAt) > JOB_TTL_MS) jobs.delete(id);
+    }
+    const finished = [...jobs.values()].filter(j => j.status === 'done');
+    while (jobs.size >= MAX_JOBS && finished.length) jobs.delete(finished.shift().id);
+}
+
+// New job for parsed rows. profile: { id, name } of the profile the rows are scored with.
+// Each result: { row, input, status: 'pending' | 'ok' | 'error', error, blocked, listing, listingUrl,
+// source, confidence (per field, scraped rows only), suburb, score, summaryClass, summaryText, benchmark, costs }
+function createJob(rows, profile) {
+    pruneJobs();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        profile,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        total: rows.length,
+        done: 0,
+        results: rows.map(r => ({
+            row: r.row,
+            input: r.input,
+            status: r.error ? 'error' : 'pending',
+            error: r.error,
+            blocked: false,
+            listing: r.listing,
+            listingUrl: r.url,
+            source: r.listing ? 'manual' : null,
+            confidence: null,
+            suburb: null,
+            score: null,
+            summaryClass: null,
+            summaryText: null,
+            benchmark: null,
+            costs: null
+        }))
+    };
+    job.done = job.results.filter(r => r.status === 'error').length;
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Work through a job's pending rows one at a time.
+//   fetchListing(url)      -> { status, body } as from the server's listingFromUrl
+//   assessListing(listing) -> { listing, assessment, suburb } (suburb: matched name or null)
+async function runJob(job, { fetchListing, assessListing, gapMs = SCRAPE_GAP_MS }) {
+    let scraped = false;
+    for (const result of job.results) {
+        if (result.status !== 'pending') continue;
+        try {
+            if (!result.listing) {
+                if (scraped) await sleep(gapMs);
+                scraped = true;
+                const fetched = await fetchListing(result.listingUrl);
+                if (fetched.status !== 200) {
+                    result.status = 'error';
+                    result.blocked = !!fetched.body.useManualForm;
+                    result.error = result.blocked
+                        ? 'Could not load the listing page (the site blocked the request or it is unavailable). Add its price, beds, baths and other details to this row of the CSV and import it again.'
+                        : fetched.body.error;
+                    if (fetched.body.suggestedSuburb) result.input = { ...result.input, suburb: fetched.body.suggestedSuburb };
+                    continue;
+                }
+                result.listing = fetched.body.listing;
+                result.source = fetched.body.source;
+                result.confidence = fetched.body.confidence || null;
+            }
+            const { listing, assessment, suburb } = assessListing(result.listing);
+            Object.assign(result, {
+                status: 'ok',
+                listing,
+                suburb,
+                score: assessment.score,
+                summaryClass: assessment.summaryClass,
+                summaryText: assessment.summaryText,
+                benchmark: assessment.benchmark,
+                costs: assessment.costs
+            });
+        } catch (error) {
+            result.status = 'error';
+            result.error = error.message || String(error);
+        } finally {
+            job.done++;
+        }
+    }
+    job.status = 'done';
+    job.finishedAt = new Date().toISOString();
+}
+
+// Progress and results for GET /api/assess/batch/:id
+function jobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        profile: job.profile,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        total: job.total,
+        done: job.done,
+        failed: job.results.filter(r => r.status === 'error').length,
+        results: job.results
+    };
+}
+
+// CSV export: input columns (filled in from the scraped listing where the row had only a URL) then results
+function jobCsv(job) {
+    const header = [...Object.keys(INPUT_COLUMNS), ...RESULT_COLUMNS];
+    const rows = job.results.map(r => {
+        const l = r.listing && r.status === 'ok' ? r.listing : null;
+        const input = l ? {
+            url: r.listingUrl || '',
+            address: l.displayAddress,
+            price: l.price,
+            suburb: r.suburb || l.suburb,
+            beds: l.bedrooms,
+            baths: l.bathrooms,
+            parking: l.garage,
+            type: l.propertyType,
+            garden: l.garden,
+            pool: l.pool
+        } : r.input;
+        return [
+            ...Object.keys(INPUT_COLUMNS).map(k => input[k]),
+            r.status,
+            r.score,
+            r.summaryText,
+            r.benchmark ? r.benchmark.premiumPct : null,
+            r.benchmark ? r.benchmark.verdict + (r.benchmark.reliable ? '' : ' (few sales)') : null,
+            r.costs ? r.costs.totalCost : null,
+            r.costs ? r.costs.repayment.monthly : null,
+            r.error
+        ];
+    });
+    return formatCsv([header, ...rows]);
+}
+
+module.exports = {
+    MAX_ROWS,
+    INPUT_COLUMNS,
+    RESULT_COLUMNS,
+    parseCsv,
+    csvField,
+    formatCsv,
+    parseBatchInput,
+    createJob,
+    getJob,
+    runJob,
+    jobView,
+    jobCsv
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Suburb boundary polygons for GET /api/boundaries, read from the GeoJSON that
+// scripts/import-boundaries.js writes (features with properties.name matching suburbs.json and a bbox).
+const boundariesPath = process.env.BOUNDARIES_PATH || path.join(__dirname, '..', 'data', 'boundaries', 'suburbs.geojson');
+
+let cached = null; // { mtimeMs, collection }
+
+// The FeatureCollection, or null when no boundary file has been imported. Re-read when the file changes.
+function loadBoundaries() {
+    let stat;
+    try {
+        stat = fs.statSync(boundariesPath);
+    } catch (e) {
+        cached = null;
+        return null;
+    }
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.collection;
+    try {
+        const collection = JSON.parse(fs.readFileSync(boundariesPath, 'utf8'));
+        cached = { mtimeMs: stat.mtimeMs, collection };
+        return collection;
+    } catch (e) {
+        console.error('Failed to load boundaries:', e.message);
+        cached = null;
+        return null;
+    }
+}
+
+// ?bbox=minLon,minLat,maxLon,maxLat (GeoJSON order) -> { bbox, errors }; bbox is null when not given
+function parseBbox(raw) {
+    if (raw == null || raw === '') return { bbox: null, errors: [] };
+    const parts = String(raw).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+        return { bbox: null, errors: ['bbox must be minLon,minLat,maxLon,maxLat'] };
+    }
+    if (parts[0] > parts[2] || parts[1] > parts[3]) {
+        return { bbox: null, errors: ['bbox min must not exceed max'] };
+    }
+    return { bbox: parts, errors: [] };
+}
+
+function bboxesOverlap(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+// Features filtered by names (Set of lower-case names) and/or bbox; null when no file is loaded
+function boundaryFeatures({ names, bbox } = {}) {
+    const collection = loadBoundaries();
+    if (!collection) return null;
+    return (collection.features || []).filter(f => {
+        if (names && !names.has(String(f.properties.name).toLowerCase())) return false;
+        if (bbox && f.bbox && !bboxesOverlap(f.bbox, bbox)) return false;
+        return true;
+    });
+}
+
+// Map of suburb name -> [lat, lon] at the middle of its boundary's bbox; empty when there is no file
+function boundaryCentres() {
+    const features = boundaryFeatures() || [];
+    return new Map(features.filter(f => f.bbox).map(f => [f.properties.name, [(f.bbox[1] + f.bbox[3]) / 2, (f.bbox[0] + f.bbox[2]) / 2]]));
+}
+
+// { source, imported, features } from the file's metadata, or null when there is no file
+function boundariesInfo() {
+    const collection = loadBoundaries();
+    if (!collection) return null;
+    return { ...(collection.metadata || {}), features: (collection.features || []).length };
+}
+
+module.exports = { boundariesPath, parseBbox, boundaryFeatures, boundaryCentres, boundariesInfo };
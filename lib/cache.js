@@ -0,0 +1,189 @@
+// Disk-backed cache for outbound lookups (Nominatim, Overpass, OSRM, REIV), shared by the server
+// and the scripts so repeat lookups are instant and public OSM services see far fewer requests.
+//
+// One JSON file per provider in data/cache/ (or $CACHE_DIR): { entries: { key: { value, at, expires } } }.
+// Writes are batched (at most once a second) and flushed on exit, Ctrl-C and SIGTERM; call flush() to
+// write immediately.
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'data', 'cache');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Default TTL per provider; `negativeTtlMs` applies to cached "no result" (null) answers
+const PROVIDERS = {
+    nominatim: { ttlMs: 90 * DAY, negativeTtlMs: DAY },
+    overpass: { ttlMs: 14 * DAY, negativeTtlMs: HOUR },
+    osrm: { ttlMs: 30 * DAY, negativeTtlMs: HOUR },
+    reiv: { ttlMs: 12 * HOUR, negativeTtlMs: HOUR }
+};
+const DEFAULT_PROVIDER = { ttlMs: DAY, negativeTtlMs: HOUR };
+
+const stores = new Map(); // provider -> { entries, dirty, hits, misses, writes }
+let flushTimer = null;
+
+function providerConfig(provider) {
+    return PROVIDERS[provider] || DEFAULT_PROVIDER;
+}
+
+function filePath(provider) {
+    return path.join(CACHE_DIR, `${provider.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+}
+
+function store(provider) {
+    if (stores.has(provider)) return stores.get(provider);
+    let entries = {};
+    try {
+        entries = JSON.parse(fs.readFileSync(filePath(provider), 'utf8')).entries || {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Cache ${provider}: could not read, starting empty:`, e.message);
+    }
+    const s = { entries, dirty: false, hits: 0, misses: 0, writes: 0 };
+    stores.set(provider, s);
+    return s;
+}
+
+// Normalized key from query parts: strings trimmed, lower-cased and whitespace-collapsed;
+// numbers kept as given (round coordinates before passing them in). Parts are joined with '|'.
+function cacheKey(...parts) {
+    return parts
+        .map(p => (typeof p === 'string' ? p.trim().toLowerCase().replace(/\s+/g, ' ') : JSON.stringify(p)))
+        .join('|');
+}
+
+function isFresh(entry, now = Date.now()) {
+    return Boolean(entry) && (entry.expires == null || entry.expires > now);
+}
+
+// Cached value, or undefined when missing or expired (a cached null means "looked up, no result")
+function get(provider, key) {
+    const s = store(provider);
+    const entry = s.entries[key];
+    if (isFresh(entry)) {
+        s.hits++;
+        return entry.value;
+    }
+    s.misses++;
+    return undefined;
+}
+
+function set(provider, key, value, ttlMs) {
+    const s = store(provider);
+    const config = providerConfig(provider);
+    const ttl = ttlMs != null ? ttlMs : value == null ? config.negativeTtlMs : config.ttlMs;
+    const now = Date.now();
+    s.entries[key] = { value, at: now, expires: ttl === Infinity ? null : now + ttl };
+    s.dirty = true;
+    s.writes++;
+    scheduleFlush();
+}
+
+// Return the cached value for key, or call fetcher() and cache its result. Errors are not cached;
+// null/undefined results are cached with the provider's negative TTL unless cacheNull is false.
+async function wrap(provider, key, fetcher, { ttlMs, cacheNull = true } = {}) {
+    const cached = get(provider, key);
+    if (cached !== undefined) return cached;
+    const value = await fetcher();
+    if (value != null) set(provider, key, value, ttlMs);
+    else if (cacheNull) set(provider, key, null);
+    return value == null ? null : value;
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flush();
+    }, 1000);
+    if (flushTimer.unref) flushTimer.unref();
+}
+
+// Write every changed provider file now (synchronous, safe to call on exit)
+function flush() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    for (const [provider, s] of stores) {
+        if (!s.dirty) continue;
+        try {
+            fs.mkdirSync(CACHE_DIR, { recursive: true });
+            const tmp = `${filePath(provider)}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({ entries: s.entries }) + '\n', 'utf8');
+            fs.renameSync(tmp, filePath(provider));
+            s.dirty = false;
+        } catch (e) {
+            console.error(`Cache ${provider}: write failed:`, e.message);
+        }
+    }
+}
+
+process.on('exit', flush);
+// A signal ends the process without 'exit', so flush first and then let the signal's default action
+// (or the app's own handler, if it has one) take over
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        flush();
+        if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    });
+}
+
+function knownProviders() {
+    const onDisk = fs.existsSync(CACHE_DIR)
+        ? fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5))
+        : [];
+    return [...new Set([...Object.keys(PROVIDERS), ...onDisk, ...stores.keys()])].sort();
+}
+
+// Per-provider counts: entries, fresh/expired/negative, hits and misses since start, TTLs, file size
+function stats() {
+    const now = Date.now();
+    const out = {};
+    for (const provider of knownProviders()) {
+        const s = store(provider);
+        const entries = Object.values(s.entries);
+        let size = 0;
+        try {
+            size = fs.statSync(filePath(provider)).size;
+        } catch (e) {
+            size = 0;
+        }
+        out[provider] = {
+            entries: entries.length,
+            fresh: entries.filter(e => isFresh(e, now)).length,
+            expired: entries.filter(e => !isFresh(e, now)).length,
+            negative: entries.filter(e => e.value == null).length,
+            hits: s.hits,
+            misses: s.misses,
+            writes: s.writes,
+            ttlMs: providerConfig(provider).ttlMs,
+            bytes: size
+        };
+    }
+    return { dir: CACHE_DIR, providers: out };
+}
+
+// Remove entries. Options: provider (default all), expiredOnly, match (substring of the key).
+// Returns the number of entries removed.
+function purge({ provider, expiredOnly = false, match } = {}) {
+    const now = Date.now();
+    let removed = 0;
+    const providers = provider ? [provider] : knownProviders();
+    for (const p of providers) {
+        const s = store(p);
+        for (const [key, entry] of Object.entries(s.entries)) {
+            if (expiredOnly && isFresh(entry, now)) continue;
+            if (match && !key.includes(String(match).toLowerCase())) continue;
+            delete s.entries[key];
+            removed++;
+            s.dirty = true;
+        }
+    }
+    flush();
+    return removed;
+}
+
+module.exports = { CACHE_DIR, PROVIDERS, cacheKey, get, set, wrap, flush, stats, purge };
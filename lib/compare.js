@@ -0,0 +1,69 @@
+// Side-by-side suburb comparison for GET /api/compare: one row per suburb with the figures the
+// comparison view shows, and which suburb leads on each headline metric.
+
+const assess = require('./assess');
+const { yearlySeries } = require('./price-series');
+
+const MIN_SUBURBS = 2;
+const MAX_SUBURBS = 5;
+
+// Headline metrics and which direction wins ('low' = cheaper is better for a buyer)
+const METRICS = {
+    medianPrice: 'low',
+    medianPriceUnit: 'low',
+    annualChange: 'high',
+    salesCount: 'high',
+    matchScore: 'high',
+    amenityScore: 'high'
+};
+
+// ?names=Kew,Hawthorn,... -> { names, errors }; names are trimmed and de-duplicated (case-insensitive)
+function parseCompareNames(raw) {
+    const errors = [];
+    const seen = new Set();
+    const names = String(raw || '')
+        .split(',')
+        .map(n => n.trim())
+        .filter(n => n && !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+    if (names.length < MIN_SUBURBS || names.length > MAX_SUBURBS) {
+        errors.push(`names must list ${MIN_SUBURBS} to ${MAX_SUBURBS} different suburbs, comma-separated`);
+    }
+    return { names, errors };
+}
+
+// One comparison row. commutes: [{ id, name, text, minutes, straightLineKm }] per destination.
+function compareRow(name, suburb, { profile, commutes = [] } = {}) {
+    return {
+        name,
+        municipality: suburb.municipality || null,
+        postcode: suburb.postcode || null,
+        coords: suburb.coords || null,
+        medianPrice: suburb.medianPrice != null ? suburb.medianPrice : null,
+        medianPriceUnit: suburb.medianPriceUnit != null ? suburb.medianPriceUnit : null,
+        medianPriceLand: suburb.medianPriceLand != null ? suburb.medianPriceLand : null,
+        annualChange: suburb.annualChange != null ? suburb.annualChange : null,
+        salesCount: suburb.salesCount != null ? suburb.salesCount : null,
+        matchScore: profile ? assess.calculateMatchScore(suburb, profile) : null,
+        demographics: suburb.demographics || {},
+        schools: suburb.schools || [],
+        transport: suburb.transport || {},
+        amenities: suburb.amenities || [],
+        amenityScore: suburb.walkability ? suburb.walkability.score : null,
+        commutes,
+        priceHistory: yearlySeries(suburb, 'house')
+    };
+}
+
+// { [metric]: name of the leading row } for metrics where at least two rows have a value
+function leaders(rows) {
+    const out = {};
+    Object.entries(METRICS).forEach(([metric, direction]) => {
+        const withValue = rows.filter(r => typeof r[metric] === 'number');
+        if (withValue.length < 2) return;
+        const best = withValue.reduce((a, b) => (direction === 'low' ? (b[metric] < a[metric] ? b : a) : (b[metric] > a[metric] ? b : a)));
+        out[metric] = best.name;
+    });
+    return out;
+}
+
+module.exports = { MIN_SUBURBS, MAX_SUBURBS, METRICS, parseCompareNames, compareRow, leaders };
@@ -0,0 +1,249 @@
+// Validation and anomaly report for data/suburbs.json, used by scripts/validate-data.js and
+// GET /api/admin/validate. Errors are rows that are wrong; warnings are rows worth a look.
+
+const { TRACKED_FIELDS } = require('./provenance');
+
+// Generous box around Victoria (lat -39.2 .. -33.9, lon 140.9 .. 150.0)
+const VICTORIA_BOUNDS = { minLat: -39.3, maxLat: -33.9, minLon: 140.9, maxLon: 150.1 };
+
+const THRESHOLDS = {
+    minPrice: 50000,
+    maxPrice: 20000000,
+    outlierIqr: 3, // fences on log(price), in interquartile ranges
+    maxJumpPct: 40, // medianPrice vs the last earlier priceHistory year
+    unitOverHouseRatio: 1 // unit median above house median
+};
+
+const RULES = {
+    schema: { severity: 'error', title: 'Schema' },
+    'price-range': { severity: 'error', title: 'Price outside plausible range' },
+    'price-outlier': { severity: 'warning', title: 'Price outlier' },
+    'unit-above-house': { severity: 'warning', title: 'Unit median above house median' },
+    'price-jump': { severity: 'warning', title: 'Big jump against priceHistory' },
+    'sales-above-ytd': { severity: 'error', title: 'Quarter sales above year-to-date sales' },
+    'coords-outside-victoria': { severity: 'error', title: 'Coordinates outside Victoria' },
+    'duplicate-name': { severity: 'warning', title: 'Duplicate or alias name' },
+    'duplicate-slug': { severity: 'warning', title: 'Duplicate REIV slug' },
+    stub: { severity: 'warning', title: 'Stub record (no postcode / population)' }
+};
+
+const PRICE_FIELDS = ['medianPrice', 'medianPriceUnit', 'medianPriceLand'];
+
+function isNumberOrNull(v) {
+    return v === null || (typeof v === 'number' && Number.isFinite(v));
+}
+
+function isPlainObject(v) {
+    return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function schemaProblems(s) {
+    const problems = [];
+    if (!isPlainObject(s)) return ['record is not an object'];
+    if (typeof s.postcode !== 'string') problems.push('postcode must be a string');
+    else if (s.postcode && !/^3\d{3}$/.test(s.postcode)) problems.push(`postcode '${s.postcode}' is not a Victorian postcode`);
+    if (typeof s.municipality !== 'string') problems.push('municipality must be a string');
+    if (s.coords !== null && !(Array.isArray(s.coords) && s.coords.length === 2 && s.coords.every(c => typeof c === 'number' && Number.isFinite(c)))) {
+        problems.push('coords must be null or [lat, lon]');
+    }
+    TRACKED_FIELDS.forEach(field => {
+        if (field in s && !isNumberOrNull(s[field])) problems.push(`${field} must be a number or null`);
+    });
+    if (!isPlainObject(s.priceHistory)) problems.push('priceHistory must be an object');
+    else {
+        Object.entries(s.priceHistory).forEach(([year, v]) => {
+            if (!/^\d{4}$/.test(year)) problems.push(`priceHistory key '${year}' is not a year`);
+            if (!isNumberOrNull(v)) problems.push(`priceHistory.${year} must be a number or null`);
+        });
+    }
+    if (!isPlainObject(s.demographics)) problems.push('demographics must be an object');
+    if (!Array.isArray(s.schools)) problems.push('schools must be an array');
+    if (!isPlainObject(s.transport)) problems.push('transport must be an object');
+    if (!Array.isArray(s.amenities)) problems.push('amenities must be an array');
+    if (s.walkability != null && !(isPlainObject(s.walkability) && typeof s.walkability.score === 'number' && s.walkability.score >= 0 && s.walkability.score <= 100)) {
+        problems.push('walkability must be null or an object with a score from 0 to 100');
+    }
+    if (s.reivSlug != null && typeof s.reivSlug !== 'string') problems.push('reivSlug must be a string or null');
+    if (s.priceSeries != null && !isPlainObject(s.priceSeries)) problems.push('priceSeries must be an object');
+    if (s.sources != null && !isPlainObject(s.sources)) problems.push('sources must be an object');
+    return problems;
+}
+
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Price fences per field from log-price interquartile range: { field: { low, high } }
+function outlierFences(suburbs) {
+    const fences = {};
+    PRICE_FIELDS.forEach(field => {
+        const logs = Object.values(suburbs)
+            .map(s => s && s[field])
+            .filter(v => typeof v === 'number' && v > 0)
+            .map(Math.log)
+            .sort((a, b) => a - b);
+        if (logs.length < 20) return;
+        const q1 = quantile(logs, 0.25);
+        const q3 = quantile(logs, 0.75);
+        const spread = (q3 - q1) * THRESHOLDS.outlierIqr;
+        fences[field] = { low: Math.round(Math.exp(q1 - spread)), high: Math.round(Math.exp(q3 + spread)) };
+    });
+    return fences;
+}
+
+// 'St Kilda East' / 'Saint Kilda East' / 'Mt Eliza' / 'Mount Eliza' -> one key
+function aliasKey(name) {
+    return name
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\bst\b\.?/g, 'saint')
+        .replace(/\bmt\b\.?/g, 'mount')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Last priceHistory year before dataYear with a value: { year, value }
+function previousHistoryPoint(priceHistory, dataYear) {
+    const years = Object.keys(priceHistory || {})
+        .filter(y => priceHistory[y] != null && (!dataYear || y < dataYear))
+        .sort();
+    const year = years[years.length - 1];
+    return year ? { year, value: priceHistory[year] } : null;
+}
+
+// data: parsed suburbs.json. Returns { generatedAt, dataQuarter, summary, rules, issues }.
+function validateDataset(data) {
+    const issues = [];
+    const add = (rule, suburb, message, extra = {}) => {
+        issues.push({ rule, severity: RULES[rule].severity, suburb, message, ...extra });
+    };
+
+    if (!isPlainObject(data) || !isPlainObject(data.suburbs)) {
+        add('schema', null, 'suburbs.json must be an object with a suburbs map');
+        return buildReport(data, issues, 0);
+    }
+    if (!isPlainObject(data.metadata)) add('schema', null, 'metadata is missing');
+    else {
+        ['source', 'lastUpdated', 'dataQuarter'].forEach(key => {
+            if (!data.metadata[key]) add('schema', null, `metadata.${key} is missing`);
+        });
+    }
+
+    const suburbs = data.suburbs;
+    const dataYear = data.metadata && data.metadata.quarter ? data.metadata.quarter.slice(0, 4) : null;
+    const fences = outlierFences(suburbs);
+    const byAlias = {};
+    const bySlug = {};
+
+    Object.entries(suburbs).forEach(([name, s]) => {
+        const problems = schemaProblems(s);
+        problems.forEach(p => add('schema', name, p));
+        if (!isPlainObject(s)) return;
+
+        PRICE_FIELDS.forEach(field => {
+            const v = s[field];
+            if (typeof v !== 'number') return;
+            if (v < THRESHOLDS.minPrice || v > THRESHOLDS.maxPrice) {
+                add('price-range', name, `${field} $${v.toLocaleString()} is outside $${THRESHOLDS.minPrice.toLocaleString()}–$${THRESHOLDS.maxPrice.toLocaleString()}`, { field, value: v });
+            } else if (fences[field] && (v < fences[field].low || v > fences[field].high)) {
+                add('price-outlier', name, `${field} $${v.toLocaleString()} is outside the usual $${fences[field].low.toLocaleString()}–$${fences[field].high.toLocaleString()}`, { field, value: v });
+            }
+        });
+
+        if (typeof s.medianPrice === 'number' && typeof s.medianPriceUnit === 'number' &&
+            s.medianPriceUnit > s.medianPrice * THRESHOLDS.unitOverHouseRatio) {
+            add('unit-above-house', name, `unit median $${s.medianPriceUnit.toLocaleString()} is above house median $${s.medianPrice.toLocaleString()}`, {
+                field: 'medianPriceUnit', value: s.medianPriceUnit
+            });
+        }
+
+        const previous = typeof s.medianPrice === 'number' ? previousHistoryPoint(s.priceHistory, dataYear) : null;
+        if (previous && previous.value > 0) {
+            const pct = ((s.medianPrice - previous.value) / previous.value) * 100;
+            if (Math.abs(pct) > THRESHOLDS.maxJumpPct) {
+                add('price-jump', name, `medianPrice $${s.medianPrice.toLocaleString()} is ${pct > 0 ? '+' : ''}${pct.toFixed(0)}% on ${previous.year} ($${previous.value.toLocaleString()})`, {
+                    field: 'medianPrice', value: s.medianPrice
+                });
+            }
+        }
+
+        // priceSeries: { [type]: { [quarter]: { median, sales, salesYearToDate, ... } } }
+        if (isPlainObject(s.priceSeries)) {
+            Object.entries(s.priceSeries).forEach(([type, points]) => {
+                Object.entries(isPlainObject(points) ? points : {}).forEach(([quarter, p]) => {
+                    if (!isPlainObject(p) || typeof p.sales !== 'number' || typeof p.salesYearToDate !== 'number') return;
+                    if (p.sales > p.salesYearToDate) {
+                        add('sales-above-ytd', name, `${type} ${quarter}: ${p.sales} sales in the quarter but ${p.salesYearToDate} year to date`, {
+                            field: `priceSeries.${type}.${quarter}.sales`, value: p.sales
+                        });
+                    }
+                });
+            });
+        }
+
+        if (Array.isArray(s.coords) && s.coords.length === 2) {
+            const [lat, lon] = s.coords;
+            const b = VICTORIA_BOUNDS;
+            if (lat < b.minLat || lat > b.maxLat || lon < b.minLon || lon > b.maxLon) {
+                add('coords-outside-victoria', name, `coords ${lat}, ${lon} are outside Victoria`, { field: 'coords', value: s.coords });
+            }
+        }
+
+        if (!s.postcode && (!s.demographics || !s.demographics.population)) {
+            add('stub', name, 'no postcode and population 0');
+        }
+
+        const key = aliasKey(name);
+        (byAlias[key] = byAlias[key] || []).push(name);
+        if (s.reivSlug) (bySlug[s.reivSlug] = bySlug[s.reivSlug] || []).push(name);
+    });
+
+    Object.values(byAlias).filter(names => names.length > 1).forEach(names => {
+        names.forEach(name => add('duplicate-name', name, `same place as ${names.filter(n => n !== name).join(', ')}?`));
+    });
+    Object.entries(bySlug).filter(([, names]) => names.length > 1).forEach(([slug, names]) => {
+        names.forEach(name => add('duplicate-slug', name, `reivSlug '${slug}' also used by ${names.filter(n => n !== name).join(', ')}`));
+    });
+
+    return buildReport(data, issues, Object.keys(suburbs).length);
+}
+
+function buildReport(data, issues, suburbCount) {
+    const byRule = {};
+    Object.keys(RULES).forEach(rule => {
+        byRule[rule] = issues.filter(i => i.rule === rule).length;
+    });
+    return {
+        generatedAt: new Date().toISOString(),
+        dataQuarter: data && data.metadata ? data.metadata.dataQuarter : null,
+        summary: {
+            suburbs: suburbCount,
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length,
+            byRule
+        },
+        rules: RULES,
+        issues
+    };
+}
+
+// Readable text version of a report; lists up to `examples` rows per rule
+function formatReport(report, { examples = 10 } = {}) {
+    const lines = [];
+    const { summary } = report;
+    lines.push(`suburbs.json validation (${report.dataQuarter || 'unknown quarter'}): ${summary.suburbs} suburbs, ${summary.errors} errors, ${summary.warnings} warnings`);
+    Object.entries(report.rules).forEach(([rule, { severity, title }]) => {
+        const rows = report.issues.filter(i => i.rule === rule);
+        if (!rows.length) return;
+        lines.push('');
+        lines.push(`${severity.toUpperCase()} ${title} [${rule}]: ${rows.length}`);
+        rows.slice(0, examples).forEach(i => lines.push(`  - ${i.suburb || '(dataset)'}: ${i.message}`));
+        if (rows.length > examples) lines.push(`  ... and ${rows.length - examples} more`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = { VICTORIA_BOUNDS, THRESHOLDS, RULES, validateDataset, formatReport };
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const assess = require('./assess');
+const travelTimes = require('./travel-times');
+
+const KINDS = ['office', 'school', 'family', 'station', 'other'];
+
+// The two workplaces the app was originally built around. Public transport times for these
+// come from data/commute-times.json; added destinations may carry their own transitTimes.
+const DEFAULT_DESTINATIONS = [
+    {
+        id: 'siemens',
+        name: 'Siemens',
+        label: 'Siemens (380 Docklands Dr, Docklands)',
+        kind: 'office',
+        lat: -37.8190,
+        lon: 144.9460,
+        color: '#e74c3c',
+        checkCommute: true
+    },
+    {
+        id: 'canva',
+        name: 'Canva',
+        label: 'Canva (30 Rupert St, Collingwood)',
+        kind: 'office',
+        lat: -37.8024,
+        lon: 144.9927,
+        color: '#9b59b6',
+        checkCommute: true
+    }
+];
+
+const store = createJsonStore(path.join(__dirname, '..', 'data', 'destinations.json'), { seed: DEFAULT_DESTINATIONS });
+
+let staticTimes = null;
+function loadStaticTimes() {
+    if (staticTimes) return staticTimes;
+    try {
+        staticTimes = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'commute-times.json'), 'utf8'));
+    } catch (e) {
+        console.error('Failed to load commute times:', e.message);
+        staticTimes = {};
+    }
+    return staticTimes;
+}
+
+// Public transport times per destination: { [destinationId]: { [suburbName]: '45 min by train' } }.
+// Timetable times from data/transit-times.json override the hand-entered data/commute-times.json, and a
+// destination's own transitTimes override both.
+function transitTimesTable(destinations = store.list()) {
+    const table = {};
+    for (const d of destinations) {
+        table[d.id] = { ...(loadStaticTimes()[d.id] || {}), ...(travelTimes.transitTexts()[d.id] || {}), ...(d.transitTimes || {}) };
+    }
+    return table;
+}
+
+// Public transport time (e.g. '45 min by train') from a suburb to a destination, or null
+function transitTimeFor(destination, suburbName) {
+    const [entry] = commutesForSuburb(suburbName, [destination]);
+    return entry.text;
+}
+
+// Suburbs that have a public transport time to at least one destination
+function suburbsWithTransitTimes(destinations = store.list()) {
+    const names = new Set();
+    Object.values(transitTimesTable(destinations)).forEach(t => Object.keys(t).forEach(n => names.add(n)));
+    return [...names];
+}
+
+// Per-destination commute entries for lib/assess.js (context.commutes)
+function commutesForSuburb(suburbName, destinations = store.list()) {
+    return assess.commutesForSuburb(suburbName, destinations, transitTimesTable(destinations));
+}
+
+function validateDestination(input, base = {}) {
+    const src = input || {};
+    const errors = [];
+    const destination = {};
+
+    destination.name = src.name != null ? String(src.name).trim() : base.name;
+    if (!destination.name) errors.push('name is required');
+    destination.label = src.label != null ? String(src.label).trim() : (base.label || destination.name);
+
+    for (const key of ['lat', 'lon']) {
+        const value = key in src ? parseFloat(src[key]) : base[key];
+        if (!Number.isFinite(value)) errors.push(`${key} must be a number`);
+        destination[key] = value;
+    }
+    if (Number.isFinite(destination.lat) && (destination.lat < -90 || destination.lat > 90)) errors.push('lat out of range');
+    if (Number.isFinite(destination.lon) && (destination.lon < -180 || destination.lon > 180)) errors.push('lon out of range');
+
+    destination.kind = src.kind || base.kind || 'other';
+    if (!KINDS.includes(destination.kind)) errors.push(`kind must be one of ${KINDS.join(', ')}`);
+    destination.color = src.color || base.color || '#1976d2';
+    if (!/^#[0-9a-f]{3,8}$/i.test(destination.color)) errors.push('color must be a hex colour');
+    destination.checkCommute = 'checkCommute' in src ? src.checkCommute !== false && src.checkCommute !== 'false' : base.checkCommute !== false;
+
+    const times = 'transitTimes' in src ? src.transitTimes : base.transitTimes;
+    if (times != null && (typeof times !== 'object' || Array.isArray(times))) errors.push('transitTimes must be an object of suburb -> time text');
+    if (times) destination.transitTimes = times;
+
+    return { destination, errors };
+}
+
+function listDestinations() {
+    return store.list();
+}
+
+function getDestination(id) {
+    return store.get(id);
+}
+
+function createDestination(input) {
+    const { destination, errors } = validateDestination(input);
+    if (errors.length) return { errors };
+    return { destination: store.create(destination) };
+}
+
+function updateDestination(id, input) {
+    const existing = store.get(id);
+    if (!existing) return null;
+    const { destination, errors } = validateDestination(input, existing);
+    if (errors.length) return { errors };
+    return { destination: store.update(id, destination) };
+}
+
+function deleteDestination(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    DEFAULT_DESTINATIONS,
+    KINDS,
+    transitTimesTable,
+    transitTimeFor,
+    suburbsWithTransitTimes,
+    commutesForSuburb,
+    validateDestination,
+    listDestinations,
+    getDestination,
+    createDestination,
+    updateDestination,
+    deleteDestination
+};
@@ -0,0 +1,17 @@
+// Great-circle distances between lat/lon points, shared by the server, the providers, the amenity
+// counts and the journey planner.
+
+const EARTH_RADIUS_KM = 6371;
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+    const dLat = ((lat2 - lat1) * Math.PI) / 180;
+    const dLon = ((lon2 - lon1) * Math.PI) / 180;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function haversineM(lat1, lon1, lat2, lon2) {
+    return haversineKm(lat1, lon1, lat2, lon2) * 1000;
+}
+
+module.exports = { EARTH_RADIUS_KM, haversineKm, haversineM };
@@ -0,0 +1,218 @@
+// GTFS static feed loader. Reads a feed from a zip, a zip of zips (PTV publishes one google_transit.zip
+// per mode in numbered folders) or an unpacked directory, and keeps only the trips that run on one
+// service date, so a weekday of Melbourne's timetable fits in memory.
+//
+// The result is a plain network: stops (platforms and stops, not parent stations), routes and trips,
+// each trip with its stop indexes and arrival/departure times in seconds after midnight of the service
+// date (times past 24:00 run on into the next morning). ./raptor.js indexes it for journey planning.
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// GTFS route_type -> mode name used in journey legs (basic types and the extended 100-1700 ranges)
+function modeOf(routeType) {
+    const t = Number(routeType);
+    if (t === 0 || t === 5 || (t >= 900 && t < 1000)) return 'tram';
+    if (t === 1 || t === 2 || (t >= 100 && t < 200) || (t >= 300 && t < 500)) return 'train';
+    if (t === 3 || t === 11 || (t >= 200 && t < 300) || (t >= 700 && t < 900)) return 'bus';
+    if (t === 4 || (t >= 1000 && t < 1300)) return 'ferry';
+    return 'transit';
+}
+
+// '08:05:00' -> 29100; '25:10:00' -> 90600; '' -> null
+function parseTime(text) {
+    const m = /^\s*(\d+):(\d{2}):(\d{2})\s*$/.exec(text || '');
+    return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+function splitCsvLine(line) {
+    if (!line.includes('"')) return line.split(',');
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else field += ch;
+    }
+    fields.push(field);
+    return fields;
+}
+
+// Call onRow(record) for each data row of a CSV buffer, record being column name -> value. Lines are
+// decoded one at a time: stop_times.txt for a whole state is larger than the longest string V8 allows.
+function eachRow(buffer, onRow) {
+    if (!buffer) return;
+    let pos = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? 3 : 0;
+    let columns = null;
+    while (pos < buffer.length) {
+        let end = buffer.indexOf(10, pos);
+        if (end === -1) end = buffer.length;
+        let line = buffer.toString('utf8', pos, end);
+        pos = end + 1;
+        if (line.endsWith('\r')) line = line.slice(0, -1);
+        if (!line.trim()) continue;
+        const fields = splitCsvLine(line);
+        if (!columns) {
+            columns = fields.map(f => f.trim());
+            continue;
+        }
+        const record = {};
+        for (let i = 0; i < columns.length; i++) record[columns[i]] = fields[i] !== undefined ? fields[i] : '';
+        onRow(record);
+    }
+}
+
+// Sub-feeds as { name, read(file) -> Buffer | null }. A zip holding other zips yields one sub-feed per
+// inner zip (named by its folder, e.g. '2' for PTV metro trains); feeds, when given, keeps only those.
+function openFeed(feedPath, feeds) {
+    const stat = fs.statSync(feedPath);
+    if (stat.isDirectory()) {
+        return [{ name: path.basename(feedPath), read: file => (fs.existsSync(path.join(feedPath, file)) ? fs.readFileSync(path.join(feedPath, file)) : null) }];
+    }
+    return zipFeeds(new AdmZip(feedPath), path.basename(feedPath, '.zip'), feeds);
+}
+
+function zipFeeds(zip, name, feeds) {
+    const entries = zip.getEntries();
+    const byName = new Map(entries.map(e => [e.entryName.split('/').pop(), e]));
+    if (byName.has('stop_times.txt')) {
+        return [{ name, read: file => (byName.has(file) ? byName.get(file).getData() : null) }];
+    }
+    return entries
+        .filter(e => /\.zip$/i.test(e.entryName))
+        .map(e => ({ entry: e, name: e.entryName.split('/').slice(0, -1).join('/') || path.basename(e.entryName, '.zip') }))
+        .filter(({ name: inner }) => !feeds || feeds.includes(inner))
+        .flatMap(({ entry, name: inner }) => zipFeeds(new AdmZip(entry.getData()), inner, null));
+}
+
+function ymd(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Service ids running on a YYYYMMDD date, from calendar.txt plus calendar_dates.txt exceptions
+function activeServices(calendar, calendarDates, date) {
+    const weekday = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T12:00:00Z`).getUTCDay()];
+    const active = new Set(calendar
+        .filter(c => c.start_date <= date && c.end_date >= date && c[weekday] === '1')
+        .map(c => c.service_id));
+    calendarDates.filter(c => c.date === date).forEach(c => {
+        if (c.exception_type === '1') active.add(c.service_id);
+        if (c.exception_type === '2') active.delete(c.service_id);
+    });
+    return active;
+}
+
+// First weekday on or after `from` that the calendars cover (Monday after a weekend; the calendars'
+// first weekday when `from` is outside them), as YYYYMMDD
+function defaultServiceDate(calendars, from = new Date()) {
+    const starts = calendars.map(c => c.start_date).filter(Boolean).sort();
+    const ends = calendars.map(c => c.end_date).filter(Boolean).sort();
+    let day = new Date(Date.UTC(from.getFullYear(), from.getMonth(), from.getDate()));
+    if (starts.length && (ymd(day) < starts[0] || ymd(day) > ends[ends.length - 1])) {
+        const s = starts[0];
+        day = new Date(Date.UTC(Number(s.slice(0, 4)), Number(s.slice(4, 6)) - 1, Number(s.slice(6))));
+    }
+    while (day.getUTCDay() === 0 || day.getUTCDay() === 6) day.setUTCDate(day.getUTCDate() + 1);
+    return ymd(day);
+}
+
+// Fill missing stop times (non-timepoints) by interpolating between the known ones
+function interpolate(times) {
+    let last = -1;
+    for (let i = 0; i < times.length; i++) {
+        if (times[i] == null) continue;
+        if (last === -1) {
+            for (let j = 0; j < i; j++) times[j] = times[i];
+        } else if (i - last > 1) {
+            for (let j = last + 1; j < i; j++) times[j] = Math.round(times[last] + ((times[i] - times[last]) * (j - last)) / (i - last));
+        }
+        last = i;
+    }
+    for (let j = last + 1; j < times.length; j++) times[j] = last === -1 ? 0 : times[last];
+}
+
+// Load a feed for one service date. options.date: 'YYYY-MM-DD' or 'YYYYMMDD' (default: see
+// defaultServiceDate); options.feeds: sub-feed folder names to load from a zip of zips (default all).
+// Returns { serviceDate, feeds, stops, routes, trips }:
+//   stops  - [{ id, name, lat, lon }]
+//   routes - [{ id, name, longName, mode }]
+//   trips  - [{ id, route (index), headsign, stops: [stop index], arr: [s], dep: [s] }]
+function loadFeed(feedPath, options = {}) {
+    const subFeeds = openFeed(feedPath, options.feeds);
+    if (!subFeeds.length) throw new Error(`No GTFS feed found in ${feedPath}`);
+    const multi = subFeeds.length > 1;
+
+    const calendars = subFeeds.map(feed => {
+        const calendar = [];
+        const calendarDates = [];
+        eachRow(feed.read('calendar.txt'), r => calendar.push(r));
+        eachRow(feed.read('calendar_dates.txt'), r => calendarDates.push(r));
+        return { calendar, calendarDates };
+    });
+    const serviceDate = options.date
+        ? String(options.date).replace(/-/g, '')
+        : defaultServiceDate(calendars.flatMap(c => c.calendar.length ? c.calendar : c.calendarDates.map(d => ({ start_date: d.date, end_date: d.date }))));
+
+    const network = { serviceDate: `${serviceDate.slice(0, 4)}-${serviceDate.slice(4, 6)}-${serviceDate.slice(6)}`, feeds: [], stops: [], routes: [], trips: [] };
+    const stopIndex = new Map();
+    const routeIndex = new Map();
+
+    subFeeds.forEach((feed, f) => {
+        // Ids are only unique within a feed, so sub-feeds of a zip of zips get their folder as a prefix
+        const key = id => (multi ? `${feed.name}:${id}` : id);
+        const services = activeServices(calendars[f].calendar, calendars[f].calendarDates, serviceDate);
+        const counts = { name: feed.name, stops: 0, trips: 0 };
+
+        eachRow(feed.read('stops.txt'), r => {
+            if (r.location_type && r.location_type !== '0') return;
+            const lat = parseFloat(r.stop_lat);
+            const lon = parseFloat(r.stop_lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+            stopIndex.set(key(r.stop_id), network.stops.length);
+            network.stops.push({ id: key(r.stop_id), name: r.stop_name, lat, lon });
+            counts.stops++;
+        });
+        eachRow(feed.read('routes.txt'), r => {
+            routeIndex.set(key(r.route_id), network.routes.length);
+            network.routes.push({ id: key(r.route_id), name: r.route_short_name || r.route_long_name, longName: r.route_long_name || null, mode: modeOf(r.route_type) });
+        });
+
+        const trips = new Map();
+        eachRow(feed.read('trips.txt'), r => {
+            if (!services.has(r.service_id) || !routeIndex.has(key(r.route_id))) return;
+            trips.set(r.trip_id, { id: key(r.trip_id), route: routeIndex.get(key(r.route_id)), headsign: r.trip_headsign || null, rows: [] });
+        });
+        eachRow(feed.read('stop_times.txt'), r => {
+            const trip = trips.get(r.trip_id);
+            const stop = stopIndex.get(key(r.stop_id));
+            if (!trip || stop === undefined) return;
+            trip.rows.push([Number(r.stop_sequence), stop, parseTime(r.arrival_time), parseTime(r.departure_time)]);
+        });
+
+        trips.forEach(trip => {
+            if (trip.rows.length < 2) return;
+            trip.rows.sort((a, b) => a[0] - b[0]);
+            const arr = trip.rows.map(row => (row[2] != null ? row[2] : row[3]));
+            const dep = trip.rows.map(row => (row[3] != null ? row[3] : row[2]));
+            interpolate(arr);
+            interpolate(dep);
+            network.trips.push({ id: trip.id, route: trip.route, headsign: trip.headsign, stops: trip.rows.map(row => row[1]), arr, dep });
+            counts.trips++;
+        });
+        network.feeds.push(counts);
+    });
+    return network;
+}
+
+module.exports = { modeOf, parseTime, splitCsvLine, eachRow, activeServices, defaultServiceDate, loadFeed };
@@ -0,0 +1,153 @@
+// Timetable-based public transport journeys from a local GTFS static feed: ./feed.js loads one service
+// date, ./raptor.js plans earliest-arrival journeys over it, and this module samples a departure window
+// and formats the results for the API and scripts/precompute-transit-times.js.
+//
+// The feed is configured by GTFS_PATH (zip, PTV's zip of per-mode zips, or a directory; default
+// data/gtfs/gtfs.zip), GTFS_DATE (service date, default the next weekday the feed covers) and GTFS_FEEDS
+// (folders to load from a zip of zips, e.g. '1,2,3,4' for PTV's trains, trams and metro buses).
+
+const fs = require('fs');
+const path = require('path');
+const feed = require('./feed');
+const raptor = require('./raptor');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'gtfs', 'gtfs.zip');
+const DEFAULT_STEP_MINUTES = 10;
+const MAX_WINDOW_MINUTES = 180;
+
+// '08:05' or '8:05' -> 29100 seconds after midnight; null for anything else
+function parseClock(text) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!m || Number(m[1]) > 27 || Number(m[2]) > 59) return null;
+    return Number(m[1]) * 3600 + Number(m[2]) * 60;
+}
+
+// Seconds after midnight -> 'HH:MM' (times past midnight wrap to the next morning)
+function formatClock(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const h = Math.floor(minutes / 60) % 24;
+    return `${String(h).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatJourney(j) {
+    const rides = j.legs.filter(l => l.mode !== 'walk');
+    const walkSeconds = j.legs.filter(l => l.mode === 'walk').reduce((sum, l) => sum + l.seconds, 0);
+    return {
+        departure: formatClock(j.departure),
+        arrival: formatClock(j.arrival),
+        durationMinutes: Math.round((j.arrival - j.departure) / 60),
+        transfers: Math.max(0, rides.length - 1),
+        walkMinutes: Math.round(walkSeconds / 60),
+        lines: rides.map(l => `${l.mode} ${l.line}`),
+        legs: j.legs.map(l => (l.mode === 'walk'
+            ? { mode: 'walk', from: l.from, to: l.to, minutes: Math.max(1, Math.round(l.seconds / 60)), distanceKm: Math.round(l.distanceM / 10) / 100 }
+            : { mode: l.mode, line: l.line, headsign: l.headsign, from: l.from, to: l.to, departure: formatClock(l.departure), arrival: formatClock(l.arrival), stops: l.stops }))
+    };
+}
+
+// '38 min by train' for a formatted journey: the mode that carries it furthest in time, or a walk.
+// minutes defaults to the journey's own duration.
+function describeJourney(journey, minutes = journey.durationMinutes) {
+    const rides = journey.legs.filter(l => l.mode !== 'walk');
+    if (!rides.length) return `${minutes} min walk`;
+    const byMode = {};
+    rides.forEach(l => {
+        byMode[l.mode] = (byMode[l.mode] || 0) + (parseClock(l.arrival) - parseClock(l.departure) + 86400) % 86400;
+    });
+    const mode = Object.keys(byMode).sort((a, b) => byMode[b] - byMode[a])[0];
+    return `${minutes} min by ${mode}`;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// Journeys from a point to each target over a departure window: one earliest-arrival query per
+// departure, every stepMinutes from departAfter (seconds) for windowMinutes. A single query serves all
+// targets. Returns one result per target, in order: { journeys, fastest, medianMinutes, text } with
+// distinct journeys sorted by departure, or journeys [] and the rest null when none gets there.
+function planJourneys(index, from, targets, { departAfter, windowMinutes = 0, stepMinutes = DEFAULT_STEP_MINUTES } = {}) {
+    const departures = [];
+    for (let m = 0; m <= windowMinutes; m += stepMinutes) departures.push(departAfter + m * 60);
+    const found = targets.map(() => new Map());
+    const perDeparture = targets.map(() => []);
+    departures.forEach(departure => {
+        const labels = raptor.query(index, from, departure, { to: targets.length === 1 ? targets[0] : undefined });
+        targets.forEach((to, i) => {
+            const j = raptor.journeyTo(index, labels, to);
+            if (!j) return;
+            // Door to door from the requested time, waiting included, for the typical trip length
+            perDeparture[i].push(Math.round((j.arrival - departure) / 60));
+            const key = `${j.departure}-${j.arrival}-${j.legs.length}`;
+            if (!found[i].has(key)) found[i].set(key, formatJourney(j));
+        });
+    });
+    return targets.map((to, i) => {
+        const journeys = [...found[i].values()].sort((a, b) => parseClock(a.departure) - parseClock(b.departure));
+        if (!journeys.length) return { journeys, fastest: null, medianMinutes: null, text: null };
+        const fastest = journeys.reduce((a, b) => (b.durationMinutes < a.durationMinutes ? b : a));
+        return { journeys, fastest, medianMinutes: median(perDeparture[i]), text: describeJourney(fastest) };
+    });
+}
+
+function planJourney(index, from, to, options) {
+    return planJourneys(index, from, [to], options)[0];
+}
+
+// Load and index a feed: { serviceDate, feeds, stops, trips, patterns, index }
+function loadNetwork(feedPath, options = {}) {
+    const network = feed.loadFeed(feedPath, options);
+    const index = raptor.buildIndex(network);
+    return { serviceDate: network.serviceDate, feeds: network.feeds, stops: network.stops.length, trips: network.trips.length, patterns: index.patterns.length, index };
+}
+
+// The feed configured by GTFS_PATH / GTFS_DATE / GTFS_FEEDS, loaded once on first use
+let configured = null; // { state: 'none' | 'ready' | 'failed', path, network, error }
+
+function configuredFeed(env = process.env) {
+    if (configured) return configured;
+    const feedPath = env.GTFS_PATH || DEFAULT_PATH;
+    if (!fs.existsSync(feedPath)) {
+        configured = { state: 'none', path: feedPath, network: null, error: null };
+        return configured;
+    }
+    try {
+        const feeds = env.GTFS_FEEDS ? env.GTFS_FEEDS.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+        configured = { state: 'ready', path: feedPath, network: loadNetwork(feedPath, { date: env.GTFS_DATE, feeds }), error: null };
+    } catch (error) {
+        configured = { state: 'failed', path: feedPath, network: null, error: error.message };
+    }
+    return configured;
+}
+
+// Feed status without the index, for logs and the API
+function describeFeed() {
+    const c = configured || { state: 'not loaded', path: process.env.GTFS_PATH || DEFAULT_PATH, network: null, error: null };
+    const n = c.network;
+    return {
+        state: c.state,
+        path: c.path,
+        error: c.error,
+        serviceDate: n ? n.serviceDate : null,
+        feeds: n ? n.feeds : [],
+        stops: n ? n.stops : 0,
+        trips: n ? n.trips : 0,
+        patterns: n ? n.patterns : 0
+    };
+}
+
+module.exports = {
+    DEFAULT_STEP_MINUTES,
+    MAX_WINDOW_MINUTES,
+    parseClock,
+    formatClock,
+    formatJourney,
+    describeJourney,
+    planJourneys,
+    planJourney,
+    loadNetwork,
+    configuredFeed,
+    describeFeed
+};
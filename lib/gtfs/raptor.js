@@ -0,0 +1,296 @@
+// Earliest-arrival journey planning over a loaded GTFS network (./feed.js) with RAPTOR (Delling, Pajor
+// and Werneck, "Round-Based Public Transit Routing"). Round k finds the best arrival at every stop using
+// at most k vehicles: each round scans the trip patterns serving stops improved in the round before,
+// then relaxes walking transfers between nearby stops.
+//
+// Journeys are door to door: a walk from the origin point to stops within reach, transit legs with
+// transfers, and a walk from the last stop to the destination point. Walks use the local router's
+// walking profile (straight line times a detour factor), so estimated walks match elsewhere in the app.
+
+const { ROUTE_PROFILES } = require('../providers/local');
+const { haversineM } = require('../geo');
+
+const MAX_ROUNDS = 5; // up to four transfers
+const MAX_TRANSFER_M = 400; // walking transfers between stops
+const MAX_ACCESS_M = 2000; // walks to and from the first and last stop
+const MIN_TRANSFER_S = 60;
+const CELL_DEG = 0.01; // spatial grid for nearby-stop searches (~1.1 km north-south)
+const INF = 0x7fffffff;
+
+const WALK = ROUTE_PROFILES.walking;
+
+// Walking distance (m) and time (s) for a straight-line distance in metres
+function walkLeg(straightM) {
+    const distanceM = straightM * WALK.detour;
+    return { distanceM, seconds: Math.round(distanceM / (WALK.kmh / 3.6)) };
+}
+
+function cellKey(lat, lon) {
+    return `${Math.floor(lat / CELL_DEG)}:${Math.floor(lon / CELL_DEG)}`;
+}
+
+// Stops within maxM of a point: [{ stop, straightM }]
+function stopsNear(index, lat, lon, maxM) {
+    const reach = Math.ceil(maxM / 1000 / (CELL_DEG * 111 * Math.cos((lat * Math.PI) / 180))) + 1;
+    const row = Math.floor(lat / CELL_DEG);
+    const col = Math.floor(lon / CELL_DEG);
+    const found = [];
+    for (let r = row - reach; r <= row + reach; r++) {
+        for (let c = col - reach; c <= col + reach; c++) {
+            (index.grid.get(`${r}:${c}`) || []).forEach(stop => {
+                const s = index.network.stops[stop];
+                const straightM = haversineM(lat, lon, s.lat, s.lon);
+                if (straightM <= maxM) found.push({ stop, straightM });
+            });
+        }
+    }
+    return found;
+}
+
+// Group trips into patterns (same route and stop sequence), sorted by departure. A trip that overtakes
+// the one before it starts another pattern, so each pattern's times rise down every column and the
+// earliest catchable trip can be found by binary search.
+function buildPatterns(network) {
+    const groups = new Map();
+    network.trips.forEach((trip, t) => {
+        const key = `${trip.route}|${trip.stops.join(',')}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    });
+    const patterns = [];
+    groups.forEach(tripIdxs => {
+        tripIdxs.sort((a, b) => network.trips[a].dep[0] - network.trips[b].dep[0]);
+        const lanes = [];
+        tripIdxs.forEach(t => {
+            const trip = network.trips[t];
+            const lane = lanes.find(l => {
+                const prev = network.trips[l[l.length - 1]];
+                return trip.arr.every((v, i) => v >= prev.arr[i]) && trip.dep.every((v, i) => v >= prev.dep[i]);
+            });
+            if (lane) lane.push(t);
+            else lanes.push([t]);
+        });
+        lanes.forEach(lane => {
+            const first = network.trips[lane[0]];
+            const n = first.stops.length;
+            const arr = new Int32Array(lane.length * n);
+            const dep = new Int32Array(lane.length * n);
+            lane.forEach((t, k) => {
+                const trip = network.trips[t];
+                for (let i = 0; i < n; i++) {
+                    arr[k * n + i] = trip.arr[i];
+                    dep[k * n + i] = trip.dep[i];
+                }
+            });
+            patterns.push({ route: first.route, stops: Int32Array.from(first.stops), trips: lane, arr, dep });
+        });
+    });
+    return patterns;
+}
+
+// Index a network for queries: patterns, the patterns serving each stop, walking transfers and a grid
+function buildIndex(network) {
+    const patterns = buildPatterns(network);
+    const stopPatterns = network.stops.map(() => []);
+    patterns.forEach((p, pi) => p.stops.forEach((s, pos) => stopPatterns[s].push([pi, pos])));
+
+    const grid = new Map();
+    network.stops.forEach((s, i) => {
+        const key = cellKey(s.lat, s.lon);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+    });
+    const index = { network, patterns, stopPatterns, grid, transfers: null };
+    index.transfers = network.stops.map((s, i) => stopsNear(index, s.lat, s.lon, MAX_TRANSFER_M)
+        .filter(n => n.stop !== i)
+        .map(n => [n.stop, Math.max(MIN_TRANSFER_S, walkLeg(n.straightM).seconds)]));
+    return index;
+}
+
+// First trip of a pattern leaving position pos at or after time, or -1
+function earliestTrip(p, pos, time) {
+    const n = p.stops.length;
+    let lo = 0;
+    let hi = p.trips.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (p.dep[mid * n + pos] < time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo < p.trips.length ? lo : -1;
+}
+
+// Best arrival at every stop from a point, leaving at `departure` (seconds after midnight).
+// options.to: { lat, lon } prunes the search to what can still beat the best arrival there.
+// Returns labels for journeyTo().
+function query(index, from, departure, options = {}) {
+    const { network, patterns, stopPatterns, transfers } = index;
+    const nStops = network.stops.length;
+    const rounds = options.maxRounds || MAX_ROUNDS;
+    const best = new Int32Array(nStops).fill(INF);
+    const arrival = [new Int32Array(nStops).fill(INF)];
+    // How each label was reached: kind 0 none, 1 access walk, 2 ride (pattern, trip, board position),
+    // 3 walking transfer (from stop)
+    const kind = [new Uint8Array(nStops)];
+    const via = [new Int32Array(nStops)];
+    const trip = [new Int32Array(nStops)];
+    const board = [new Int32Array(nStops)];
+
+    let marked = new Set();
+    stopsNear(index, from.lat, from.lon, options.accessM || MAX_ACCESS_M).forEach(({ stop, straightM }) => {
+        const t = departure + walkLeg(straightM).seconds;
+        if (t < arrival[0][stop]) {
+            arrival[0][stop] = t;
+            best[stop] = t;
+            kind[0][stop] = 1;
+            marked.add(stop);
+        }
+    });
+
+    // Target pruning: egress stops with their walk to the destination
+    const egress = options.to ? stopsNear(index, options.to.lat, options.to.lon, options.accessM || MAX_ACCESS_M)
+        .map(({ stop, straightM }) => [stop, walkLeg(straightM).seconds]) : [];
+    let bound = INF;
+    const updateBound = () => {
+        egress.forEach(([stop, seconds]) => {
+            if (best[stop] !== INF && best[stop] + seconds < bound) bound = best[stop] + seconds;
+        });
+    };
+
+    for (let k = 1; k <= rounds && marked.size; k++) {
+        const prev = arrival[k - 1];
+        arrival.push(new Int32Array(nStops).fill(INF));
+        kind.push(new Uint8Array(nStops));
+        via.push(new Int32Array(nStops));
+        trip.push(new Int32Array(nStops));
+        board.push(new Int32Array(nStops));
+        const cur = arrival[k];
+
+        // Patterns to scan, each from the earliest marked stop on it
+        const queue = new Map();
+        marked.forEach(stop => stopPatterns[stop].forEach(([pi, pos]) => {
+            if (!queue.has(pi) || pos < queue.get(pi)) queue.set(pi, pos);
+        }));
+
+        const improved = new Set();
+        queue.forEach((start, pi) => {
+            const p = patterns[pi];
+            const n = p.stops.length;
+            let t = -1;
+            let boardPos = -1;
+            for (let pos = start; pos < n; pos++) {
+                const stop = p.stops[pos];
+                if (t !== -1) {
+                    const at = p.arr[t * n + pos];
+                    if (at < best[stop] && at < bound) {
+                        cur[stop] = at;
+                        best[stop] = at;
+                        kind[k][stop] = 2;
+                        via[k][stop] = pi;
+                        trip[k][stop] = t;
+                        board[k][stop] = boardPos;
+                        improved.add(stop);
+                    }
+                }
+                // Catch an earlier trip here if the previous round arrived in time for one
+                if (prev[stop] !== INF && (t === -1 || prev[stop] <= p.dep[t * n + pos])) {
+                    const ready = kind[k - 1][stop] === 2 ? prev[stop] + MIN_TRANSFER_S : prev[stop];
+                    const e = earliestTrip(p, pos, ready);
+                    if (e !== -1 && (t === -1 || e < t)) {
+                        t = e;
+                        boardPos = pos;
+                    }
+                }
+            }
+        });
+
+        // Walking transfers from stops reached by vehicle in this round. A stop just reached by vehicle
+        // keeps that label, so walks traced back from it stay consistent.
+        const walked = new Set();
+        improved.forEach(stop => transfers[stop].forEach(([to, seconds]) => {
+            const at = cur[stop] + seconds;
+            if (!improved.has(to) && at < best[to] && at < bound) {
+                cur[to] = at;
+                best[to] = at;
+                kind[k][to] = 3;
+                via[k][to] = stop;
+                walked.add(to);
+            }
+        }));
+        updateBound();
+        marked = new Set([...improved, ...walked]);
+    }
+    return { from, departure, arrival, kind, via, trip, board };
+}
+
+// Earliest-arriving journey from query() labels to a point, or null when none reaches it (including a
+// walk all the way, when that is quicker). Legs: walk { mode: 'walk', from, to, seconds, distanceM } and
+// transit { mode, line, headsign, from, to, departure, arrival, stops }.
+function journeyTo(index, labels, to, options = {}) {
+    const { network, patterns } = index;
+    const maxM = options.accessM || MAX_ACCESS_M;
+    let bestEnd = null;
+    stopsNear(index, to.lat, to.lon, maxM).forEach(({ stop, straightM }) => {
+        const egress = walkLeg(straightM);
+        labels.arrival.forEach((arr, k) => {
+            // Round 0 only walks to stops without boarding; a walk-only trip is the direct walk below
+            if (k === 0 || arr[stop] === INF) return;
+            const at = arr[stop] + egress.seconds;
+            if (!bestEnd || at < bestEnd.at || (at === bestEnd.at && k < bestEnd.k)) bestEnd = { at, k, stop, egress };
+        });
+    });
+
+    const direct = walkLeg(haversineM(labels.from.lat, labels.from.lon, to.lat, to.lon));
+    if (direct.distanceM <= maxM * 2 && (!bestEnd || labels.departure + direct.seconds <= bestEnd.at)) {
+        return {
+            departure: labels.departure,
+            arrival: labels.departure + direct.seconds,
+            legs: [{ mode: 'walk', from: null, to: null, seconds: direct.seconds, distanceM: Math.round(direct.distanceM) }]
+        };
+    }
+    if (!bestEnd) return null;
+
+    const legs = [{ mode: 'walk', from: network.stops[bestEnd.stop].name, to: null, seconds: bestEnd.egress.seconds, distanceM: Math.round(bestEnd.egress.distanceM) }];
+    let k = bestEnd.k;
+    let stop = bestEnd.stop;
+    while (labels.kind[k][stop] !== 1) {
+        if (labels.kind[k][stop] === 3) {
+            const fromStop = labels.via[k][stop];
+            legs.unshift({
+                mode: 'walk',
+                from: network.stops[fromStop].name,
+                to: network.stops[stop].name,
+                seconds: labels.arrival[k][stop] - labels.arrival[k][fromStop],
+                distanceM: Math.round(walkLeg(haversineM(network.stops[fromStop].lat, network.stops[fromStop].lon, network.stops[stop].lat, network.stops[stop].lon)).distanceM)
+            });
+            stop = fromStop;
+            continue;
+        }
+        const p = patterns[labels.via[k][stop]];
+        const t = labels.trip[k][stop];
+        const boardPos = labels.board[k][stop];
+        const n = p.stops.length;
+        const alightPos = p.stops.indexOf(stop, boardPos + 1);
+        const route = network.routes[p.route];
+        legs.unshift({
+            mode: route.mode,
+            line: route.name,
+            headsign: network.trips[p.trips[t]].headsign,
+            from: network.stops[p.stops[boardPos]].name,
+            to: network.stops[stop].name,
+            departure: p.dep[t * n + boardPos],
+            arrival: p.arr[t * n + alightPos],
+            stops: alightPos - boardPos
+        });
+        stop = p.stops[boardPos];
+        k--;
+    }
+    const access = walkLeg(haversineM(labels.from.lat, labels.from.lon, network.stops[stop].lat, network.stops[stop].lon));
+    legs.unshift({ mode: 'walk', from: null, to: network.stops[stop].name, seconds: access.seconds, distanceM: Math.round(access.distanceM) });
+
+    // Leave as late as still catches the first vehicle, not at the requested departure time
+    const firstRide = legs.find(l => l.mode !== 'walk');
+    return { departure: firstRide.departure - access.seconds, arrival: bestEnd.at, legs };
+}
+
+module.exports = { MAX_ROUNDS, MAX_TRANSFER_M, MAX_ACCESS_M, haversineM, walkLeg, buildIndex, query, journeyTo };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Small JSON-file backed collection ({ items: [...] }). Every write rewrites the file,
+// which is fine for the handful of records per collection this app keeps.
+function createJsonStore(filePath, { seed = [] } = {}) {
+    let items = null;
+
+    function seeded() {
+        return seed.map(item => ({ ...item }));
+    }
+
+    // A missing file starts from the seed. A file that is not a valid collection is moved aside
+    // (<name>.corrupt-<time>) rather than overwritten by the next save; other read errors are thrown.
+    function load() {
+        if (items) return items;
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            items = seeded();
+            return items;
+        }
+        try {
+            const raw = JSON.parse(text);
+            if (!raw || !Array.isArray(raw.items)) throw new Error('no items array');
+            items = raw.items;
+        } catch (e) {
+            const aside = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, aside);
+            console.error(`${path.basename(filePath)} could not be read (${e.message}); moved it to ${path.basename(aside)} and started afresh`);
+            items = seeded();
+        }
+        return items;
+    }
+
+    // Write a temp file and rename it over the old one, so a crash mid-write cannot truncate the collection
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ items }, null, 2) + '\n', 'utf8');
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function list() {
+        return load().slice();
+    }
+
+    function get(id) {
+        return load().find(item => item.id === id) || null;
+    }
+
+    function create(fields) {
+        load();
+        const now = new Date().toISOString();
+        const item = { ...fields, id: fields.id || crypto.randomUUID(), createdAt: now, updatedAt: now };
+        if (get(item.id)) throw new Error(`Item '${item.id}' already exists`);
+        items.push(item);
+        save();
+        return item;
+    }
+
+    function update(id, fields) {
+        load();
+        const idx = items.findIndex(item => item.id === id);
+        if (idx < 0) return null;
+        items[idx] = { ...items[idx], ...fields, id, createdAt: items[idx].createdAt, updatedAt: new Date().toISOString() };
+        save();
+        return items[idx];
+    }
+
+    function remove(id) {
+        load();
+        const idx = items.findIndex(item => item.id === id);
+        if (idx < 0) return false;
+        items.splice(idx, 1);
+        save();
+        return true;
+    }
+
+    return { list, get, create, update, remove };
+}
+
+module.exports = { createJsonStore };
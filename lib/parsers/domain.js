@@ -0,0 +1,71 @@
+// domain.com.au listing pages. The page is a Next.js app: the listing sits in __NEXT_DATA__ under
+// props.pageProps.componentProps (listingSummary for price, counts, type and address; features and
+// structuredFeatures for pool and garden).
+
+const extract = require('./extract');
+
+// Slug words before the state: ...-5-foo-st-south-morang-vic-3752-2020549940 -> ['foo', 'st', 'south', 'morang']
+function slugWords(url) {
+    const m = String(url || '').match(/domain\.com\.au\/([^/?#]+)/i);
+    if (!m) return [];
+    const parts = m[1].split('-');
+    const stateIdx = parts.findIndex(p => /^(nsw|vic|qld|sa|wa|tas|nt|act)$/i.test(p));
+    if (stateIdx <= 0) return [];
+    return parts.slice(0, stateIdx).filter(p => !/^\d+[a-z]?$/i.test(p));
+}
+
+// Suburb from the URL slug. The slug starts with the street, so with matchSuburb (name -> stored name
+// or null) the longest run of trailing words naming a known suburb wins; without it, every word is used.
+function suburbFromUrl(url, { matchSuburb } = {}) {
+    const words = slugWords(url);
+    if (!words.length) return null;
+    if (matchSuburb) {
+        for (let i = 0; i < words.length; i++) {
+            const found = matchSuburb(words.slice(i).join(' '));
+            if (found) return found;
+        }
+    }
+    return extract.titleCase(words.join(' '));
+}
+
+function nextData(ctx) {
+    const fields = {};
+    const script = extract.scriptContents(ctx.html, /id\s*=\s*["']__NEXT_DATA__["']/i)[0];
+    const data = script && extract.parseJson(script.trim());
+    const props = data && data.props && data.props.pageProps && data.props.pageProps.componentProps;
+    if (!props) return { fields, source: '__NEXT_DATA__', confidence: 'high' };
+
+    const summary = props.listingSummary || {};
+    fields.price = extract.parsePriceText(summary.title || summary.price || props.price || '').price;
+    fields.bedrooms = extract.toCount(summary.beds);
+    fields.bathrooms = extract.toCount(summary.baths);
+    fields.garage = extract.toCount(summary.parking);
+    fields.propertyType = extract.toPropertyType(summary.propertyType || props.propertyType);
+    const address = summary.address || props.address;
+    if (typeof address === 'string') {
+        fields.displayAddress = address;
+        fields.suburb = extract.suburbFromAddress(address);
+    }
+    if (props.suburb && typeof props.suburb === 'string') fields.suburb = extract.titleCase(props.suburb);
+
+    const features = [...extract.featureNames(props.features), ...extract.featureNames(props.structuredFeatures)];
+    if (features.length) {
+        const flags = extract.featureFlags(features);
+        fields.pool = flags.pool || 'no';
+        fields.garden = flags.garden || null;
+    }
+    Object.keys(fields).forEach(k => { if (fields[k] == null) delete fields[k]; });
+    return { fields, source: '__NEXT_DATA__', confidence: 'high' };
+}
+
+function urlSlug(ctx) {
+    const suburb = suburbFromUrl(ctx.url, ctx.options);
+    return { fields: suburb ? { suburb } : {}, source: 'url', confidence: 'medium' };
+}
+
+module.exports = {
+    id: 'domain',
+    hosts: ['domain.com.au'],
+    extractors: [nextData, extract.jsonLd, extract.openGraph, urlSlug, extract.heuristics],
+    suburbFromUrl
+};
@@ -0,0 +1,301 @@
+// Extractors shared by the listing parsers. Each takes the page context { html, url, options } and
+// returns { fields, source, confidence }, where fields holds only the values it found:
+//   jsonLd     - schema.org objects in <script type="application/ld+json"> (high)
+//   openGraph  - og:/product: meta tags; counts parsed out of the title and description (medium)
+//   heuristics - regexes over the page text above any "similar listings" block (low)
+// Site parsers add their own extractors (embedded app state) ahead of these.
+
+const LISTING_FIELDS = ['price', 'suburb', 'bedrooms', 'bathrooms', 'garage', 'propertyType', 'garden', 'pool', 'displayAddress'];
+
+const PROPERTY_TYPES = ['House', 'Townhouse', 'Unit', 'Apartment', 'Villa', 'Land'];
+const STATES = 'VIC|NSW|QLD|SA|WA|TAS|NT|ACT';
+
+const MIN_PRICE = 10000;
+const MAX_PRICE = 50000000;
+
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&#(\d+);/g, (m, n) => String.fromCharCode(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCharCode(parseInt(n, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+// Contents of every <script> whose opening tag matches attrPattern
+function scriptContents(html, attrPattern) {
+    const out = [];
+    const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+    let m;
+    while ((m = re.exec(html))) {
+        if (attrPattern.test(m[1])) out.push(m[2]);
+    }
+    return out;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+// <meta property|name="key" content="..."> -> { key: content }, first occurrence wins
+function metaTags(html) {
+    const tags = {};
+    const re = /<meta\b[^>]*>/gi;
+    let m;
+    while ((m = re.exec(html))) {
+        const tag = m[0];
+        const key = (tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i) || [])[1];
+        const content = (tag.match(/\bcontent\s*=\s*"([^"]*)"/i) || tag.match(/\bcontent\s*=\s*'([^']*)'/i) || [])[1];
+        if (key && content != null && !(key.toLowerCase() in tags)) tags[key.toLowerCase()] = decodeEntities(content).trim();
+    }
+    return tags;
+}
+
+// '$1,150,000 - $1,250,000', 'Price guide $1.2m', '$950k' -> { price (lower bound), text }; price null for
+// 'Contact agent', 'Auction' and amounts outside a plausible range
+function parsePriceText(text) {
+    const s = String(text == null ? '' : text).trim();
+    const re = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(m\b|mil\b|million\b|k\b)?/gi;
+    let m;
+    while ((m = re.exec(s))) {
+        const unit = (m[2] || '').toLowerCase();
+        const scale = unit.startsWith('m') ? 1e6 : unit === 'k' ? 1e3 : 1;
+        const value = Math.round(parseFloat(m[1].replace(/,/g, '')) * scale);
+        if (value >= MIN_PRICE && value <= MAX_PRICE) return { price: value, text: s };
+    }
+    return { price: null, text: s };
+}
+
+function toPrice(value) {
+    if (typeof value === 'number') return value >= MIN_PRICE && value <= MAX_PRICE ? Math.round(value) : null;
+    const s = String(value == null ? '' : value).trim();
+    if (/^\d+(\.\d+)?$/.test(s)) return toPrice(Number(s));
+    return parsePriceText(s).price;
+}
+
+function toCount(value) {
+    if (value == null || value === '') return null;
+    const n = typeof value === 'number' ? value : parseInt(String(value), 10);
+    return Number.isInteger(n) && n >= 0 && n < 100 ? n : null;
+}
+
+// 'Townhouse', 'house', 'SingleFamilyResidence', 'apartment / unit / flat' -> one of PROPERTY_TYPES or null
+function toPropertyType(value) {
+    const s = String(value || '').toLowerCase();
+    if (!s) return null;
+    if (/townhouse|terrace/.test(s)) return 'Townhouse';
+    if (/villa/.test(s)) return 'Villa';
+    if (/apartment|flat|studio/.test(s)) return 'Apartment';
+    if (/\bunit/.test(s)) return 'Unit';
+    if (/house|residence|home|duplex/.test(s)) return 'House';
+    if (/land|block|acreage/.test(s)) return 'Land';
+    return null;
+}
+
+function titleCase(text) {
+    return String(text).toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// '12 Smith Street, Reservoir VIC 3073' or '12 Smith St, Reservoir, Vic 3073' -> 'Reservoir'
+function suburbFromAddress(address) {
+    const m = String(address || '').match(new RegExp(`(?:^|,)\\s*([A-Za-z][A-Za-z' .-]*?),?\\s+(?:${STATES})\\b`, 'i'));
+    return m ? titleCase(m[1].trim()) : null;
+}
+
+// Yes/no for pool and garden from feature names (structured feature lists only)
+const FEATURE_PATTERNS = {
+    pool: /\b(swimming|in-?ground|heated|plunge|lap)?\s*pool\b(?!\s*(table|room|fence))/i,
+    garden: /\b(garden|courtyard|back ?yard|landscaped)\b/i
+};
+
+function featureFlags(names) {
+    const list = (names || []).map(n => String(n || ''));
+    const out = {};
+    Object.entries(FEATURE_PATTERNS).forEach(([field, re]) => {
+        if (list.some(n => re.test(n))) out[field] = 'yes';
+    });
+    return out;
+}
+
+// Names from a feature list of strings or objects ({ name }, { displayLabel }, { featureName }, ...)
+function featureNames(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(f => (typeof f === 'string' ? f : f && (f.displayLabel || f.name || f.featureName || f.label || f.value)))
+        .filter(v => typeof v === 'string');
+}
+
+// Depth-first search through parsed JSON (including JSON strings nested in it) for the first object
+// matching test
+function findObject(root, test, maxDepth = 40) {
+    const seen = new Set();
+    function walk(node, depth) {
+        if (node == null || depth > maxDepth) return null;
+        if (typeof node === 'string') {
+            const t = node.trim();
+            return (t.startsWith('{') || t.startsWith('[')) && t.length > 20 ? walk(parseJson(t), depth + 1) : null;
+        }
+        if (typeof node !== 'object' || seen.has(node)) return null;
+        seen.add(node);
+        if (!Array.isArray(node) && test(node)) return node;
+        for (const value of Array.isArray(node) ? node : Object.values(node)) {
+            const found = walk(value, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+    return walk(root, 0);
+}
+
+// --- JSON-LD ---
+
+const LD_LISTING_TYPES = /^(House|SingleFamilyResidence|Residence|Apartment|Accommodation|Place|RealEstateListing|Product|Offer|Townhouse)$/i;
+
+function ldTypes(obj) {
+    return [].concat(obj['@type'] || []).map(String);
+}
+
+function ldObjects(html) {
+    const out = [];
+    const add = node => {
+        if (Array.isArray(node)) node.forEach(add);
+        else if (node && typeof node === 'object') {
+            out.push(node);
+            if (node['@graph']) add(node['@graph']);
+        }
+    };
+    scriptContents(html, /type\s*=\s*["']application\/ld\+json["']/i).forEach(text => add(parseJson(text.trim())));
+    return out;
+}
+
+function jsonLd(ctx) {
+    const objects = ldObjects(ctx.html).filter(o => ldTypes(o).some(t => LD_LISTING_TYPES.test(t)));
+    const fields = {};
+    const set = (key, value) => { if (value != null && value !== '' && fields[key] == null) fields[key] = value; };
+    objects.forEach(o => {
+        // A listing may nest the dwelling under about / itemOffered / mainEntity
+        [o, o.about, o.itemOffered, o.mainEntity].filter(x => x && typeof x === 'object').forEach(item => {
+            const address = item.address;
+            if (address && typeof address === 'object') {
+                const locality = address.addressLocality ? titleCase(address.addressLocality) : null;
+                set('suburb', locality);
+                const parts = [address.streetAddress, locality && `${locality} ${address.addressRegion || ''} ${address.postalCode || ''}`.trim()];
+                set('displayAddress', parts.filter(Boolean).join(', ') || null);
+            } else if (typeof address === 'string') {
+                set('suburb', suburbFromAddress(address));
+                set('displayAddress', address);
+            }
+            set('bedrooms', toCount(item.numberOfBedrooms));
+            set('bathrooms', toCount(item.numberOfBathroomsTotal != null ? item.numberOfBathroomsTotal : item.numberOfFullBathrooms));
+            set('garage', toCount(item.numberOfParkingSpaces));
+            const dwellingTypes = ldTypes(item).filter(t => !/^(Residence|Place|Accommodation|Product|Offer|RealEstateListing)$/i.test(t));
+            set('propertyType', dwellingTypes.map(toPropertyType).find(Boolean) || null);
+            const flags = featureFlags(featureNames((item.amenityFeature || []).filter(f => !f || typeof f !== 'object' || f.value !== false)));
+            set('pool', flags.pool);
+            set('garden', flags.garden);
+            const offers = [].concat(ldTypes(item).includes('Offer') ? item : [], item.offers || []).filter(x => x && typeof x === 'object');
+            offers.forEach(offer => {
+                set('price', toPrice(offer.price != null ? offer.price : offer.priceSpecification && offer.priceSpecification.price));
+                if (offer.lowPrice != null) set('price', toPrice(offer.lowPrice));
+            });
+        });
+    });
+    return { fields, source: 'json-ld', confidence: 'high' };
+}
+
+// --- OpenGraph ---
+
+function countIn(text, pattern) {
+    const m = String(text || '').match(new RegExp(`(\\d+)\\s*(?:${pattern})\\b`, 'i'));
+    return m ? toCount(m[1]) : null;
+}
+
+function openGraph(ctx) {
+    const meta = metaTags(ctx.html);
+    const title = (meta['og:title'] || '')
+        .replace(/\s*[|–-]\s*(Domain|realestate\.com\.au|Homely|Allhomes)[^|]*$/i, '')
+        .replace(/\s+-\s+[\w ]*for (Sale|Rent)$/i, '')
+        .trim();
+    const description = meta['og:description'] || meta.description || '';
+    const fields = {};
+    const amount = meta['product:price:amount'] || meta['og:price:amount'];
+    if (amount) fields.price = toPrice(amount);
+    if (fields.price == null) fields.price = parsePriceText(description).price;
+    if (title) {
+        fields.suburb = suburbFromAddress(title);
+        if (fields.suburb) fields.displayAddress = title;
+    }
+    fields.bedrooms = countIn(description, 'bed(?:room)?s?');
+    fields.bathrooms = countIn(description, 'bath(?:room)?s?');
+    fields.garage = countIn(description, 'car(?:\\s*spaces?)?|parking|garages?');
+    const typeMatch = description.match(/\b(house|townhouse|unit|apartment|villa)\b/i);
+    fields.propertyType = typeMatch ? toPropertyType(typeMatch[1]) : null;
+    Object.keys(fields).forEach(k => { if (fields[k] == null) delete fields[k]; });
+    return { fields, source: 'opengraph', confidence: 'medium' };
+}
+
+// --- Heuristics ---
+
+// Page text above the first block of other properties, so their prices and bed counts are not picked up
+const OTHER_LISTINGS = /(similar (properties|listings|homes)|you (may|might) also like|nearby (properties|listings)|recently sold|more properties|other properties)/i;
+
+function pageText(html) {
+    const text = decodeEntities(String(html)
+        .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<(aside|footer|nav)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ');
+    const cut = text.search(OTHER_LISTINGS);
+    return cut > 0 ? text.slice(0, cut) : text;
+}
+
+function heuristics(ctx) {
+    const text = pageText(ctx.html);
+    const fields = {};
+    fields.price = parsePriceText(text).price;
+    fields.bedrooms = countIn(text, 'Bed(?:room)?s?');
+    fields.bathrooms = countIn(text, 'Bath(?:room)?s?');
+    fields.garage = countIn(text, 'Parking|Car(?:\\s*spaces?)?|Garages?');
+    const typeMatch = text.match(/\b(House|Townhouse|Unit|Apartment|Villa)\b/);
+    fields.propertyType = typeMatch ? toPropertyType(typeMatch[1]) : null;
+    // Only phrases that describe the property itself; a bare 'pool' is too often a pool table,
+    // the local pool or an ad
+    if (/\b(swimming|in-?ground|heated|solar[- ]heated|plunge|lap) pool\b/i.test(text)) fields.pool = 'yes';
+    if (/\b(private|established|landscaped|rear|north-facing|sunny) (garden|courtyard|back ?yard)\b/i.test(text)) fields.garden = 'yes';
+    const title = (ctx.html.match(/<title[^>]*>([^<]+)</i) || [])[1];
+    if (title) {
+        const t = decodeEntities(title).replace(/\s*\|.*$/, '').trim();
+        fields.suburb = suburbFromAddress(t);
+        if (t.length > 5 && t.length < 120) fields.displayAddress = t;
+    }
+    Object.keys(fields).forEach(k => { if (fields[k] == null) delete fields[k]; });
+    return { fields, source: 'heuristics', confidence: 'low' };
+}
+
+module.exports = {
+    LISTING_FIELDS,
+    PROPERTY_TYPES,
+    decodeEntities,
+    scriptContents,
+    parseJson,
+    metaTags,
+    parsePriceText,
+    toPrice,
+    toCount,
+    toPropertyType,
+    titleCase,
+    suburbFromAddress,
+    featureFlags,
+    featureNames,
+    findObject,
+    jsonLd,
+    openGraph,
+    heuristics
+};
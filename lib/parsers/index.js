@@ -0,0 +1,114 @@
+// Listing page parsers, keyed by host. A parser is { id, hosts, extractors, suburbFromUrl? }:
+// extractors (see ./extract.js) run in order and, per field, the first to find a value wins, so site
+// data embedded in the page beats JSON-LD, which beats OpenGraph, which beats page-text heuristics.
+// Pages from hosts without a parser use the generic one (JSON-LD, OpenGraph, heuristics); the server
+// only fetches those hosts when they are listed in LISTING_HOSTS.
+//
+// To support another portal (allhomes, homely, an agent site), add a module next to domain.js with its
+// own extractors for whatever app state the site embeds, and register it below or with registerParser.
+
+const extract = require('./extract');
+const domain = require('./domain');
+const realestate = require('./realestate');
+
+const generic = {
+    id: 'generic',
+    hosts: [],
+    extractors: [extract.jsonLd, extract.openGraph, extract.heuristics]
+};
+
+const parsers = [];
+
+function registerParser(parser) {
+    if (!parser || !parser.id || !Array.isArray(parser.hosts) || !Array.isArray(parser.extractors)) {
+        throw new Error('A parser needs an id, hosts and extractors');
+    }
+    const existing = parsers.findIndex(p => p.id === parser.id);
+    if (existing !== -1) parsers.splice(existing, 1);
+    parsers.push(parser);
+    return parser;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return '';
+    }
+}
+
+function onHost(host, h) {
+    return host === h || host.endsWith(`.${h}`);
+}
+
+// Parser for a URL's host (www. and other subdomains match), or null
+function parserFor(url) {
+    const host = hostOf(url);
+    return parsers.find(p => p.hosts.some(h => onHost(host, h))) || null;
+}
+
+// Hosts the server fetches listing pages from: the registered parsers' hosts, plus LISTING_HOSTS
+// (comma-separated, e.g. 'homely.com.au,allhomes.com.au') for portals read by the generic parser
+function listingHosts(env = process.env) {
+    const extra = String(env.LISTING_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    return [...new Set([...parsers.flatMap(p => p.hosts), ...extra])];
+}
+
+// Whether a listing URL may be fetched: http(s) on one of listingHosts (subdomains match). Anything
+// else, such as localhost, a private address or a cloud metadata endpoint, is never requested.
+function isListingUrl(url, env = process.env) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return false;
+    const host = parsed.hostname.toLowerCase();
+    return listingHosts(env).some(h => onHost(host, h));
+}
+
+// Listing fields from a page: { parser, listing, confidence, sources }.
+//   listing    - { price, suburb, bedrooms, bathrooms, garage, propertyType, garden, pool, displayAddress }
+//                (propertyType '' and garden/pool 'unknown' when not found)
+//   confidence - field -> 'high' | 'medium' | 'low' (null when not found)
+//   sources    - field -> extractor source ('__NEXT_DATA__', 'json-ld', 'opengraph', 'url', 'heuristics', ...)
+// options.matchSuburb: name -> stored suburb name or null, used to read suburbs out of URL slugs.
+function parseListing(html, url, options = {}) {
+    const parser = parserFor(url) || generic;
+    const ctx = { html: String(html || ''), url, options };
+    const found = {}; // field -> { value, confidence, source }
+    parser.extractors.forEach(extractor => {
+        const { fields, source, confidence } = extractor(ctx);
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value != null && !found[field]) found[field] = { value, confidence, source };
+        });
+    });
+    const listing = {};
+    const confidence = {};
+    const sources = {};
+    extract.LISTING_FIELDS.forEach(field => {
+        const hit = found[field];
+        listing[field] = hit ? hit.value : field === 'propertyType' ? '' : ['garden', 'pool'].includes(field) ? 'unknown' : null;
+        confidence[field] = hit ? hit.confidence : null;
+        sources[field] = hit ? hit.source : null;
+    });
+    if (!listing.displayAddress && listing.suburb) listing.displayAddress = `${listing.suburb}, VIC`;
+    return { parser: parser.id, listing, confidence, sources };
+}
+
+// Suburb named in a listing URL, for when the page itself cannot be loaded; null if the site's
+// parser cannot read one. Never throws, as it runs in the callers' error handling.
+function suburbFromUrl(url, options = {}) {
+    try {
+        const parser = parserFor(url);
+        return parser && parser.suburbFromUrl ? parser.suburbFromUrl(url, options) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+registerParser(domain);
+registerParser(realestate);
+
+module.exports = { registerParser, parserFor, listingHosts, isListingUrl, parseListing, suburbFromUrl, generic };
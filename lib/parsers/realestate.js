@@ -0,0 +1,78 @@
+// realestate.com.au listing pages. The listing is in window.ArgonautExchange, whose values are JSON
+// strings holding more JSON strings; the listing object is the one with generalFeatures and address.
+
+const extract = require('./extract');
+
+// 'south+morang' -> 'south morang'; a slug with a malformed % escape is used as it is
+function decodeSlug(slug) {
+    const text = slug.replace(/\+/g, ' ');
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// /property-house-vic-south+morang-150086368 -> { type: 'house', suburb: 'South Morang' }
+function fromUrl(url) {
+    const m = String(url || '').match(/\/property-([a-z]+)-(?:nsw|vic|qld|sa|wa|tas|nt|act)-([^/?#]+?)-\d+(?:[/?#]|$)/i);
+    if (!m) return { type: null, suburb: null };
+    const suburb = decodeSlug(m[2]).replace(/-/g, ' ').trim();
+    return { type: m[1], suburb: suburb ? extract.titleCase(suburb) : null };
+}
+
+function suburbFromUrl(url, { matchSuburb } = {}) {
+    const { suburb } = fromUrl(url);
+    if (!suburb) return null;
+    return (matchSuburb && matchSuburb(suburb)) || suburb;
+}
+
+function argonautState(html) {
+    const m = html.match(/window\.ArgonautExchange\s*=\s*(\{[\s\S]*?\});?\s*<\/script>/);
+    return m ? extract.parseJson(m[1]) : null;
+}
+
+const featureValue = f => (f && typeof f === 'object' ? f.value : f);
+
+function argonaut(ctx) {
+    const fields = {};
+    const state = argonautState(ctx.html);
+    const listing = state && extract.findObject(state, o => o.generalFeatures && o.address);
+    if (!listing) return { fields, source: 'ArgonautExchange', confidence: 'high' };
+
+    const general = listing.generalFeatures;
+    fields.price = extract.parsePriceText(listing.price && (listing.price.display || listing.price)).price;
+    fields.bedrooms = extract.toCount(featureValue(general.bedrooms));
+    fields.bathrooms = extract.toCount(featureValue(general.bathrooms));
+    fields.garage = extract.toCount(featureValue(general.parkingSpaces));
+    fields.propertyType = extract.toPropertyType(listing.propertyType && (listing.propertyType.display || listing.propertyType.id || listing.propertyType));
+    const address = listing.address;
+    if (address.suburb) fields.suburb = extract.titleCase(address.suburb);
+    const short = address.display && (address.display.fullAddress || address.display.shortAddress);
+    if (short) fields.displayAddress = short;
+
+    const features = extract.featureNames(listing.propertyFeatures);
+    if (features.length) {
+        const flags = extract.featureFlags(features);
+        fields.pool = flags.pool || 'no';
+        fields.garden = flags.garden || null;
+    }
+    Object.keys(fields).forEach(k => { if (fields[k] == null) delete fields[k]; });
+    return { fields, source: 'ArgonautExchange', confidence: 'high' };
+}
+
+function urlPath(ctx) {
+    const { type } = fromUrl(ctx.url);
+    const fields = {};
+    const suburb = suburbFromUrl(ctx.url, ctx.options);
+    if (suburb) fields.suburb = suburb;
+    if (extract.toPropertyType(type)) fields.propertyType = extract.toPropertyType(type);
+    return { fields, source: 'url', confidence: 'medium' };
+}
+
+module.exports = {
+    id: 'realestate',
+    hosts: ['realestate.com.au'],
+    extractors: [argonaut, extract.jsonLd, extract.openGraph, urlPath, extract.heuristics],
+    suburbFromUrl
+};
@@ -0,0 +1,46 @@
+// Price time series per suburb for GET /api/suburbs/:name/series.
+// Quarterly points come from priceSeries (merged from data/vpsr releases by scripts/merge-vpsr-data.js);
+// yearly house points from priceHistory, topped up with the latest quarter of any year it lacks.
+
+const SERIES_TYPES = ['house', 'unit', 'land'];
+const GRANULARITIES = ['quarter', 'year'];
+
+// [{ period: '2025-Q2', median, sales?, salesYearToDate?, changeQoQ?, changeYoY? }] oldest first
+function quarterlySeries(suburb, type) {
+    const points = (suburb.priceSeries && suburb.priceSeries[type]) || {};
+    return Object.keys(points)
+        .sort()
+        .filter(period => points[period] && points[period].median != null)
+        .map(period => ({ period, ...points[period] }));
+}
+
+// [{ period: '2025', median }] oldest first; a year's value is its latest quarter when not in priceHistory
+function yearlySeries(suburb, type) {
+    const byYear = {};
+    quarterlySeries(suburb, type).forEach(p => {
+        byYear[p.period.slice(0, 4)] = p.median;
+    });
+    if (type === 'house') {
+        Object.entries(suburb.priceHistory || {}).forEach(([year, median]) => {
+            if (median != null) byYear[year] = median;
+        });
+    }
+    return Object.keys(byYear).sort().map(year => ({ period: year, median: byYear[year] }));
+}
+
+function validateSeriesQuery(params) {
+    const src = params || {};
+    const errors = [];
+    const type = String(src.type || 'house').toLowerCase();
+    const granularity = String(src.granularity || 'year').toLowerCase();
+    if (!SERIES_TYPES.includes(type)) errors.push(`type must be one of ${SERIES_TYPES.join(', ')}`);
+    if (!GRANULARITIES.includes(granularity)) errors.push(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    return { query: { type, granularity }, errors };
+}
+
+function priceSeries(suburb, { type = 'house', granularity = 'year' } = {}) {
+    const points = granularity === 'quarter' ? quarterlySeries(suburb, type) : yearlySeries(suburb, type);
+    return { type, granularity, points };
+}
+
+module.exports = { SERIES_TYPES, GRANULARITIES, quarterlySeries, yearlySeries, validateSeriesQuery, priceSeries };
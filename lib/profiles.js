@@ -0,0 +1,131 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { DEFAULT_PROFILE } = require('./assess');
+
+const PROPERTY_TYPES = ['House', 'Unit', 'Townhouse', 'Villa', 'Apartment'];
+const GARDEN_OPTIONS = ['required', 'preferred', 'any'];
+const POOL_OPTIONS = ['avoid', 'any', 'preferred'];
+const BUDGET_BASES = ['price', 'totalCost'];
+
+const store = createJsonStore(path.join(__dirname, '..', 'data', 'profiles.json'), { seed: [DEFAULT_PROFILE] });
+
+// Whole number, allowing '$' and thousands separators ('$800,000'); NaN for anything else ('1.5', '1.4M', '800k')
+function toInt(value) {
+    if (value === '' || value == null) return null;
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    const text = String(value).replace(/[$,\s]/g, '');
+    if (text === '') return null;
+    return /^-?\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+// Interest rate with up to two decimals, e.g. '6.24'
+function toRate(value) {
+    if (value === '' || value == null) return null;
+    const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(n) ? Math.round(n * 100) / 100 : NaN;
+}
+
+// Merge input over base (existing profile or defaults) and check every field.
+// Returns { profile, errors }; profile is only usable when errors is empty.
+function validateProfile(input, base = DEFAULT_PROFILE) {
+    const src = input || {};
+    const errors = [];
+    const profile = {};
+
+    const name = src.name != null ? String(src.name).trim() : base.name;
+    if (!name) errors.push('name is required');
+    profile.name = name;
+
+    for (const key of ['budgetMin', 'budgetMax', 'overBudgetTolerancePct', 'minBedrooms', 'minBathrooms', 'minParking', 'maxCommuteMin']) {
+        const value = key in src ? toInt(src[key]) : base[key];
+        if (Number.isNaN(value) || (value != null && value < 0)) errors.push(`${key} must be a non-negative whole number`);
+        profile[key] = value;
+    }
+    if (profile.budgetMin == null || profile.budgetMax == null) errors.push('budgetMin and budgetMax are required');
+    else if (profile.budgetMin > profile.budgetMax) errors.push('budgetMin must not exceed budgetMax');
+    if (profile.overBudgetTolerancePct == null) profile.overBudgetTolerancePct = 0;
+    for (const key of ['minBedrooms', 'minBathrooms', 'minParking']) {
+        if (profile[key] == null) profile[key] = 0;
+    }
+
+    const types = 'propertyTypes' in src ? src.propertyTypes : base.propertyTypes;
+    const typeList = (Array.isArray(types) ? types : String(types || '').split(','))
+        .map(t => String(t).trim())
+        .filter(Boolean)
+        .map(t => PROPERTY_TYPES.find(p => p.toLowerCase() === t.toLowerCase()) || t);
+    const badTypes = typeList.filter(t => !PROPERTY_TYPES.includes(t));
+    if (badTypes.length) errors.push(`Unknown property type(s): ${badTypes.join(', ')}`);
+    if (typeList.length === 0) errors.push('At least one property type is required');
+    profile.propertyTypes = [...new Set(typeList)];
+
+    profile.garden = 'garden' in src ? src.garden : base.garden;
+    if (!GARDEN_OPTIONS.includes(profile.garden)) errors.push(`garden must be one of ${GARDEN_OPTIONS.join(', ')}`);
+    profile.pool = 'pool' in src ? src.pool : base.pool;
+    if (!POOL_OPTIONS.includes(profile.pool)) errors.push(`pool must be one of ${POOL_OPTIONS.join(', ')}`);
+
+    // Finance (lib/affordability.js); profiles saved before these existed fall back to the defaults
+    profile.budgetBasis = 'budgetBasis' in src ? src.budgetBasis : base.budgetBasis || DEFAULT_PROFILE.budgetBasis;
+    if (!BUDGET_BASES.includes(profile.budgetBasis)) errors.push(`budgetBasis must be one of ${BUDGET_BASES.join(', ')}`);
+    profile.firstHomeBuyer = 'firstHomeBuyer' in src ? src.firstHomeBuyer === true || src.firstHomeBuyer === 'true' : !!base.firstHomeBuyer;
+    profile.deposit = 'deposit' in src ? toInt(src.deposit) : base.deposit != null ? base.deposit : null;
+    if (Number.isNaN(profile.deposit) || (profile.deposit != null && profile.deposit < 0)) errors.push('deposit must be a non-negative whole number');
+    profile.interestRatePct = 'interestRatePct' in src ? toRate(src.interestRatePct) : base.interestRatePct != null ? base.interestRatePct : DEFAULT_PROFILE.interestRatePct;
+    if (profile.interestRatePct == null || Number.isNaN(profile.interestRatePct) || profile.interestRatePct < 0 || profile.interestRatePct > 30) {
+        errors.push('interestRatePct must be a number from 0 to 30');
+    }
+    profile.loanTermYears = 'loanTermYears' in src ? toInt(src.loanTermYears) : base.loanTermYears != null ? base.loanTermYears : DEFAULT_PROFILE.loanTermYears;
+    if (profile.loanTermYears == null || Number.isNaN(profile.loanTermYears) || profile.loanTermYears < 1 || profile.loanTermYears > 40) {
+        errors.push('loanTermYears must be a whole number of years from 1 to 40');
+    }
+
+    return { profile, errors };
+}
+
+function listProfiles() {
+    return store.list();
+}
+
+function getProfile(id) {
+    return store.get(id);
+}
+
+// The saved 'default' profile, so edits to it apply wherever no profileId is given; the built-in
+// defaults only if it has been deleted
+function defaultProfile() {
+    return store.get(DEFAULT_PROFILE.id) || DEFAULT_PROFILE;
+}
+
+function createProfile(input) {
+    const { profile, errors } = validateProfile(input);
+    if (errors.length) return { errors };
+    return { profile: store.create(profile) };
+}
+
+function updateProfile(id, input) {
+    const existing = store.get(id);
+    if (!existing) return null;
+    const { profile, errors } = validateProfile(input, existing);
+    if (errors.length) return { errors };
+    return { profile: store.update(id, profile) };
+}
+
+function deleteProfile(id) {
+    if (!store.get(id)) return false;
+    if (store.list().length <= 1) throw new Error('Cannot delete the last remaining profile');
+    return store.remove(id);
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROPERTY_TYPES,
+    GARDEN_OPTIONS,
+    POOL_OPTIONS,
+    BUDGET_BASES,
+    validateProfile,
+    listProfiles,
+    getProfile,
+    defaultProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile
+};
@@ -0,0 +1,109 @@
+// Per-field data provenance for suburbs.json, shared by the data scripts, the server (require)
+// and the browser (window.PropertyProvenance).
+//
+// Each suburb keeps `sources: { [field]: { source, quarter, retrieved, ref } }` next to the values:
+//   source    - one of SOURCES below
+//   quarter   - reference quarter of the figure ('2025-Q2'), null when the source does not say
+//   retrieved - date the value was read from the source (YYYY-MM-DD)
+//   ref       - the PDF, URL or note it came from
+//
+// Precedence when a merge offers a new value for a field:
+//   1. An empty (null) value never replaces existing data.
+//   2. When both sides have a reference quarter, the newer quarter wins.
+//   3. Otherwise the higher-ranked source wins: manual > vpsr > reiv > legacy.
+//      A manual edit without a quarter therefore stays until it is edited again.
+//   4. Same source and rank: the later retrieval wins.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PropertyProvenance = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TRACKED_FIELDS = ['medianPrice', 'medianPriceUnit', 'medianPriceLand', 'annualChange', 'salesCount'];
+
+    const SOURCES = {
+        manual: { label: 'Manual edit', rank: 4, official: false },
+        vpsr: { label: 'VPSR (Land Victoria)', rank: 3, official: true },
+        reiv: { label: 'REIV (scraped)', rank: 2, official: false },
+        legacy: { label: 'Earlier dataset (source not recorded)', rank: 1, official: false }
+    };
+
+    function sourceRank(source) {
+        return SOURCES[source] ? SOURCES[source].rank : 0;
+    }
+
+    // True when a value with `incoming` provenance should replace one with `existing` provenance
+    function outranks(incoming, existing) {
+        if (!existing) return true;
+        if (incoming.quarter && existing.quarter && incoming.quarter !== existing.quarter) {
+            return incoming.quarter > existing.quarter;
+        }
+        const a = sourceRank(incoming.source);
+        const b = sourceRank(existing.source);
+        if (a !== b) return a > b;
+        return (incoming.retrieved || '') >= (existing.retrieved || '');
+    }
+
+    // Set suburb[field] and its provenance when the precedence policy allows. Returns true if applied.
+    function applyField(suburb, field, value, provenance) {
+        if (value == null) return false;
+        const sources = suburb.sources || {};
+        const existing = suburb[field] != null ? sources[field] || { source: 'legacy' } : null;
+        if (!outranks(provenance, existing)) return false;
+        suburb[field] = value;
+        suburb.sources = {
+            ...sources,
+            [field]: {
+                source: provenance.source,
+                quarter: provenance.quarter || null,
+                retrieved: provenance.retrieved || null,
+                ...(provenance.ref && { ref: provenance.ref })
+            }
+        };
+        return true;
+    }
+
+    // Readable provenance for one field. `current` is true when it is the official figure for
+    // `currentQuarter` (the dataset's latest VPSR quarter); anything else is a fallback.
+    function describeField(suburb, field, currentQuarter) {
+        if (!suburb || suburb[field] == null) return null;
+        const entry = (suburb.sources && suburb.sources[field]) || { source: 'legacy', quarter: null, retrieved: null };
+        const info = SOURCES[entry.source] || { label: entry.source, official: false };
+        return {
+            ...entry,
+            label: info.label,
+            official: info.official,
+            current: Boolean(info.official && currentQuarter && entry.quarter === currentQuarter)
+        };
+    }
+
+    // { [field]: describeField(...) } for every tracked field that has a value
+    function describeProvenance(suburb, currentQuarter) {
+        const out = {};
+        TRACKED_FIELDS.forEach(field => {
+            const described = describeField(suburb, field, currentQuarter);
+            if (described) out[field] = described;
+        });
+        return out;
+    }
+
+    // Short caption for the suburb panel, e.g. 'VPSR 2025-Q2' or 'REIV (scraped), retrieved 2025-11-03'
+    function provenanceCaption(described) {
+        if (!described) return '';
+        const name = described.source === 'vpsr' ? 'VPSR' : described.label;
+        if (described.quarter) return `${name} ${described.quarter}`;
+        if (described.retrieved) return `${name}, retrieved ${described.retrieved}`;
+        return name;
+    }
+
+    return {
+        TRACKED_FIELDS,
+        SOURCES,
+        outranks,
+        applyField,
+        describeField,
+        describeProvenance,
+        provenanceCaption
+    };
+});
@@ -0,0 +1,88 @@
+// Geocoder, router and POI-search providers, chosen per environment:
+//   geocoder.search(query, schedulerOptions)              -> { lat, lon, displayName, precision } or null
+//   router.route(from, to, { profile })                    -> { distanceKm, durationMinutes } or null
+//   router.table(sources, targets, { profile })            -> rows of route results, one per target
+//   poi.search({ kind, lat, lon, radiusM, filters, keepTags, areas }) -> [{ lat, lon, tags }]
+//
+// PROVIDERS=remote (default) uses Nominatim, OSRM and Overpass; PROVIDERS=local uses the file-backed
+// stand-ins in ./local.js, which never touch the network. GEOCODER, ROUTER and POI_SEARCH override the
+// choice per service, and NOMINATIM_URL, OSRM_URL, OSRM_WALKING_URL and OVERPASS_URL point the remote
+// providers at self-hosted instances.
+
+const path = require('path');
+const remote = require('./remote');
+const local = require('./local');
+
+const dataDir = path.join(__dirname, '..', '..', 'data', 'providers');
+
+const DEFAULTS = {
+    nominatimUrl: 'https://nominatim.openstreetmap.org',
+    osrmUrl: 'https://router.project-osrm.org',
+    overpassUrl: 'https://overpass-api.de/api/interpreter'
+};
+
+const CHOICES = {
+    geocoder: { env: 'GEOCODER', remote: 'nominatim' },
+    router: { env: 'ROUTER', remote: 'osrm' },
+    poi: { env: 'POI_SEARCH', remote: 'overpass' }
+};
+
+function trimSlash(url) {
+    return String(url).replace(/\/+$/, '');
+}
+
+// Provider name per service ('local' or the remote one's name) for an environment
+function choose(env) {
+    const base = (env.PROVIDERS || 'remote').toLowerCase();
+    if (!['remote', 'local'].includes(base)) {
+        throw new Error(`PROVIDERS must be remote or local, got '${env.PROVIDERS}'`);
+    }
+    return Object.fromEntries(Object.entries(CHOICES).map(([service, c]) => {
+        const name = (env[c.env] || (base === 'local' ? 'local' : c.remote)).toLowerCase();
+        if (![c.remote, 'local'].includes(name)) {
+            throw new Error(`${c.env} must be ${c.remote} or local, got '${env[c.env]}'`);
+        }
+        return [service, name];
+    }));
+}
+
+function createProviders(env = process.env) {
+    const chosen = choose(env);
+    const osrmProfiles = { driving: trimSlash(env.OSRM_URL || DEFAULTS.osrmUrl) };
+    if (env.OSRM_WALKING_URL) osrmProfiles.walking = trimSlash(env.OSRM_WALKING_URL);
+    return {
+        geocoder: chosen.geocoder === 'local'
+            ? local.createLocalGeocoder({ fixturePath: env.LOCAL_GEOCODE_PATH || path.join(dataDir, 'geocode.json') })
+            : remote.createNominatimGeocoder({ baseUrl: trimSlash(env.NOMINATIM_URL || DEFAULTS.nominatimUrl) }),
+        router: chosen.router === 'local'
+            ? local.createLocalRouter()
+            : remote.createOsrmRouter({ profiles: osrmProfiles }),
+        poi: chosen.poi === 'local'
+            ? local.createLocalPoiSearch({ fixturePath: env.LOCAL_POI_PATH || path.join(dataDir, 'pois.json') })
+            : remote.createOverpassPoiSearch({ url: env.OVERPASS_URL || DEFAULTS.overpassUrl })
+    };
+}
+
+const providers = createProviders();
+
+// Walking route from the router when it serves a walking profile, else the local estimate
+const walkingEstimate = local.createLocalRouter();
+async function walkingRoute(from, to) {
+    if (providers.router.profiles.includes('walking')) {
+        const route = await providers.router.route(from, to, { profile: 'walking' });
+        if (route) return route;
+    }
+    return walkingEstimate.route(from, to, { profile: 'walking' });
+}
+
+// Which provider serves each service and where, for logs and /api/admin/providers
+function describe() {
+    const { geocoder, router, poi } = providers;
+    return {
+        geocoder: { name: geocoder.name, url: geocoder.baseUrl || null, fixture: geocoder.fixturePath || null },
+        router: { name: router.name, profiles: router.profiles },
+        poi: { name: poi.name, url: poi.url || null, fixture: poi.fixturePath || null }
+    };
+}
+
+module.exports = { ...providers, createProviders, walkingRoute, describe };
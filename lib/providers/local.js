@@ -0,0 +1,163 @@
+// Local stand-ins for the remote providers, for development, demos and tests without touching public
+// services. Nothing here makes a network request:
+//   geocoder - canned answers from a fixture file, else the suburb named in the query (suburbs.json
+//              coords, or the imported boundary's centre)
+//   router   - straight-line distance times a detour factor, at a typical speed per profile
+//   POI      - nodes from a fixture file (Overpass-style elements), else stops derived from the
+//              suburbs.json transport fields and placed at the suburb centre
+// Answers are approximate, so each carries `estimated: true` (geocoder and router) or the tag
+// `estimated: 'yes'` (derived POIs).
+
+const fs = require('fs');
+const path = require('path');
+const boundaries = require('../boundaries');
+const { haversineKm } = require('../geo');
+
+const suburbsPath = path.join(__dirname, '..', '..', 'data', 'suburbs.json');
+
+// Detour factor over the straight line and average speed, per routing profile
+const ROUTE_PROFILES = {
+    driving: { detour: 1.3, kmh: 35 },
+    cycling: { detour: 1.25, kmh: 15 },
+    walking: { detour: 1.25, kmh: 4.8 }
+};
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Local provider: could not read ${file}:`, e.message);
+        return null;
+    }
+}
+
+let suburbs = null;
+function loadSuburbs() {
+    if (!suburbs) suburbs = (readJson(suburbsPath) || {}).suburbs || {};
+    return suburbs;
+}
+
+function suburbLocation(name) {
+    const s = loadSuburbs()[name];
+    if (s && Array.isArray(s.coords) && s.coords.length === 2) return s.coords;
+    return boundaries.boundaryCentres().get(name) || null;
+}
+
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Suburb named at the end of a query's last comma-separated part that names one ('5 Wilton Vale Road,
+// South Morang VIC 3752' -> 'South Morang'); the longest run of trailing words wins
+function suburbInQuery(query, byLower) {
+    const parts = query
+        .replace(/,?\s*australia$/, '')
+        .split(',')
+        .map(p => p.replace(/\b(victoria|vic)\b|\b3\d{3}\b/g, ' ').trim().split(/\s+/).filter(Boolean))
+        .filter(words => words.length);
+    for (const words of parts.reverse()) {
+        for (let i = 0; i < words.length; i++) {
+            const name = byLower.get(words.slice(i).join(' '));
+            if (name) return name;
+        }
+    }
+    return null;
+}
+
+// fixturePath: JSON object of query -> { lat, lon, displayName, precision? } (keys matched
+// case-insensitively; precision defaults to 'address')
+function createLocalGeocoder({ fixturePath }) {
+    let canned = null;
+    let byLower = null;
+    return {
+        name: 'local',
+        fixturePath,
+        async search(query) {
+            if (!canned) {
+                canned = new Map(Object.entries(readJson(fixturePath) || {}).map(([k, v]) => [normalizeQuery(k), v]));
+            }
+            const q = normalizeQuery(query);
+            if (canned.has(q)) return { precision: 'address', ...canned.get(q), estimated: false };
+            if (!byLower) byLower = new Map(Object.keys(loadSuburbs()).map(n => [n.toLowerCase(), n]));
+            const name = suburbInQuery(q, byLower);
+            const location = name && suburbLocation(name);
+            if (!location) return null;
+            return { lat: location[0], lon: location[1], displayName: `${name}, Victoria, Australia`, precision: 'suburb', estimated: true };
+        }
+    };
+}
+
+function createLocalRouter() {
+    async function route(from, to, { profile = 'driving' } = {}) {
+        const p = ROUTE_PROFILES[profile];
+        if (!p) return null;
+        const km = haversineKm(from.lat, from.lon, to.lat, to.lon) * p.detour;
+        return { distanceKm: Math.round(km * 100) / 100, durationMinutes: Math.round((km / p.kmh) * 60), estimated: true };
+    }
+    return {
+        name: 'local',
+        profiles: Object.keys(ROUTE_PROFILES),
+        route,
+        async table(sources, targets, { profile = 'driving' } = {}) {
+            if (!ROUTE_PROFILES[profile]) return null;
+            return Promise.all(sources.map(from => Promise.all(targets.map(to => route(from, to, { profile })))));
+        }
+    };
+}
+
+// Stops derived from suburbs.json: a station for transport.trainStation and a bus stop for
+// transport.busRoutes, both at the suburb centre
+function derivedStops() {
+    const nodes = [];
+    Object.entries(loadSuburbs()).forEach(([name, s]) => {
+        const location = suburbLocation(name);
+        const t = s.transport;
+        if (!location || !t) return;
+        if (t.trainStation) {
+            nodes.push({ lat: location[0], lon: location[1], tags: { name: `${t.trainStation} Station`, railway: 'station', estimated: 'yes' } });
+        }
+        if (Array.isArray(t.busRoutes) && t.busRoutes.length) {
+            nodes.push({ lat: location[0], lon: location[1], tags: { name: `${name} (routes ${t.busRoutes.join(', ')})`, highway: 'bus_stop', bus: 'yes', estimated: 'yes' } });
+        }
+    });
+    return nodes;
+}
+
+// fixturePath: { elements: [{ lat, lon, tags }] } as saved from an Overpass response (`out center` for
+// ways, which then carry center: { lat, lon }), serving as a local OSM extract
+function createLocalPoiSearch({ fixturePath }) {
+    let nodes = null;
+    let extract = false;
+    function load() {
+        if (!nodes) {
+            const fixture = readJson(fixturePath);
+            extract = !!(fixture && Array.isArray(fixture.elements));
+            nodes = (extract ? fixture.elements : derivedStops())
+                .map(n => (n.lat == null && n.center ? { ...n, lat: n.center.lat, lon: n.center.lon } : n))
+                .filter(n => n.lat != null && n.lon != null);
+        }
+        return nodes;
+    }
+    return {
+        name: 'local',
+        fixturePath,
+        // Whether the fixture is in place; without it only the derived stops can be searched
+        hasExtract() {
+            load();
+            return extract;
+        },
+        async search({ lat, lon, radiusM, filters, keepTags = ['name'] }) {
+            const wanted = filters.map(f => f.split('='));
+            return load()
+                .filter(n => n.tags && wanted.some(([k, v]) => n.tags[k] === v))
+                .filter(n => haversineKm(lat, lon, n.lat, n.lon) * 1000 <= radiusM)
+                .map(n => ({
+                    lat: n.lat,
+                    lon: n.lon,
+                    tags: Object.fromEntries([...keepTags, 'estimated'].filter(k => n.tags[k] != null).map(k => [k, n.tags[k]]))
+                }));
+        }
+    };
+}
+
+module.exports = { ROUTE_PROFILES, createLocalGeocoder, createLocalRouter, createLocalPoiSearch };
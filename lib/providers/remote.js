@@ -0,0 +1,131 @@
+// Remote providers: Nominatim (geocoder), OSRM (router) and Overpass (POI search), at the public OSM
+// services by default or at self-hosted instances. Requests go through lib/request-scheduler.js and
+// answers are kept in lib/cache.js under the provider's name, so a self-hosted instance shares the
+// cache with the public one.
+
+const cache = require('../cache');
+const scheduler = require('../request-scheduler');
+
+const USER_AGENT = 'MelbournePropertyFinder/1.0';
+
+// Safe parse: OSM services sometimes return XML or HTML error pages instead of JSON (e.g. rate limit, 503).
+function parseJsonResponse(res) {
+    const text = (res.body || '').trim();
+    if (!res.ok) {
+        throw new Error(`OpenStreetMap API error (HTTP ${res.status}). Try again later.`);
+    }
+    if (text.startsWith('<')) {
+        throw new Error('OpenStreetMap API returned an error page (rate limit or temporary failure). Try again later.');
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid JSON from external API.');
+    }
+}
+
+const PLACE_TYPES = ['suburb', 'neighbourhood', 'quarter', 'locality', 'hamlet', 'village', 'town', 'city', 'municipality'];
+
+// How closely a Nominatim result pins the query: 'address', 'street', 'suburb' or 'area'
+function nominatimPrecision({ class: cls, type }) {
+    if (cls === 'building' || (cls === 'place' && type === 'house')) return 'address';
+    if (cls === 'highway') return 'street';
+    if (cls === 'boundary' || (cls === 'place' && PLACE_TYPES.includes(type))) return 'suburb';
+    return 'area';
+}
+
+// search(query, schedulerOptions) -> { lat, lon, displayName, precision } or null. Cached by normalized
+// query (entries cached before precision was recorded have none).
+function createNominatimGeocoder({ baseUrl }) {
+    return {
+        name: 'nominatim',
+        baseUrl,
+        search(query, options = {}) {
+            return cache.wrap('nominatim', cache.cacheKey('search', query), async () => {
+                const url = `${baseUrl}/search?${new URLSearchParams({ q: query, format: 'json', limit: 1, countrycodes: 'au' })}`;
+                const res = await scheduler.request(url, { headers: { 'User-Agent': USER_AGENT } }, options);
+                const list = parseJsonResponse(res);
+                if (!Array.isArray(list) || list.length === 0) return null;
+                const lat = parseFloat(list[0].lat);
+                const lon = parseFloat(list[0].lon);
+                if (isNaN(lat) || isNaN(lon)) return null;
+                return { lat, lon, displayName: list[0].display_name, precision: nominatimPrecision(list[0]) };
+            });
+        }
+    };
+}
+
+// route(from, to, { profile }) -> { distanceKm, durationMinutes } or null when there is no route.
+// from/to: { lat, lon }. profiles: profile name -> service base URL (OSRM serves one profile per
+// instance; the public demo server only has driving). Cached per coordinate pair rounded to 5 decimals
+// (~1 m); failures are not cached.
+// table(sources, targets, { profile, maxWaitMs }) -> rows[i][j] = { distanceKm, durationMinutes } or null,
+// from one OSRM table request (the demo server takes up to 100 points). Not cached: the scripts that
+// use it save the whole matrix.
+function createOsrmRouter({ profiles }) {
+    const round = n => Math.round(n * 1e5) / 1e5;
+    const point = p => `${round(p.lon)},${round(p.lat)}`;
+    return {
+        name: 'osrm',
+        profiles: Object.keys(profiles),
+        async route(from, to, { profile = 'driving' } = {}) {
+            const baseUrl = profiles[profile];
+            if (!baseUrl) return null;
+            const coords = `${point(from)};${point(to)}`;
+            return cache.wrap('osrm', cache.cacheKey(profile, coords), async () => {
+                const res = await scheduler.request(`${baseUrl}/route/v1/driving/${coords}?overview=false`, { headers: { 'User-Agent': USER_AGENT } });
+                const data = parseJsonResponse(res);
+                if (data.code !== 'Ok' || !data.routes?.[0]) return null;
+                const r = data.routes[0];
+                return { distanceKm: Math.round((r.distance / 1000) * 100) / 100, durationMinutes: Math.round(r.duration / 60) };
+            }, { cacheNull: false });
+        },
+        async table(sources, targets, { profile = 'driving', maxWaitMs } = {}) {
+            const baseUrl = profiles[profile];
+            if (!baseUrl) return null;
+            const coords = [...sources, ...targets].map(point).join(';');
+            const query = `sources=${sources.map((_, i) => i).join(';')}&destinations=${targets.map((_, j) => sources.length + j).join(';')}&annotations=duration,distance`;
+            const res = await scheduler.request(`${baseUrl}/table/v1/driving/${coords}?${query}`, { headers: { 'User-Agent': USER_AGENT } }, { maxWaitMs });
+            const data = parseJsonResponse(res);
+            if (data.code !== 'Ok') throw new Error(`OSRM table request failed: ${data.message || data.code}`);
+            return data.durations.map((row, i) => row.map((duration, j) => (duration == null ? null : {
+                distanceKm: data.distances ? Math.round(data.distances[i][j] / 10) / 100 : null,
+                durationMinutes: Math.round(duration / 60)
+            })));
+        }
+    };
+}
+
+// search({ kind, lat, lon, radiusM, filters, keepTags, areas }) -> [{ lat, lon, tags }] for OSM nodes within
+// radiusM matching any filter ('key=value'); with areas, ways and relations too, placed at their centre
+// (parks and most supermarkets are mapped as outlines). Only keepTags are kept so cache entries stay small.
+// Cached per kind (a name for the filter set, e.g. 'stops') and point rounded to 4 decimals (~10 m).
+function createOverpassPoiSearch({ url }) {
+    return {
+        name: 'overpass',
+        url,
+        search({ kind, lat, lon, radiusM, filters, keepTags = ['name'], areas = false }) {
+            const key = cache.cacheKey(kind, Number(lat.toFixed(4)), Number(lon.toFixed(4)), radiusM);
+            return cache.wrap('overpass', key, async () => {
+                const around = `(around:${radiusM},${lat},${lon})`;
+                const nodes = filters.map(f => {
+                    const [k, v] = f.split('=');
+                    return `${areas ? 'nwr' : 'node'}["${k}"="${v}"]${around};`;
+                }).join('');
+                const res = await scheduler.request(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: 'data=' + encodeURIComponent(`[out:json][timeout:12];(${nodes});out ${areas ? 'center' : 'body'};`)
+                });
+                const data = parseJsonResponse(res);
+                return (data.elements || []).filter(el => el.lat != null || el.center).map(el => ({
+                    lat: el.lat != null ? el.lat : el.center.lat,
+                    lon: el.lon != null ? el.lon : el.center.lon,
+                    tags: Object.fromEntries(keepTags.filter(k => el.tags && el.tags[k] != null).map(k => [k, el.tags[k]]))
+                }));
+            });
+        }
+    };
+}
+
+module.exports = { parseJsonResponse, createNominatimGeocoder, createOsrmRouter, createOverpassPoiSearch };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const boundaries = require('./boundaries');
+
+const regionsPath = path.join(__dirname, '..', 'data', 'regions.json');
+
+// Map regions, derived from data/regions.json and the suburb data. Each suburb belongs to one region:
+//   1. the region listing it under `suburbs` (hand-picked overrides)
+//   2. else the region listing its municipality under `municipalities`
+//   3. else the region whose `centre` is nearest its coords (or its boundary's centre, when imported)
+// Suburbs with no matching municipality and no location are in no region.
+
+let config = null;
+function loadConfig() {
+    if (config) return config;
+    try {
+        config = JSON.parse(fs.readFileSync(regionsPath, 'utf8')).regions || [];
+    } catch (e) {
+        console.error('Failed to load regions:', e.message);
+        config = [];
+    }
+    return config;
+}
+
+let suburbs = {};
+let derived = null; // [{ key, label, metro, centre, municipalities, suburbs, counts }]
+
+// Suburb data to derive membership from (suburbs.json `suburbs`); call again after reloading it
+// or re-importing boundaries
+function setSuburbs(data) {
+    suburbs = data || {};
+    derived = null;
+}
+
+// Squared distance in degrees with longitude scaled for latitude; only used to pick the nearest centre
+function distanceSq(a, b) {
+    const dLat = a[0] - b[0];
+    const dLon = (a[1] - b[1]) * Math.cos((a[0] * Math.PI) / 180);
+    return dLat * dLat + dLon * dLon;
+}
+
+// { region, via: 'listed' | 'municipality' | 'nearest' } for one suburb, or null
+function assignRegion(name, suburb, location, lookup) {
+    const listed = lookup.byName.get(name.toLowerCase());
+    if (listed) return { region: listed, via: 'listed' };
+    const byMunicipality = suburb.municipality && lookup.byMunicipality.get(suburb.municipality.toLowerCase());
+    if (byMunicipality) return { region: byMunicipality, via: 'municipality' };
+    if (!location || !lookup.withCentre.length) return null;
+    const nearest = lookup.withCentre.reduce((best, r) =>
+        (distanceSq(location, r.centre) < distanceSq(location, best.centre) ? r : best));
+    return { region: nearest, via: 'nearest' };
+}
+
+function deriveRegions() {
+    const regions = loadConfig();
+    const lookup = { byName: new Map(), byMunicipality: new Map(), withCentre: regions.filter(r => Array.isArray(r.centre)) };
+    regions.forEach(r => {
+        (r.suburbs || []).forEach(n => lookup.byName.set(n.toLowerCase(), r));
+        (r.municipalities || []).forEach(m => lookup.byMunicipality.set(m.toLowerCase(), r));
+    });
+
+    const centres = boundaries.boundaryCentres();
+    const members = new Map(regions.map(r => [r, { suburbs: [], counts: { listed: 0, municipality: 0, nearest: 0 } }]));
+    Object.keys(suburbs).sort((a, b) => a.localeCompare(b)).forEach(name => {
+        const suburb = suburbs[name];
+        const location = Array.isArray(suburb.coords) && suburb.coords.length === 2 ? suburb.coords : centres.get(name) || null;
+        const match = assignRegion(name, suburb, location, lookup);
+        if (!match) return;
+        const m = members.get(match.region);
+        m.suburbs.push(name);
+        m.counts[match.via]++;
+    });
+
+    return regions.map(r => ({
+        key: r.key,
+        label: r.label,
+        metro: r.metro === true,
+        centre: r.centre || null,
+        municipalities: r.municipalities || [],
+        suburbs: members.get(r).suburbs,
+        counts: members.get(r).counts
+    }));
+}
+
+function listRegions() {
+    if (!derived) derived = deriveRegions();
+    return derived;
+}
+
+// Set of suburb names in a region (matched by key or label, case-insensitive), or null if unknown
+function suburbsInRegion(keyOrLabel) {
+    const wanted = String(keyOrLabel || '').trim().toLowerCase();
+    const region = listRegions().find(r => r.key.toLowerCase() === wanted || r.label.toLowerCase() === wanted);
+    return region ? new Set(region.suburbs) : null;
+}
+
+// Set of suburb names in Greater Melbourne (regions marked metro)
+function metroSuburbs() {
+    return new Set(listRegions().filter(r => r.metro).flatMap(r => r.suburbs));
+}
+
+// Names of suburbs that no region covers (no municipality match and no coords)
+function unassignedSuburbs() {
+    const assigned = new Set(listRegions().flatMap(r => r.suburbs));
+    return Object.keys(suburbs).filter(n => !assigned.has(n));
+}
+
+module.exports = { setSuburbs, listRegions, suburbsInRegion, metroSuburbs, unassignedSuburbs };
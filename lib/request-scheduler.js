@@ -0,0 +1,208 @@
+// Outbound request scheduler for the public services we depend on (Nominatim, Overpass, OSRM, REIV),
+// shared by the server and the scripts so every caller honours the same usage policies.
+//
+// Per host: a FIFO queue with a concurrency cap and a minimum gap between request starts.
+// 429/502/503/504 are retried with backoff (Retry-After when the host sends it), network errors once,
+// and the backoff pauses the whole host, not just the one request. Identical requests already in
+// flight (same method, URL and body) share one upstream call.
+//
+// request() resolves to a buffered response { ok, status, url, body } so it can be shared between
+// callers. When a caller cannot be served in time it rejects with an Error carrying `busy`:
+//   { host, state: 'queued' | 'rate-limited', retryAfterMs }
+//   queued       - the wait for a slot would exceed maxWaitMs
+//   rate-limited - the host kept answering 429/503 after every retry
+
+const SECOND = 1000;
+
+// Usage policies: https://operations.osmfoundation.org/policies/nominatim/ (1 req/s, no bulk),
+// Overpass (2 slots per IP), the OSRM demo server (1 req/s) and a polite gap for REIV pages.
+const HOST_POLICIES = {
+    'nominatim.openstreetmap.org': { concurrency: 1, minIntervalMs: 1100 },
+    'overpass-api.de': { concurrency: 2, minIntervalMs: 500 },
+    'router.project-osrm.org': { concurrency: 1, minIntervalMs: 1000 },
+    'reiv.com.au': { concurrency: 1, minIntervalMs: 2000 }
+};
+const DEFAULT_POLICY = { concurrency: 4, minIntervalMs: 0 };
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+const DEFAULTS = {
+    retries: 3,
+    maxWaitMs: 20 * SECOND, // give up with `queued` instead of holding a browser request longer
+    timeoutMs: 20 * SECOND,
+    baseBackoffMs: 2 * SECOND,
+    maxBackoffMs: 60 * SECOND
+};
+
+const hosts = new Map(); // host -> { policy, queue, active, lastStartAt, pausedUntil, retrying, timer, stats }
+const inFlight = new Map(); // dedupe key -> Promise
+
+function policyFor(host) {
+    return HOST_POLICIES[host] || HOST_POLICIES[host.replace(/^www\./, '')] || DEFAULT_POLICY;
+}
+
+function hostState(host) {
+    if (hosts.has(host)) return hosts.get(host);
+    const s = {
+        policy: policyFor(host),
+        queue: [],
+        active: 0,
+        lastStartAt: 0,
+        pausedUntil: 0,
+        retrying: 0,
+        timer: null,
+        stats: { requests: 0, deduped: 0, retries: 0, rejected: 0, failures: 0 }
+    };
+    hosts.set(host, s);
+    return s;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Start as many queued requests as the host's concurrency and spacing allow
+function pump(host) {
+    const s = hostState(host);
+    if (s.timer) return;
+    while (s.queue.length && s.active < s.policy.concurrency) {
+        const now = Date.now();
+        const readyAt = Math.max(s.lastStartAt + s.policy.minIntervalMs, s.pausedUntil);
+        if (readyAt > now) {
+            s.timer = setTimeout(() => {
+                s.timer = null;
+                pump(host);
+            }, readyAt - now);
+            return;
+        }
+        s.active++;
+        s.lastStartAt = now;
+        s.queue.shift()();
+    }
+}
+
+function acquire(host) {
+    return new Promise(resolve => {
+        hostState(host).queue.push(resolve);
+        pump(host);
+    });
+}
+
+function release(host) {
+    hostState(host).active--;
+    pump(host);
+}
+
+// Rough time until a newly queued request to host would start
+function estimatedWaitMs(host) {
+    const s = hostState(host);
+    const now = Date.now();
+    const spacing = Math.ceil(s.queue.length / s.policy.concurrency) * s.policy.minIntervalMs;
+    const nextSlot = Math.max(s.lastStartAt + s.policy.minIntervalMs, s.pausedUntil) - now;
+    return Math.max(0, nextSlot) + spacing;
+}
+
+// Retry-After as seconds or an HTTP date; null when absent or unparseable
+function retryAfterMs(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * SECOND;
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function busyError(host, state, waitMs) {
+    const seconds = Math.max(1, Math.ceil(waitMs / SECOND));
+    const err = new Error(state === 'queued'
+        ? `${host} is busy: request queued behind others. Retry in ${seconds} s.`
+        : `${host} is rate limiting requests. Retry in ${seconds} s.`);
+    err.busy = { host, state, retryAfterMs: seconds * SECOND };
+    return err;
+}
+
+async function fetchOnce(url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const res = await fetch(url, { ...init, signal: controller.signal });
+        const body = await res.text();
+        return { ok: res.ok, status: res.status, url: res.url || url, body, retryAfter: res.headers.get('retry-after') };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function run(url, init, options) {
+    const host = new URL(url).host;
+    const s = hostState(host);
+    s.stats.requests++;
+
+    const wait = estimatedWaitMs(host);
+    if (wait > options.maxWaitMs) {
+        s.stats.rejected++;
+        throw busyError(host, 'queued', wait);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await acquire(host);
+        let result = null;
+        let error = null;
+        try {
+            result = await fetchOnce(url, init, options.timeoutMs);
+        } catch (e) {
+            error = e;
+        } finally {
+            release(host);
+        }
+        if (result && !RETRY_STATUSES.includes(result.status)) return result;
+
+        const delay = Math.min(
+            (result && retryAfterMs(result.retryAfter)) || options.baseBackoffMs * 2 ** attempt + Math.random() * SECOND,
+            options.maxBackoffMs
+        );
+        const retries = error ? Math.min(1, options.retries) : options.retries;
+        if (attempt >= retries || delay > options.maxWaitMs) {
+            s.stats.failures++;
+            if (error) throw error;
+            if (result.status === 502 || result.status === 504) return result;
+            s.pausedUntil = Math.max(s.pausedUntil, Date.now() + delay);
+            throw busyError(host, 'rate-limited', delay);
+        }
+        s.stats.retries++;
+        s.pausedUntil = Math.max(s.pausedUntil, Date.now() + delay);
+        s.retrying++;
+        await sleep(delay);
+        s.retrying--;
+    }
+}
+
+// Scheduled fetch. init is passed to fetch(); options override DEFAULTS
+// (retries, maxWaitMs, timeoutMs, baseBackoffMs, maxBackoffMs).
+function request(url, init = {}, options = {}) {
+    const key = [init.method || 'GET', url, typeof init.body === 'string' ? init.body : ''].join(' ');
+    if (inFlight.has(key)) {
+        hostState(new URL(url).host).stats.deduped++;
+        return inFlight.get(key);
+    }
+    const promise = run(url, init, { ...DEFAULTS, ...options }).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+// Per-host queue state and counters since start
+function stats() {
+    const out = {};
+    for (const [host, s] of hosts) {
+        out[host] = {
+            concurrency: s.policy.concurrency,
+            minIntervalMs: s.policy.minIntervalMs,
+            active: s.active,
+            queued: s.queue.length,
+            retrying: s.retrying,
+            pausedForMs: Math.max(0, s.pausedUntil - Date.now()),
+            estimatedWaitMs: estimatedWaitMs(host),
+            ...s.stats
+        };
+    }
+    return { hosts: out };
+}
+
+module.exports = { HOST_POLICIES, DEFAULTS, request, stats };
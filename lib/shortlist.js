@@ -0,0 +1,106 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const assess = require('./assess');
+
+// Pipeline a shortlisted listing moves through; 'rejected' keeps ruled-out listings on record
+const STATUSES = ['interested', 'inspected', 'offer-made', 'rejected'];
+const STATUS_LABELS = { interested: 'Interested', inspected: 'Inspected', 'offer-made': 'Offer made', rejected: 'Rejected' };
+
+// ?sort= keys for listShortlist; each sorts best/newest first except price and suburb (ascending)
+const SORTS = {
+    updated: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+    created: (a, b) => b.createdAt.localeCompare(a.createdAt),
+    score: (a, b) => (b.assessment ? b.assessment.score : -1) - (a.assessment ? a.assessment.score : -1),
+    price: (a, b) => (a.listing.price != null ? a.listing.price : Infinity) - (b.listing.price != null ? b.listing.price : Infinity),
+    suburb: (a, b) => (a.listing.suburb || '').localeCompare(b.listing.suburb || ''),
+    status: (a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status)
+};
+
+const store = createJsonStore(path.join(__dirname, '..', 'data', 'shortlist.json'));
+
+// Merge input over base (existing entry) and check the fields a user edits: listing, listingUrl,
+// notes and status. Returns { entry, errors }; entry is only usable when errors is empty.
+function validateEntry(input, base = {}) {
+    const src = input || {};
+    const errors = [];
+    const entry = {};
+
+    const listing = 'listing' in src ? src.listing : base.listing;
+    if (!listing || typeof listing !== 'object' || Array.isArray(listing)) errors.push('listing is required');
+    else {
+        const checked = assess.validateListing(listing);
+        entry.listing = checked.listing;
+        errors.push(...checked.errors.map(e => `listing ${e}`));
+        if (!entry.listing.suburb && entry.listing.price == null) errors.push('listing needs at least a suburb or a price');
+    }
+
+    const url = 'listingUrl' in src ? src.listingUrl : base.listingUrl;
+    entry.listingUrl = url ? String(url).trim() : null;
+    if (entry.listingUrl && !/^https?:\/\//i.test(entry.listingUrl)) errors.push('listingUrl must be an http(s) URL');
+
+    entry.notes = 'notes' in src ? String(src.notes || '').trim() : base.notes || '';
+    entry.status = 'status' in src ? src.status : base.status || 'interested';
+    if (!STATUSES.includes(entry.status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+
+    return { entry, errors };
+}
+
+// Entry with the same listing URL, so a listing is only shortlisted once
+function findByUrl(listingUrl, exceptId) {
+    if (!listingUrl) return null;
+    return store.list().find(e => e.listingUrl === listingUrl && e.id !== exceptId) || null;
+}
+
+// Status change appended to the entry's history (oldest first)
+function withStatusHistory(entry, base = {}) {
+    const history = base.statusHistory || [];
+    if (base.status === entry.status) return { ...entry, statusHistory: history };
+    return { ...entry, statusHistory: [...history, { status: entry.status, at: new Date().toISOString() }] };
+}
+
+// Options: status (one of STATUSES, or comma-separated), sort (key of SORTS, default 'updated')
+function listShortlist({ status, sort = 'updated' } = {}) {
+    const wanted = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    return store.list()
+        .filter(e => !wanted.length || wanted.includes(e.status))
+        .sort(SORTS[sort] || SORTS.updated);
+}
+
+function getEntry(id) {
+    return store.get(id);
+}
+
+// extra: fields the server derives rather than the user - assessment, suburb, coords
+function createEntry(input, extra = {}) {
+    const { entry, errors } = validateEntry(input);
+    if (errors.length) return { errors };
+    const existing = findByUrl(entry.listingUrl);
+    if (existing) return { duplicate: existing };
+    return { entry: store.create(withStatusHistory({ ...entry, ...extra })) };
+}
+
+function updateEntry(id, input, extra = {}) {
+    const existing = store.get(id);
+    if (!existing) return null;
+    const { entry, errors } = validateEntry(input, existing);
+    if (errors.length) return { errors };
+    const duplicate = findByUrl(entry.listingUrl, id);
+    if (duplicate) return { duplicate };
+    return { entry: store.update(id, withStatusHistory({ ...entry, ...extra }, existing)) };
+}
+
+function deleteEntry(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_LABELS,
+    SORTS,
+    validateEntry,
+    listShortlist,
+    getEntry,
+    createEntry,
+    updateEntry,
+    deleteEntry
+};
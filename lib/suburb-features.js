@@ -0,0 +1,150 @@
+// Lightweight map feed for GET /api/suburbs.geojson: only the suburbs inside the requested bbox, each
+// with the few properties a marker needs. Full records stay behind /api/suburbs/:name and are fetched
+// when a suburb is opened.
+//
+// At zoom <= CLUSTER_MAX_ZOOM suburbs are grouped on a grid of about CLUSTER_CELL_PX screen pixels; a
+// cell holding two or more suburbs becomes one cluster feature carrying a count, its members' bbox and
+// aggregated values (median of the members' values, mean match score).
+
+const assess = require('./assess');
+const { parseBbox } = require('./boundaries');
+const { getPath } = require('./suburb-query');
+
+const CLUSTER_MAX_ZOOM = 11;
+const CLUSTER_CELL_PX = 60;
+const MAX_ZOOM = 22;
+
+const METRIC_SKIP = ['coords', 'priceHistory', 'priceSeries', 'sources'];
+
+const metricCache = new WeakMap(); // suburbs object -> { keys, breaks: Map(metric -> breaks) }
+
+function cacheFor(suburbs) {
+    if (!metricCache.has(suburbs)) metricCache.set(suburbs, { keys: null, breaks: new Map() });
+    return metricCache.get(suburbs);
+}
+
+// Keys the map can colour by: 'matchScore' plus numeric fields at the top level or one level down
+function metricKeys(suburbs) {
+    const cached = cacheFor(suburbs);
+    if (cached.keys) return cached.keys;
+    const found = new Set(['matchScore']);
+    Object.values(suburbs).forEach(s => {
+        Object.entries(s).forEach(([key, value]) => {
+            if (METRIC_SKIP.includes(key)) return;
+            if (typeof value === 'number') found.add(key);
+            else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([sub, v]) => { if (typeof v === 'number') found.add(`${key}.${sub}`); });
+            }
+        });
+    });
+    cached.keys = [...found];
+    return cached.keys;
+}
+
+// ?bbox=minLon,minLat,maxLon,maxLat&zoom=N&metric=key -> { query, errors }. metrics: keys from metricKeys
+function parseFeedQuery(params, { metrics = [] } = {}) {
+    const src = params || {};
+    const { bbox, errors } = parseBbox(src.bbox);
+    const query = { bbox, zoom: null, metric: 'matchScore' };
+
+    if (src.zoom != null && src.zoom !== '') {
+        query.zoom = Number(src.zoom);
+        if (!Number.isInteger(query.zoom) || query.zoom < 0 || query.zoom > MAX_ZOOM) errors.push(`zoom must be an integer from 0 to ${MAX_ZOOM}`);
+    }
+    if (src.metric) {
+        query.metric = String(src.metric).trim();
+        if (!metrics.includes(query.metric)) errors.push(`Unknown metric '${query.metric}'`);
+    }
+    return { query, errors };
+}
+
+function numeric(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Upper bounds of the first four quantile classes over every suburb with a value, so colours do not
+// shift as the user pans. The match score uses fixed thresholds on the client, so it has none.
+function metricBreaks(suburbs, metric) {
+    if (metric === 'matchScore') return [];
+    const cached = cacheFor(suburbs);
+    if (!cached.breaks.has(metric)) {
+        const values = Object.values(suburbs).map(s => numeric(getPath(s, metric))).filter(v => v != null).sort((a, b) => a - b);
+        cached.breaks.set(metric, values.length ? [0.2, 0.4, 0.6, 0.8].map(q => values[Math.min(values.length - 1, Math.floor(q * values.length))]) : []);
+    }
+    return cached.breaks.get(metric);
+}
+
+function median(values) {
+    const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function inBbox([lat, lon], bbox) {
+    return !bbox || (lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]);
+}
+
+function suburbProperties(name, suburb, { metric, profile }) {
+    const props = {
+        name,
+        medianPrice: numeric(suburb.medianPrice),
+        annualChange: numeric(suburb.annualChange),
+        matchScore: assess.calculateMatchScore(suburb, profile)
+    };
+    if (metric !== 'matchScore') props.value = numeric(getPath(suburb, metric));
+    return props;
+}
+
+function clusterFeature(members, { metric }) {
+    const lats = members.map(m => m.location[0]);
+    const lons = members.map(m => m.location[1]);
+    const props = {
+        cluster: true,
+        count: members.length,
+        names: members.slice(0, 5).map(m => m.props.name),
+        bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)],
+        medianPrice: median(members.map(m => m.props.medianPrice)),
+        annualChange: median(members.map(m => m.props.annualChange)),
+        matchScore: Math.round(members.reduce((sum, m) => sum + m.props.matchScore, 0) / members.length)
+    };
+    if (metric !== 'matchScore') props.value = median(members.map(m => m.props.value));
+    const centre = [lons.reduce((a, b) => a + b, 0) / lons.length, lats.reduce((a, b) => a + b, 0) / lats.length];
+    return { type: 'Feature', geometry: { type: 'Point', coordinates: centre }, properties: props };
+}
+
+// entries: [name, suburb] pairs (already filtered). Options: bbox, zoom, metric, profile,
+// centres (name -> [lat, lon] for suburbs without coords) and shapes (name -> boundary geometry).
+// Returns { features, clustered, suburbsInView }.
+function buildFeatures(entries, { bbox, zoom, metric, profile, centres = new Map(), shapes = new Map() }) {
+    const points = [];
+    entries.forEach(([name, suburb]) => {
+        const location = Array.isArray(suburb.coords) && suburb.coords.length === 2 ? suburb.coords : centres.get(name);
+        if (!location || !inBbox(location, bbox)) return;
+        points.push({ location, props: suburbProperties(name, suburb, { metric, profile }) });
+    });
+    points.sort((a, b) => a.props.name.localeCompare(b.props.name));
+
+    const single = ({ location, props }) => ({
+        type: 'Feature',
+        geometry: shapes.get(props.name) || { type: 'Point', coordinates: [location[1], location[0]] },
+        properties: props
+    });
+
+    const clustered = zoom != null && zoom <= CLUSTER_MAX_ZOOM;
+    if (!clustered) return { features: points.map(single), clustered, suburbsInView: points.length };
+
+    // Grid cell in degrees of longitude at this zoom; latitude cells shrink with cos(lat) as on the map
+    const cellDeg = (360 / (256 * 2 ** zoom)) * CLUSTER_CELL_PX;
+    const cells = new Map();
+    points.forEach(p => {
+        const [lat, lon] = p.location;
+        const key = `${Math.floor(lon / cellDeg)}:${Math.floor(lat / (cellDeg * Math.cos((lat * Math.PI) / 180)))}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(p);
+    });
+    const features = [...cells.values()].map(members => (members.length === 1 ? single(members[0]) : clusterFeature(members, { metric })));
+    return { features, clustered, suburbsInView: points.length };
+}
+
+module.exports = { CLUSTER_MAX_ZOOM, CLUSTER_CELL_PX, metricKeys, parseFeedQuery, metricBreaks, buildFeatures };
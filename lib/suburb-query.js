@@ -0,0 +1,146 @@
+// Filtering, sorting, pagination and field projection for GET /api/suburbs.
+
+// Numeric range filters: query param -> dotted field path
+const RANGE_FILTERS = {
+    minPrice: ['medianPrice', 'min'],
+    maxPrice: ['medianPrice', 'max'],
+    minUnitPrice: ['medianPriceUnit', 'min'],
+    maxUnitPrice: ['medianPriceUnit', 'max'],
+    minChange: ['annualChange', 'min'],
+    maxChange: ['annualChange', 'max'],
+    minSales: ['salesCount', 'min'],
+    maxSales: ['salesCount', 'max'],
+    minAmenityScore: ['walkability.score', 'min']
+};
+
+const MAX_LIMIT = 5000;
+
+function getPath(obj, dotted) {
+    return dotted.split('.').reduce((v, key) => (v != null ? v[key] : undefined), obj);
+}
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split('.');
+    let target = obj;
+    for (const key of keys.slice(0, -1)) {
+        if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function parseBool(value) {
+    if (value == null || value === '') return null;
+    if (/^(1|true|yes)$/i.test(value)) return true;
+    if (/^(0|false|no)$/i.test(value)) return false;
+    return undefined;
+}
+
+// Turn req.query into a normalized query; returns { query, errors }
+function parseSuburbQuery(params, { suburbsInRegion } = {}) {
+    const src = params || {};
+    const errors = [];
+    const query = { ranges: [], municipalities: [], postcodes: [], region: null, hasTrainStation: null, hasCoords: null, q: null };
+
+    for (const [param, [field, bound]] of Object.entries(RANGE_FILTERS)) {
+        if (src[param] == null || src[param] === '') continue;
+        const value = parseFloat(src[param]);
+        if (!Number.isFinite(value)) errors.push(`${param} must be a number`);
+        else query.ranges.push({ field, bound, value });
+    }
+
+    query.municipalities = splitList(src.municipality).map(m => m.toLowerCase());
+    query.postcodes = splitList(src.postcode);
+    if (src.region) {
+        query.region = suburbsInRegion ? suburbsInRegion(src.region) : null;
+        if (!query.region) errors.push(`Unknown region '${src.region}'`);
+    }
+    for (const key of ['hasTrainStation', 'hasCoords']) {
+        const value = parseBool(src[key]);
+        if (value === undefined) errors.push(`${key} must be true or false`);
+        else query[key] = value;
+    }
+    if (src.q) query.q = String(src.q).trim().toLowerCase();
+
+    query.sort = src.sort ? String(src.sort).trim() : null;
+    query.order = src.order ? String(src.order).toLowerCase() : 'asc';
+    if (query.sort && query.sort.startsWith('-')) {
+        query.sort = query.sort.slice(1);
+        query.order = 'desc';
+    }
+    if (!['asc', 'desc'].includes(query.order)) errors.push('order must be asc or desc');
+
+    query.offset = src.offset != null ? parseInt(src.offset, 10) : 0;
+    if (!Number.isInteger(query.offset) || query.offset < 0) errors.push('offset must be a non-negative integer');
+    query.limit = src.limit != null ? parseInt(src.limit, 10) : null;
+    if (query.limit != null && (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT)) {
+        errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    if (src.page != null) {
+        const page = parseInt(src.page, 10);
+        if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive integer');
+        else if (query.limit == null) errors.push('page requires limit');
+        else query.offset = (page - 1) * query.limit;
+    }
+
+    query.fields = src.fields ? splitList(src.fields) : null;
+    return { query, errors };
+}
+
+function matches(name, suburb, query) {
+    for (const { field, bound, value } of query.ranges) {
+        const v = getPath(suburb, field);
+        if (v == null) return false;
+        if (bound === 'min' ? v < value : v > value) return false;
+    }
+    if (query.municipalities.length && !query.municipalities.includes(String(suburb.municipality || '').toLowerCase())) return false;
+    if (query.postcodes.length && !query.postcodes.includes(String(suburb.postcode || ''))) return false;
+    if (query.region && !query.region.has(name)) return false;
+    if (query.hasTrainStation != null && Boolean(suburb.transport && suburb.transport.trainStation) !== query.hasTrainStation) return false;
+    if (query.hasCoords != null && Boolean(suburb.coords && suburb.coords.length === 2) !== query.hasCoords) return false;
+    if (query.q && !name.toLowerCase().includes(query.q)) return false;
+    return true;
+}
+
+function project(suburb, fields) {
+    if (!fields) return suburb;
+    const out = {};
+    for (const field of fields) {
+        const value = getPath(suburb, field);
+        if (value !== undefined) setPath(out, field, value);
+    }
+    return out;
+}
+
+// Apply a parsed query to suburbs.json's { name: record } map.
+// Returns { total, offset, limit, suburbs } where suburbs keeps the sorted order as object keys.
+function querySuburbs(suburbs, query) {
+    let entries = Object.entries(suburbs).filter(([name, suburb]) => matches(name, suburb, query));
+    if (query.sort) {
+        const dir = query.order === 'desc' ? -1 : 1;
+        const valueOf = query.sort === 'name' ? ([name]) => name : ([, suburb]) => getPath(suburb, query.sort);
+        entries = entries.sort((a, b) => {
+            const va = valueOf(a);
+            const vb = valueOf(b);
+            if (va == null && vb == null) return 0;
+            if (va == null) return 1; // missing values last in either order
+            if (vb == null) return -1;
+            if (typeof va === 'string' || typeof vb === 'string') return String(va).localeCompare(String(vb)) * dir;
+            return (va - vb) * dir;
+        });
+    }
+    const total = entries.length;
+    const page = query.limit != null ? entries.slice(query.offset, query.offset + query.limit) : entries.slice(query.offset);
+    return {
+        total,
+        offset: query.offset,
+        limit: query.limit,
+        suburbs: Object.fromEntries(page.map(([name, suburb]) => [name, project(suburb, query.fields)]))
+    };
+}
+
+module.exports = { RANGE_FILTERS, getPath, parseSuburbQuery, querySuburbs };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+// Precomputed travel-time matrix from every suburb centre to each destination, one file per mode:
+//   transit - data/transit-times.json from scripts/precompute-transit-times.js (GTFS timetable)
+//   driving - data/driving-times.json from scripts/precompute-driving-times.js (router table requests)
+// Both are { metadata, destinations: { [destinationId]: { [suburbName]: { minutes, ... } } } } and are
+// re-read when the file changes. GET /api/isochrone bands the suburbs reachable within a time budget.
+
+const MODES = ['transit', 'driving'];
+const DEFAULT_STEP_MINUTES = 15;
+const MAX_BUDGET_MINUTES = 240;
+
+const dataDir = path.join(__dirname, '..', 'data');
+const files = { transit: 'transit-times.json', driving: 'driving-times.json' };
+
+const cached = {}; // mode -> { mtimeMs, matrix, texts }
+
+function matrixPath(mode) {
+    return path.join(dataDir, files[mode]);
+}
+
+function loadEntry(mode) {
+    let stat;
+    try {
+        stat = fs.statSync(matrixPath(mode));
+    } catch (e) {
+        delete cached[mode];
+        return null;
+    }
+    if (cached[mode] && cached[mode].mtimeMs === stat.mtimeMs) return cached[mode];
+    try {
+        const matrix = JSON.parse(fs.readFileSync(matrixPath(mode), 'utf8'));
+        cached[mode] = { mtimeMs: stat.mtimeMs, matrix, texts: null };
+        return cached[mode];
+    } catch (e) {
+        console.error(`Failed to load ${files[mode]}:`, e.message);
+        delete cached[mode];
+        return null;
+    }
+}
+
+// The matrix for a mode, or null when its script has not been run
+function loadMatrix(mode) {
+    const entry = loadEntry(mode);
+    return entry ? entry.matrix : null;
+}
+
+// { [suburbName]: minutes } to a destination by a mode, or null when the matrix does not cover it
+function matrixMinutes(mode, destinationId) {
+    const matrix = loadMatrix(mode);
+    const bySuburb = matrix && matrix.destinations && matrix.destinations[destinationId];
+    if (!bySuburb) return null;
+    return Object.fromEntries(Object.entries(bySuburb).filter(([, t]) => t && t.minutes != null).map(([name, t]) => [name, t.minutes]));
+}
+
+// Timetable times as text for the commute tables: { [destinationId]: { [suburbName]: '45 min by train' } }
+function transitTexts() {
+    const entry = loadEntry('transit');
+    if (!entry) return {};
+    if (!entry.texts) {
+        entry.texts = Object.fromEntries(Object.entries(entry.matrix.destinations || {}).map(([id, bySuburb]) => [
+            id,
+            Object.fromEntries(Object.entries(bySuburb).map(([name, t]) => [name, t.text]))
+        ]));
+    }
+    return entry.texts;
+}
+
+// { mode, generated, destinations } per mode for the API, without the times
+function describeMatrices() {
+    return Object.fromEntries(MODES.map(mode => {
+        const matrix = loadMatrix(mode);
+        return [mode, matrix ? { ...(matrix.metadata || {}), destinations: Object.keys(matrix.destinations || {}) } : null];
+    }));
+}
+
+// ?destination=id&mode=transit|driving&minutes=45&step=15 -> { query, errors }
+function parseIsochroneQuery(params) {
+    const src = params || {};
+    const errors = [];
+    const query = {
+        destination: src.destination ? String(src.destination).trim() : null,
+        mode: src.mode ? String(src.mode).trim().toLowerCase() : 'transit',
+        minutes: src.minutes != null && src.minutes !== '' ? Number(src.minutes) : null,
+        step: src.step != null && src.step !== '' ? Number(src.step) : DEFAULT_STEP_MINUTES
+    };
+    if (!query.destination) errors.push('destination is required');
+    if (!MODES.includes(query.mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+    if (query.minutes == null) errors.push('minutes is required');
+    else if (!Number.isInteger(query.minutes) || query.minutes < 1 || query.minutes > MAX_BUDGET_MINUTES) {
+        errors.push(`minutes must be an integer from 1 to ${MAX_BUDGET_MINUTES}`);
+    }
+    if (!Number.isInteger(query.step) || query.step < 1) errors.push('step must be a positive integer');
+    return { query, errors };
+}
+
+// Upper bounds of the bands within a budget: 45 minutes in 15 minute steps -> [15, 30, 45];
+// a budget that is not a whole number of steps ends with a shorter band (50 -> [15, 30, 45, 50])
+function bandLimits(minutes, step = DEFAULT_STEP_MINUTES) {
+    const limits = [];
+    for (let m = step; m < minutes; m += step) limits.push(m);
+    limits.push(minutes);
+    return limits;
+}
+
+// Suburbs within the budget, fastest first, each with the index of its band in bandLimits.
+// times: { [suburbName]: minutes }
+function reachableSuburbs(times, { minutes, step = DEFAULT_STEP_MINUTES }) {
+    const limits = bandLimits(minutes, step);
+    return Object.entries(times)
+        .filter(([, m]) => m != null && m <= minutes)
+        .map(([name, m]) => ({ name, minutes: m, band: limits.findIndex(limit => m <= limit) }))
+        .sort((a, b) => a.minutes - b.minutes || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    MODES,
+    DEFAULT_STEP_MINUTES,
+    MAX_BUDGET_MINUTES,
+    matrixPath,
+    loadMatrix,
+    matrixMinutes,
+    transitTexts,
+    describeMatrices,
+    parseIsochroneQuery,
+    bandLimits,
+    reachableSuburbs
+};
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Inspect or purge the shared outbound lookup cache (lib/cache.js, data/cache/).
+ * Usage: node scripts/cache.js stats
+ *        node scripts/cache.js purge [--provider nominatim|overpass|osrm|reiv] [--expired] [--match text]
+ */
+
+const cache = require('../lib/cache');
+
+function option(args, flag) {
+  const idx = args.indexOf(flag);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function printStats() {
+  const { dir, providers } = cache.stats();
+  console.log(`Cache dir: ${dir}`);
+  for (const [provider, s] of Object.entries(providers)) {
+    const ttlDays = Math.round((s.ttlMs / 86400000) * 10) / 10;
+    console.log(`  ${provider.padEnd(10)} ${String(s.entries).padStart(6)} entries (${s.fresh} fresh, ${s.expired} expired, ${s.negative} no-result)  TTL ${ttlDays}d  ${Math.round(s.bytes / 1024)} KB`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'stats';
+  if (command === 'stats') {
+    printStats();
+  } else if (command === 'purge') {
+    const removed = cache.purge({
+      provider: option(args, '--provider'),
+      expiredOnly: args.includes('--expired'),
+      match: option(args, '--match')
+    });
+    console.log(`Removed ${removed} entries.`);
+    printStats();
+  } else {
+    console.error('Usage: node scripts/cache.js stats | purge [--provider name] [--expired] [--match text]');
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,19 +1,26 @@
 #!/usr/bin/env node
 /**
- * Extract all suburb/locality entries from the VPSR June 2025 PDF and update
- * data/vpsr-june-2025.json. Also ensures data/suburbs.json has an entry for
- * each (stub if missing) so merge-vpsr-data and geocode can fill them.
+ * Extract all suburb/locality entries from any quarter's VPSR PDF into a
+ * versioned dataset, data/vpsr/<YYYY-Qn>.json: latest house/unit/land medians
+ * plus the five quarterly medians, QoQ/YoY change and sales counts of each
+ * table. The quarter is read from the report itself ("June 2025 Quarter").
+ * Also ensures data/suburbs.json has an entry for each locality (stub if
+ * missing) so merge-vpsr-data and geocode can fill them.
  *
- * Usage: node scripts/extract-vpsr-suburbs.js
+ * Usage: node scripts/extract-vpsr-suburbs.js <vpsr.pdf> [--released YYYY-MM-DD]
+ * --released defaults to the month in a "...-released-dec-2025.pdf" file name.
+ * To extract and merge in one step use scripts/ingest-vpsr.js.
  */
 
 const fs = require('fs');
 const path = require('path');
 
-const pdfPath = path.join(__dirname, '..', 'vpsr-june-2025-data-released-dec-2025.pdf');
-const vpsrOutPath = path.join(__dirname, '..', 'data', 'vpsr-june-2025.json');
+const vpsrDir = path.join(__dirname, '..', 'data', 'vpsr');
 const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
 
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const REPORT_QUARTERS = { march: 1, june: 2, september: 3, december: 4 };
+
 function titleCase(str) {
   return str
     .trim()
@@ -22,90 +29,180 @@ function titleCase(str) {
     .replace(/\b(Ii|Iii|Iv|Vi|Vii|Viii|Ix|Xi)\b/gi, (m) => m.toUpperCase());
 }
 
+const QUARTER_NAMES = { 'Jan-Mar': 1, 'Apr-Jun': 2, 'Jul-Sep': 3, 'Oct-Dec': 4 };
+
+// Table headings: which property class the following locality lines belong to
+const SECTIONS = [
+  [/^MEDIAN HOUSE PRICES/, 'house'],
+  [/^MEDIAN UNIT PRICES/, 'unit'],
+  [/^MEDIAN VACANT RESIDENTIAL LAND PRICES/, 'land']
+];
+
+// Report cover "June 2025 Quarter" -> { year: 2025, q: 2 }
+function parseReportQuarter(text) {
+  const match = text.match(/\b(March|June|September|December) (\d{4}) Quarter\b/i);
+  if (!match) return null;
+  return { year: parseInt(match[2], 10), q: REPORT_QUARTERS[match[1].toLowerCase()] };
+}
+
+// { year: 2025, q: 2 } -> 'Q2 2025 (Jun 2025)', the form used in suburbs.json metadata
+function quarterLabel({ year, q }) {
+  const month = MONTHS[q * 3 - 1];
+  return `Q${q} ${year} (${month[0].toUpperCase()}${month.slice(1)} ${year})`;
+}
+
+// 'vpsr-june-2025-data-released-dec-2025.pdf' -> '2025-12-01'
+function releasedFromFileName(fileName) {
+  const match = path.basename(fileName).toLowerCase().match(/released-([a-z]{3})[a-z]*-(\d{4})/);
+  if (!match || !MONTHS.includes(match[1])) return null;
+  return `${match[2]}-${String(MONTHS.indexOf(match[1]) + 1).padStart(2, '0')}-01`;
+}
+
+// '2025-Q2' shifted back by n quarters
+function quarterKey(year, q, back = 0) {
+  const index = year * 4 + (q - 1) - back;
+  return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+}
+
+// "Apr-Jun 2024 to Apr-Jun 2025" -> latest quarter { year: 2025, q: 2 }
+function parsePeriodHeading(line) {
+  const match = line.match(/^(Jan-Mar|Apr-Jun|Jul-Sep|Oct-Dec) (\d{4}) to (Jan-Mar|Apr-Jun|Jul-Sep|Oct-Dec) (\d{4})$/);
+  if (!match) return null;
+  return { year: parseInt(match[4], 10), q: QUARTER_NAMES[match[3]] };
+}
+
+// '567500' -> 567500; '-2.2' -> -2.2; '1,330' -> 1330 (sales counts over 999 have thousands separators)
+function parseNumber(token) {
+  if (token == null || token === '-' || token === 'NA') return null;
+  const n = parseFloat(token.replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+// A locality row: NAME, five quarterly medians (newest first, '-' when none), '^' / '*' low-sales
+// markers, change (%) on the previous quarter and on the same quarter last year (or NA), then the
+// number of sales year-to-date and in the latest quarter (the land table prints these the other way
+// round, so the smaller of the two is taken as the quarter).
 function parseLine(line) {
-  // Match: LOCALITY NAME (all caps, may contain spaces, parentheses, hyphen) then space/tab then 5-7 digit number (median price)
-  const match = line.match(/^([A-Z][A-Z0-9 ()\-]+?)\s+(\d{5,7})(?=[\s\t]|$)/);
+  const match = line.match(/^([A-Z][A-Z0-9 ()'\-]+?)\s+(\d{4,8}[\^*]?)(?=[\s\t]|$)/);
   if (!match) return null;
   const rawName = match[1].trim();
-  const medianPrice = parseInt(match[2], 10);
-  if (isNaN(medianPrice) || medianPrice < 50000 || medianPrice > 99999999) return null;
 
   // Skip header/legend lines
   if (/^Locality|^MEDIAN|^Change|^Apr-Jun|^No\. of Sales|^Legend|^Vacant|^Q1 |^Q2 /i.test(rawName)) return null;
   if (/^\d|^%|^\$/.test(rawName)) return null;
 
-  const name = titleCase(rawName);
-  const rest = line.slice(match[0].length);
-  let annualChange = null;
-  let salesCount = null;
-  const numParts = rest.split(/[\s\t]+/).filter((s) => /^-?\d+\.?\d*$/.test(s) || /^\d+$/.test(s));
-  const pct = numParts.find((p) => p.includes('.') && Math.abs(parseFloat(p)) < 100);
-  if (pct) annualChange = parseFloat(pct);
-  const lastInts = numParts.filter((p) => /^\d+$/.test(p) && p.length <= 4).map((p) => parseInt(p, 10));
-  if (lastInts.length > 0) salesCount = lastInts[lastInts.length - 1];
+  const tokens = line
+    .slice(match[1].length)
+    .split(/[\s\t]+/)
+    .map((t) => t.replace(/[\^*]+$/, ''))
+    .filter(Boolean);
+  if (tokens.length < 9) return null;
+  const medians = tokens.slice(0, 5).map(parseNumber);
+  const [changeQoQ, changeYoY] = tokens.slice(5, 7).map(parseNumber);
+  const salesCounts = tokens.slice(-2).map(parseNumber);
+  const sales = salesCounts.includes(null) ? salesCounts[1] : Math.min(...salesCounts);
+  const salesYearToDate = salesCounts.includes(null) ? null : Math.max(...salesCounts);
+
+  const medianPrice = medians[0];
+  if (medianPrice == null || medianPrice < 50000 || medianPrice > 99999999) return null;
 
-  return { name, medianPrice, annualChange, salesCount };
+  return { name: titleCase(rawName), medianPrice, medians, changeQoQ, changeYoY, sales, salesYearToDate };
 }
 
-async function main() {
+// Quarterly points for one row: { '2024-Q2': { median }, ..., '2025-Q2': { median, sales, salesYearToDate, changeQoQ, changeYoY } }
+function quarterlyPoints(row, latest) {
+  const points = {};
+  row.medians
+    .map((median, back) => [quarterKey(latest.year, latest.q, back), median])
+    .reverse()
+    .forEach(([key, median]) => {
+      if (median != null) points[key] = { median };
+    });
+  const latestKey = quarterKey(latest.year, latest.q);
+  if (points[latestKey]) {
+    if (row.sales != null) points[latestKey].sales = row.sales;
+    if (row.salesYearToDate != null) points[latestKey].salesYearToDate = row.salesYearToDate;
+    if (row.changeQoQ != null) points[latestKey].changeQoQ = row.changeQoQ;
+    if (row.changeYoY != null) points[latestKey].changeYoY = row.changeYoY;
+  }
+  return points;
+}
+
+async function readPdfText(pdfPath) {
   let PDFParse;
   try {
     ({ PDFParse } = require('pdf-parse'));
   } catch (e) {
-    console.error('pdf-parse is required. Run: npm install pdf-parse');
-    process.exit(1);
+    throw new Error('pdf-parse is required. Run: npm install pdf-parse');
   }
-
-  const dataBuffer = fs.readFileSync(pdfPath);
-  const parser = new PDFParse({ data: dataBuffer });
+  const parser = new PDFParse({ data: fs.readFileSync(pdfPath) });
   const { text } = await parser.getText();
   await parser.destroy();
+  return text;
+}
+
+// Parse the report text into { quarter, localities } without touching the filesystem
+function parseReport(text) {
   const lines = text.split(/\r?\n/);
 
-  // PDF has house price table first (p.15), then unit price table (p.38). Use FIRST occurrence
-  // for house median so we don't overwrite with unit median (e.g. Ivanhoe 2025000 vs 650000).
+  // Tables run house (p.15), unit (p.38), then vacant residential land. Track the current table
+  // from its heading so a locality's unit or land row never overwrites its house median.
   const byName = new Map();
+  let section = null;
+  let latest = null;
   for (const line of lines) {
+    const heading = SECTIONS.find(([re]) => re.test(line.trim()));
+    if (heading) {
+      section = heading[1];
+      continue;
+    }
+    latest = parsePeriodHeading(line.trim()) || latest;
+    if (!section || !latest) continue;
     const parsed = parseLine(line);
     if (!parsed) continue;
-    const existing = byName.get(parsed.name);
-    if (!existing) {
-      byName.set(parsed.name, {
-        medianPrice: parsed.medianPrice,
-        annualChange: parsed.annualChange,
-        salesCount: parsed.salesCount,
-        medianPriceUnit: null
-      });
+    if (!byName.has(parsed.name)) byName.set(parsed.name, { quarterly: {} });
+    const entry = byName.get(parsed.name);
+    if (entry.quarterly[section]) continue;
+    entry.quarterly[section] = quarterlyPoints(parsed, latest);
+    if (section === 'house') {
+      entry.medianPrice = parsed.medianPrice;
+      entry.annualChange = parsed.changeYoY;
+      entry.salesCount = parsed.sales;
+    } else if (section === 'unit') {
+      entry.medianPriceUnit = parsed.medianPrice;
     } else {
-      // Second occurrence = unit table: store as unit median if we don't have one
-      if (existing.medianPriceUnit == null && parsed.medianPrice != null) {
-        existing.medianPriceUnit = parsed.medianPrice;
-      }
+      entry.medianPriceLand = parsed.medianPrice;
     }
   }
 
-  const vpsr = {
-    _comment: 'VPSR June 2025 quarter (Apr-Jun 2025). House median from first table; unit from second. Keys match suburbs.json.',
-    ...Object.fromEntries(
-      [...byName.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([k, v]) => [
-        k,
-        {
-          medianPrice: v.medianPrice,
-          ...(v.medianPriceUnit != null && { medianPriceUnit: v.medianPriceUnit }),
-          ...(v.annualChange != null && { annualChange: v.annualChange }),
-          ...(v.salesCount != null && { salesCount: v.salesCount })
-        }
-      ])
-    )
-  };
+  const reportQuarter = parseReportQuarter(text) || latest;
+  if (!reportQuarter) throw new Error('Could not find the report quarter (e.g. "June 2025 Quarter") in the PDF');
+  if (latest && quarterKey(latest.year, latest.q) !== quarterKey(reportQuarter.year, reportQuarter.q)) {
+    throw new Error(`Report says ${quarterLabel(reportQuarter)} but its tables end at ${quarterLabel(latest)}`);
+  }
+  if (byName.size === 0) throw new Error('No locality rows found; is this a VPSR PDF?');
 
-  fs.writeFileSync(vpsrOutPath, JSON.stringify(vpsr, null, 2) + '\n', 'utf8');
-  console.log('Wrote', byName.size, 'localities to data/vpsr-june-2025.json');
+  const localities = Object.fromEntries(
+    [...byName.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([k, v]) => [
+      k,
+      {
+        ...(v.medianPrice != null && { medianPrice: v.medianPrice }),
+        ...(v.medianPriceUnit != null && { medianPriceUnit: v.medianPriceUnit }),
+        ...(v.medianPriceLand != null && { medianPriceLand: v.medianPriceLand }),
+        ...(v.annualChange != null && { annualChange: v.annualChange }),
+        ...(v.salesCount != null && { salesCount: v.salesCount }),
+        quarterly: v.quarterly
+      }
+    ])
+  );
+  return { quarter: reportQuarter, localities };
+}
 
+function addStubSuburbs(localities) {
   const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8'));
   if (!suburbs.suburbs) {
     console.log('suburbs.json has no suburbs key, skipping stub adds.');
-    return;
+    return 0;
   }
 
   const stub = {
@@ -125,12 +222,13 @@ async function main() {
   };
 
   let added = 0;
-  for (const [name, row] of byName) {
+  for (const [name, row] of Object.entries(localities)) {
     if (suburbs.suburbs[name]) continue;
     const slug = name.toLowerCase().replace(/\s+/g, '-').replace(/[()]/g, '');
     suburbs.suburbs[name] = {
       ...stub,
-      medianPrice: row.medianPrice,
+      medianPrice: row.medianPrice ?? null,
+      medianPriceUnit: row.medianPriceUnit ?? null,
       annualChange: row.annualChange ?? null,
       salesCount: row.salesCount ?? null,
       reivSlug: slug
@@ -141,9 +239,55 @@ async function main() {
     fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
     console.log('Added', added, 'stub suburbs to data/suburbs.json. Run merge-vpsr-data.js then geocode-missing-suburbs.js.');
   }
+  return added;
+}
+
+// Extract a VPSR PDF into data/vpsr/<YYYY-Qn>.json. Returns { release, outPath }.
+async function extractRelease(pdfPath, { released } = {}) {
+  const { quarter, localities } = parseReport(await readPdfText(pdfPath));
+  const key = quarterKey(quarter.year, quarter.q);
+  const release = {
+    _comment: 'medianPrice/annualChange/salesCount from the house table, medianPriceUnit and medianPriceLand from the unit and vacant land tables; quarterly holds the five quarters of each table. Locality keys match suburbs.json.',
+    quarter: key,
+    dataQuarter: quarterLabel(quarter),
+    released: released || releasedFromFileName(pdfPath),
+    sourceFile: path.basename(pdfPath),
+    localities
+  };
+
+  fs.mkdirSync(vpsrDir, { recursive: true });
+  const outPath = path.join(vpsrDir, `${key}.json`);
+  fs.writeFileSync(outPath, JSON.stringify(release, null, 2) + '\n', 'utf8');
+  console.log('Wrote', Object.keys(localities).length, `localities for ${release.dataQuarter} to data/vpsr/${key}.json`);
+
+  addStubSuburbs(localities);
+  return { release, outPath };
+}
+
+// [pdfPath, { released }] from argv
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const releasedIdx = args.indexOf('--released');
+  let released = null;
+  if (releasedIdx !== -1) {
+    released = args[releasedIdx + 1];
+    args.splice(releasedIdx, 2);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(released || '')) throw new Error('--released must be YYYY-MM-DD');
+  }
+  if (!args[0]) throw new Error(`Usage: node scripts/${path.basename(argv[1])} <vpsr.pdf> [--released YYYY-MM-DD]`);
+  return [args[0], { released }];
+}
+
+async function main() {
+  const [pdfPath, options] = parseArgs(process.argv);
+  await extractRelease(pdfPath, options);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+module.exports = { parseArgs, parseReport, quarterKey, quarterLabel, extractRelease };
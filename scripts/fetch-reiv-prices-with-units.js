@@ -8,10 +8,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { applyField } = require('../lib/provenance');
 
 const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
 const REIV_DELAY_MS = 2500;
 
+function reivUrl(slug) {
+  return `https://reiv.com.au/market-insights/suburb/${encodeURIComponent(slug)}`;
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -30,7 +35,7 @@ function parsePriceFromDisplay(text) {
 }
 
 async function fetchREIVHouseAndUnitWithPuppeteer(page, slug) {
-  const url = `https://reiv.com.au/market-insights/suburb/${encodeURIComponent(slug)}`;
+  const url = reivUrl(slug);
   const result = { medianPrice: null, medianPriceUnit: null, annualChange: null };
 
   try {
@@ -127,6 +132,8 @@ async function main() {
   await page.setUserAgent('MelbournePropertyFinder/1.0 (data sync)');
   await page.setViewport({ width: 1280, height: 800 });
 
+  // Provenance for every value written this run (lib/provenance.js: REIV never replaces VPSR)
+  const retrieved = new Date().toISOString().slice(0, 10);
   let updated = 0;
   for (let i = 0; i < total; i++) {
     const name = missing[i];
@@ -136,12 +143,12 @@ async function main() {
       console.log(`[${i + 1}/${total}] ${name}: error ${data._error}`);
     } else if (data.medianPrice != null || data.medianPriceUnit != null) {
       const sub = suburbs.suburbs[name];
-      if (data.medianPrice != null) {
-        sub.medianPrice = data.medianPrice;
-        if (sub.priceHistory && typeof sub.priceHistory === 'object') sub.priceHistory['2025'] = data.medianPrice;
+      const provenance = { source: 'reiv', retrieved, ref: reivUrl(slug) };
+      if (applyField(sub, 'medianPrice', data.medianPrice, provenance)) {
+        if (sub.priceHistory && typeof sub.priceHistory === 'object') sub.priceHistory[retrieved.slice(0, 4)] = data.medianPrice;
       }
-      if (data.medianPriceUnit != null) sub.medianPriceUnit = data.medianPriceUnit;
-      if (data.annualChange != null) sub.annualChange = data.annualChange;
+      applyField(sub, 'medianPriceUnit', data.medianPriceUnit, provenance);
+      applyField(sub, 'annualChange', data.annualChange, provenance);
       updated++;
       console.log(`[${i + 1}/${total}] ${name}: house ${sub.medianPrice != null ? '$' + (sub.medianPrice / 1000) + 'k' : '-'}, unit ${sub.medianPriceUnit != null ? '$' + (sub.medianPriceUnit / 1000) + 'k' : '-'}`);
     } else {
@@ -6,17 +6,18 @@
  * only; median unit may be wrong or from a different section. For both House and
  * Unit medians, use: node scripts/fetch-reiv-prices-with-units.js (requires Puppeteer).
  * Usage: node scripts/fetch-reiv-prices.js [--limit N]
- * Rate limit: 2 sec between requests (REIV-friendly).
+ * Rate limit: 2 sec between requests (REIV-friendly), enforced by lib/request-scheduler.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { applyField } = require('../lib/provenance');
+const scheduler = require('../lib/request-scheduler');
 
 const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
-const REIV_DELAY_MS = 2000;
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function reivUrl(slug) {
+  return `https://reiv.com.au/market-insights/suburb/${encodeURIComponent(slug)}`;
 }
 
 function parsePriceFromText(text) {
@@ -32,12 +33,12 @@ function parsePriceFromText(text) {
 }
 
 async function fetchREIVPrices(slug) {
-  const url = `https://reiv.com.au/market-insights/suburb/${encodeURIComponent(slug)}`;
-  const res = await fetch(url, {
+  const url = reivUrl(slug);
+  const res = await scheduler.request(url, {
     headers: { 'User-Agent': 'MelbournePropertyFinder/1.0 (data sync)' }
-  });
+  }, { maxWaitMs: Infinity });
   if (!res.ok) return null;
-  const html = await res.text();
+  const html = res.body;
 
   // Default REIV view = Houses tab. So this parse gives MEDIAN HOUSE PRICE only.
   const result = { medianPrice: null, medianPriceUnit: null, annualChange: null };
@@ -80,6 +81,8 @@ async function main() {
     return;
   }
 
+  // Provenance for every value written this run (lib/provenance.js: REIV never replaces VPSR)
+  const retrieved = new Date().toISOString().slice(0, 10);
   let updated = 0;
   for (let i = 0; i < total; i++) {
     const name = missing[i];
@@ -88,12 +91,12 @@ async function main() {
       const data = await fetchREIVPrices(slug);
       if (data && (data.medianPrice != null || data.medianPriceUnit != null)) {
         const sub = suburbs.suburbs[name];
-        if (data.medianPrice != null) {
-          sub.medianPrice = data.medianPrice;
-          if (sub.priceHistory && typeof sub.priceHistory === 'object') sub.priceHistory['2025'] = data.medianPrice;
+        const provenance = { source: 'reiv', retrieved, ref: reivUrl(slug) };
+        if (applyField(sub, 'medianPrice', data.medianPrice, provenance)) {
+          if (sub.priceHistory && typeof sub.priceHistory === 'object') sub.priceHistory[retrieved.slice(0, 4)] = data.medianPrice;
         }
-        if (data.medianPriceUnit != null) sub.medianPriceUnit = data.medianPriceUnit;
-        if (data.annualChange != null) sub.annualChange = data.annualChange;
+        applyField(sub, 'medianPriceUnit', data.medianPriceUnit, provenance);
+        applyField(sub, 'annualChange', data.annualChange, provenance);
         updated++;
         console.log(`[${i + 1}/${total}] ${name}: house $${(sub.medianPrice || 0) / 1000}k, unit ${sub.medianPriceUnit != null ? '$' + (sub.medianPriceUnit / 1000) + 'k' : '-'}`);
       } else {
@@ -106,7 +109,6 @@ async function main() {
       fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
       console.log(`  ... saved (${updated} updated so far)`);
     }
-    if (i < total - 1) await sleep(REIV_DELAY_MS);
   }
 
   suburbs.metadata.notes = (suburbs.metadata.notes || '').replace(/\s*Prices from REIV[^.]*\.?/g, '').trim();
@@ -1,22 +1,23 @@
 #!/usr/bin/env node
 /**
- * Geocode suburbs that have coords: null using Nominatim (OpenStreetMap).
- * Respects rate limit (1 req/sec). Caches results in data/geocode-cache.json.
+ * Geocode suburbs that have coords: null with the configured geocoder (lib/providers; Nominatim
+ * unless GEOCODER=local, or NOMINATIM_URL for a self-hosted instance).
+ * Nominatim requests go through lib/request-scheduler.js, which holds the public instance to its
+ * 1 req/sec policy and backs off on 429/503. Results go in the shared lookup cache (lib/cache.js,
+ * 'nominatim' provider), so the server's geocoder reuses them and vice versa. Estimated answers from
+ * the local geocoder are reported but not written to suburbs.json.
+ * Entries from the older data/geocode-cache.json are imported on first run.
  * Usage: node scripts/geocode-missing-suburbs.js [--limit N]
  * Without --limit, processes all missing suburbs (can take 30+ min for 2000+).
  */
 
 const fs = require('fs');
 const path = require('path');
+const cache = require('../lib/cache');
+const { geocoder } = require('../lib/providers');
 
 const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
-const cachePath = path.join(__dirname, '..', 'data', 'geocode-cache.json');
-const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
-const DELAY_MS = 1100; // Nominatim policy: max 1 request per second
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const legacyCachePath = path.join(__dirname, '..', 'data', 'geocode-cache.json');
 
 function loadJson(p, defaultValue) {
   try {
@@ -26,25 +27,6 @@ function loadJson(p, defaultValue) {
   }
 }
 
-async function geocode(query) {
-  const params = new URLSearchParams({
-    q: query,
-    format: 'json',
-    limit: 1,
-    countrycodes: 'au'
-  });
-  const res = await fetch(`${NOMINATIM_URL}?${params}`, {
-    headers: { 'User-Agent': 'MelbournePropertyFinder/1.0 (geocoding Victorian suburbs)' }
-  });
-  if (!res.ok) return null;
-  const data = await res.json();
-  if (!Array.isArray(data) || data.length === 0) return null;
-  const lat = parseFloat(data[0].lat);
-  const lon = parseFloat(data[0].lon);
-  if (isNaN(lat) || isNaN(lon)) return null;
-  return { lat, lon };
-}
-
 async function main() {
   const args = process.argv.slice(2);
   let limit = null;
@@ -60,34 +42,36 @@ async function main() {
     process.exit(1);
   }
 
-  const cache = loadJson(cachePath, {});
+  importLegacyCache();
   const missing = Object.entries(suburbs.suburbs)
     .filter(([, s]) => !s.coords || s.coords.length !== 2)
     .map(([name]) => name);
 
-  const toProcess = missing.filter(name => !cache[name]);
+  const toProcess = missing.filter(name => cache.get('nominatim', suburbKey(name)) === undefined);
   const total = limit != null ? Math.min(limit, toProcess.length) : toProcess.length;
 
   console.log(`Suburbs missing coords: ${missing.length}`);
   console.log(`Already in cache: ${missing.length - toProcess.length}`);
-  console.log(`To geocode this run: ${total}`);
+  console.log(`To geocode this run: ${total} (geocoder: ${geocoder.name})`);
   if (total === 0) {
     console.log('Nothing to do. Merging cache into suburbs.json...');
-    mergeCacheIntoSuburbs(suburbs, cache);
+    mergeIntoSuburbs(suburbs, new Map());
     fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
     console.log('Done.');
     return;
   }
 
+  // Results from this run; Nominatim's are also in the cache, the local geocoder's only here
+  const found = new Map();
   let done = 0;
   for (let i = 0; i < total; i++) {
     const name = toProcess[i];
-    const query = `${name}, Victoria, Australia`;
     try {
-      const result = await geocode(query);
-      if (result) {
-        cache[name] = result;
-        fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2) + '\n', 'utf8');
+      const result = await geocoder.search(`${name}, Victoria, Australia`, { maxWaitMs: Infinity });
+      if (result && result.estimated) {
+        console.log(`[${done}/${total}] ${name} -> ${result.lat}, ${result.lon} (estimated, not saved)`);
+      } else if (result) {
+        found.set(name, result);
         done++;
         console.log(`[${done}/${total}] ${name} -> ${result.lat}, ${result.lon}`);
       } else {
@@ -96,21 +80,43 @@ async function main() {
     } catch (e) {
       console.error(`[${name}] Error:`, e.message);
     }
-    if (i < total - 1) await sleep(DELAY_MS);
   }
 
   console.log(`Geocoded ${done} suburbs. Merging into suburbs.json...`);
-  mergeCacheIntoSuburbs(suburbs, cache);
+  mergeIntoSuburbs(suburbs, found);
   fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
+  cache.flush();
   console.log('Done. Suburbs with coords:', countWithCoords(suburbs));
 }
 
-function mergeCacheIntoSuburbs(suburbs, cache) {
+// Same key the Nominatim geocoder uses for a bare suburb name
+function suburbKey(name) {
+  return cache.cacheKey('search', `${name}, Victoria, Australia`);
+}
+
+// Seed the shared cache from the older data/geocode-cache.json (name -> { lat, lon }), skipping entries it already has
+function importLegacyCache() {
+  const legacy = loadJson(legacyCachePath, null);
+  if (!legacy) return;
+  let imported = 0;
+  for (const [name, c] of Object.entries(legacy)) {
+    if (cache.get('nominatim', suburbKey(name)) !== undefined) continue;
+    cache.set('nominatim', suburbKey(name), { lat: c.lat, lon: c.lon });
+    imported++;
+  }
+  if (imported > 0) {
+    cache.flush();
+    console.log(`Imported ${imported} entries from data/geocode-cache.json into the shared cache.`);
+  }
+}
+
+// Coords from this run's results, else from the shared cache
+function mergeIntoSuburbs(suburbs, found) {
   let merged = 0;
-  for (const name of Object.keys(cache)) {
-    const sub = suburbs.suburbs[name];
-    if (sub && (!sub.coords || sub.coords.length !== 2)) {
-      const c = cache[name];
+  for (const [name, sub] of Object.entries(suburbs.suburbs)) {
+    if (sub.coords && sub.coords.length === 2) continue;
+    const c = found.get(name) || cache.get('nominatim', suburbKey(name));
+    if (c) {
       sub.coords = [c.lat, c.lon];
       merged++;
     }
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Import suburb boundary polygons into data/boundaries/suburbs.geojson for the map choropleth.
+ *
+ * Input is a GeoJSON FeatureCollection of suburbs/localities, e.g. the ABS "Suburbs and Localities"
+ * (SAL) ASGS boundaries converted from the published shapefile/GeoPackage with
+ *   ogr2ogr -f GeoJSON -t_srs EPSG:4326 sal.geojson SAL_2021_AUST_GDA2020.shp
+ * Features outside Victoria are dropped when the file has a state field. Names such as
+ * 'Kew (Vic.)' or 'Ascot (Greater Bendigo - Vic.)' are matched to data/suburbs.json; polygons are
+ * simplified (Douglas-Peucker) and coordinates rounded to 5 decimals to keep the file small.
+ *
+ * Usage: node scripts/import-boundaries.js <input.geojson> [--tolerance 0.0001] [--name-field SAL_NAME21]
+ *   --tolerance DEG   simplification tolerance in degrees (default 0.0001, about 10 m; 0 disables)
+ *   --name-field F    property holding the locality name (default: first of SAL_NAME21, SAL_NAME_2021, ...)
+ *   --out FILE        output path (default data/boundaries/suburbs.geojson)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+const defaultOut = path.join(__dirname, '..', 'data', 'boundaries', 'suburbs.geojson');
+
+const NAME_FIELDS = ['SAL_NAME21', 'SAL_NAME_2021', 'SAL_NAME', 'SSC_NAME16', 'SSC_NAME', 'LOC_NAME', 'LOCALITY', 'name'];
+const STATE_FIELDS = ['STE_NAME21', 'STE_NAME_2021', 'STE_NAME16', 'STATE_NAME', 'STATE'];
+const VICTORIA = ['victoria', 'vic', '2'];
+
+function takeOption(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  args.splice(idx, 2);
+  return value;
+}
+
+// 'Kew (Vic.)' -> 'Kew'; 'Ascot (Greater Bendigo - Vic.)' -> 'Ascot (Greater Bendigo)'
+function cleanName(raw) {
+  return String(raw || '')
+    .replace(/\s*\(Vic\.?\)\s*$/i, '')
+    .replace(/\s*-\s*Vic\.?\)\s*$/i, ')')
+    .trim();
+}
+
+function baseName(name) {
+  return name.replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+// Perpendicular distance from p to segment a-b, in degrees (fine at suburb scale)
+function segmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  if (dx === 0 && dy === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function douglasPeucker(points, tolerance) {
+  if (points.length <= 2) return points;
+  let maxDist = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = segmentDistance(points[i], points[0], points[points.length - 1]);
+    if (d > maxDist) {
+      maxDist = d;
+      index = i;
+    }
+  }
+  if (maxDist <= tolerance) return [points[0], points[points.length - 1]];
+  const left = douglasPeucker(points.slice(0, index + 1), tolerance);
+  const right = douglasPeucker(points.slice(index), tolerance);
+  return left.slice(0, -1).concat(right);
+}
+
+// Simplified, rounded ring; rings that would collapse below 4 points keep their original shape
+function simplifyRing(ring, tolerance) {
+  const round = (n) => Math.round(n * 1e5) / 1e5;
+  const simplified = tolerance > 0 ? douglasPeucker(ring, tolerance) : ring;
+  const out = (simplified.length >= 4 ? simplified : ring).map(([lon, lat]) => [round(lon), round(lat)]);
+  return out.filter((p, i) => i === 0 || p[0] !== out[i - 1][0] || p[1] !== out[i - 1][1]);
+}
+
+function simplifyGeometry(geometry, tolerance) {
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: geometry.coordinates.map(r => simplifyRing(r, tolerance)) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(poly => poly.map(r => simplifyRing(r, tolerance))) };
+  }
+  return null;
+}
+
+function geometryBbox(geometry) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  const rings = geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates.flat();
+  rings.forEach(ring => ring.forEach(([lon, lat]) => {
+    bbox[0] = Math.min(bbox[0], lon);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lon);
+    bbox[3] = Math.max(bbox[3], lat);
+  }));
+  return bbox;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const tolerance = parseFloat(takeOption(args, '--tolerance') || '0.0001');
+  const nameFieldOption = takeOption(args, '--name-field');
+  const outPath = takeOption(args, '--out') || defaultOut;
+  const inputPath = args[0];
+  if (!inputPath) throw new Error('Usage: node scripts/import-boundaries.js <input.geojson> [--tolerance DEG] [--name-field F] [--out FILE]');
+  if (!Number.isFinite(tolerance) || tolerance < 0) throw new Error('--tolerance must be a non-negative number of degrees');
+
+  const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  if (!input || !Array.isArray(input.features)) throw new Error(`${inputPath} is not a GeoJSON FeatureCollection`);
+  const sample = (input.features.find(f => f.properties) || {}).properties || {};
+  const nameField = nameFieldOption || NAME_FIELDS.find(f => f in sample);
+  if (!nameField) throw new Error(`No name field found; pass --name-field (properties: ${Object.keys(sample).join(', ')})`);
+  const stateField = STATE_FIELDS.find(f => f in sample);
+
+  const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8')).suburbs;
+  const byLower = new Map(Object.keys(suburbs).map(n => [n.toLowerCase(), n]));
+
+  const candidates = input.features.filter(f => f.geometry && (!stateField || VICTORIA.includes(String(f.properties[stateField]).toLowerCase())));
+  const matched = new Map(); // suburb name -> feature
+  const unmatched = [];
+  candidates.forEach(f => {
+    const name = byLower.get(cleanName(f.properties[nameField]).toLowerCase());
+    if (name && !matched.has(name)) matched.set(name, f);
+    else unmatched.push(f);
+  });
+  // Second pass: 'Ascot (Ballarat)' -> 'Ascot' when exactly one unmatched feature has that base name
+  const byBase = {};
+  unmatched.forEach(f => {
+    const base = baseName(cleanName(f.properties[nameField])).toLowerCase();
+    (byBase[base] = byBase[base] || []).push(f);
+  });
+  const stillUnmatched = [];
+  Object.entries(byBase).forEach(([base, features]) => {
+    const name = byLower.get(base);
+    if (features.length === 1 && name && !matched.has(name)) matched.set(name, features[0]);
+    else stillUnmatched.push(...features);
+  });
+
+  const features = [];
+  for (const [name, f] of [...matched].sort(([a], [b]) => a.localeCompare(b))) {
+    const geometry = simplifyGeometry(f.geometry, tolerance);
+    if (!geometry) continue;
+    features.push({ type: 'Feature', properties: { name }, bbox: geometryBbox(geometry), geometry });
+  }
+
+  const collection = {
+    type: 'FeatureCollection',
+    metadata: {
+      source: path.basename(inputPath),
+      nameField,
+      imported: new Date().toISOString().slice(0, 10),
+      tolerance
+    },
+    features
+  };
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(collection) + '\n', 'utf8');
+
+  const withoutBoundary = Object.keys(suburbs).filter(n => !matched.has(n));
+  console.log(`Wrote ${features.length} boundaries to ${path.relative(process.cwd(), outPath)} (${(fs.statSync(outPath).size / 1e6).toFixed(1)} MB)`);
+  console.log(`Localities in input: ${candidates.length}; not matched to suburbs.json: ${stillUnmatched.length}`);
+  stillUnmatched.slice(0, 20).forEach(f => console.log(`  - ${f.properties[nameField]}`));
+  if (stillUnmatched.length > 20) console.log(`  ... and ${stillUnmatched.length - 20} more`);
+  console.log(`Suburbs without a boundary (drawn as points): ${withoutBoundary.length}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
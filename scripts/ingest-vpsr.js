@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Ingest one VPSR quarterly release: extract the PDF into data/vpsr/<YYYY-Qn>.json
+ * (quarter read from the report), then merge it into data/suburbs.json with matching
+ * metadata. New stub suburbs still need scripts/geocode-missing-suburbs.js for coords.
+ *
+ * Usage: npm run ingest-vpsr -- <vpsr.pdf> [--released YYYY-MM-DD]
+ *    or: node scripts/ingest-vpsr.js <vpsr.pdf> [--released YYYY-MM-DD]
+ */
+
+const { parseArgs, extractRelease } = require('./extract-vpsr-suburbs');
+const { mergeRelease } = require('./merge-vpsr-data');
+
+async function main() {
+  const [pdfPath, options] = parseArgs(process.argv);
+  const { release } = await extractRelease(pdfPath, options);
+  mergeRelease(release);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -1,58 +1,105 @@
 #!/usr/bin/env node
 /**
- * Merge VPSR June 2025 data into data/suburbs.json.
- * When a suburb exists in data/vpsr-june-2025.json, update median price fields from the PDF.
- * When data is unavailable in the PDF, keep the existing website values.
+ * Merge a VPSR release (data/vpsr/<YYYY-Qn>.json) into data/suburbs.json.
+ * Median prices and statistics are applied field by field under the precedence policy in
+ * lib/provenance.js and record their source, quarter and release date in suburb.sources.
+ * When data is unavailable in the PDF, existing values (e.g. REIV) are kept.
+ * Quarterly medians are merged into priceSeries.{house,unit,land} by quarter ('2025-Q2'),
+ * so points from earlier releases are kept. A release older than the one already merged
+ * only adds its quarterly points; newer figures and metadata stay as they are.
+ *
+ * Usage: node scripts/merge-vpsr-data.js [data/vpsr/2025-Q2.json]
+ * Without an argument, merges the newest release in data/vpsr/.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { TRACKED_FIELDS, applyField } = require('../lib/provenance');
 
 const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
-const vpsrPath = path.join(__dirname, '..', 'data', 'vpsr-june-2025.json');
-
-const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8'));
-const vpsr = JSON.parse(fs.readFileSync(vpsrPath, 'utf8'));
-
-// Remove internal keys from vpsr
-const vpsrData = Object.keys(vpsr).reduce((acc, k) => {
-  if (k.startsWith('_')) return acc;
-  acc[k] = vpsr[k];
-  return acc;
-}, {});
-
-let updated = 0;
-let cleared = 0;
-
-for (const name of Object.keys(suburbs.suburbs)) {
-  const sub = suburbs.suburbs[name];
-  const row = vpsrData[name];
-  if (!row) {
-    // Suburb not in VPSR PDF: show N/A by clearing price fields
-    sub.medianPrice = null;
-    sub.medianPriceUnit = null;
-    sub.annualChange = null;
-    sub.salesCount = null;
-    if (sub.priceHistory) sub.priceHistory['2025'] = undefined;
-    cleared++;
-    continue;
+const vpsrDir = path.join(__dirname, '..', 'data', 'vpsr');
+const REPORT_MONTHS = ['March', 'June', 'September', 'December'];
+
+function latestReleasePath() {
+  const files = fs.existsSync(vpsrDir) ? fs.readdirSync(vpsrDir).filter((f) => /^\d{4}-Q[1-4]\.json$/.test(f)).sort() : [];
+  if (files.length === 0) throw new Error('No releases in data/vpsr/. Run scripts/ingest-vpsr.js <vpsr.pdf> first.');
+  return path.join(vpsrDir, files[files.length - 1]);
+}
+
+// '2025-Q2' for suburbs.json metadata, also understanding the older 'Q2 2025 (Jun 2025)' form
+function metadataQuarter(metadata) {
+  if (metadata.quarter) return metadata.quarter;
+  const match = String(metadata.dataQuarter || '').match(/Q([1-4]) (\d{4})/);
+  return match ? `${match[2]}-Q${match[1]}` : null;
+}
+
+function mergeSeries(existing, quarterly) {
+  const series = { ...(existing || {}) };
+  for (const [type, points] of Object.entries(quarterly || {})) {
+    const merged = { ...(series[type] || {}), ...points };
+    series[type] = Object.fromEntries(Object.keys(merged).sort().map((q) => [q, merged[q]]));
+  }
+  return series;
+}
+
+function mergeRelease(release) {
+  const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8'));
+  const current = metadataQuarter(suburbs.metadata || {});
+  const isLatest = !current || release.quarter >= current;
+  const year = release.quarter.slice(0, 4);
+
+  const provenance = { source: 'vpsr', quarter: release.quarter, retrieved: release.released, ref: release.sourceFile };
+
+  let updated = 0;
+  let kept = 0;
+
+  for (const name of Object.keys(suburbs.suburbs)) {
+    const sub = suburbs.suburbs[name];
+    const row = release.localities[name];
+    if (!row) continue;
+    if (row.quarterly) sub.priceSeries = mergeSeries(sub.priceSeries, row.quarterly);
+    for (const field of TRACKED_FIELDS) {
+      if (applyField(sub, field, row[field], provenance)) {
+        if (field === 'medianPrice' && sub.priceHistory) sub.priceHistory[year] = row.medianPrice;
+      } else if (row[field] != null) {
+        kept++;
+      }
+    }
+    updated++;
   }
-  if (row.medianPrice != null) {
-    sub.medianPrice = row.medianPrice;
-    if (sub.priceHistory) sub.priceHistory['2025'] = row.medianPrice;
+
+  if (isLatest) {
+    const reportName = `${REPORT_MONTHS[Number(release.quarter.slice(-1)) - 1]} ${year}`;
+    suburbs.metadata.quarter = release.quarter;
+    suburbs.metadata.dataQuarter = release.dataQuarter;
+    suburbs.metadata.lastUpdated = release.released || new Date().toISOString().slice(0, 10);
+    suburbs.metadata.source = 'Victorian Property Sales Report - Land Victoria';
+    suburbs.metadata.sourceUrl = 'https://www.land.vic.gov.au/valuations/resources-and-reports/property-sales-statistics';
+    suburbs.metadata.notes = `Median prices from VPSR ${reportName} quarter where available; otherwise prior data retained (see each suburb's sources). Demographics from ABS Census.`;
+  }
+
+  fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
+  console.log('Merged', updated, `suburbs from VPSR ${release.dataQuarter};`, kept, 'values kept where a newer or higher-precedence figure exists.');
+  if (isLatest) {
+    console.log(`Metadata set to ${release.dataQuarter}, lastUpdated ${suburbs.metadata.lastUpdated}.`);
+  } else {
+    console.log(`VPSR ${release.dataQuarter} is older than the merged ${current}; metadata unchanged.`);
   }
-  if (row.medianPriceUnit != null) sub.medianPriceUnit = row.medianPriceUnit;
-  if (row.annualChange != null) sub.annualChange = row.annualChange;
-  if (row.salesCount != null) sub.salesCount = row.salesCount;
-  updated++;
+  return { updated, kept, isLatest };
 }
 
-suburbs.metadata.lastUpdated = '2025-12-01';
-suburbs.metadata.dataQuarter = 'Q2 2025 (Jun 2025)';
-suburbs.metadata.source = 'Victorian Property Sales Report - Land Victoria';
-suburbs.metadata.sourceUrl = 'https://www.land.vic.gov.au/valuations/resources-and-reports/property-sales-statistics';
-suburbs.metadata.notes = 'Median prices from VPSR June 2025 quarter where available; otherwise prior data retained. Demographics from ABS Census.';
+function main() {
+  const releasePath = process.argv[2] ? path.resolve(process.argv[2]) : latestReleasePath();
+  mergeRelease(JSON.parse(fs.readFileSync(releasePath, 'utf8')));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+  }
+}
 
-fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
-console.log('Updated', updated, 'suburbs from VPSR Jun 2025; set N/A for', cleared, 'suburbs not in PDF.');
-console.log('Metadata set to Q2 2025 (Jun 2025), lastUpdated 2025-12-01.');
+module.exports = { mergeRelease, latestReleasePath };
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Count supermarkets, GPs, parks, playgrounds, cafés, libraries and childcare within walking distance
+ * of each suburb centre and store the derived amenity score in data/suburbs.json as `walkability`
+ * ({ score, categories: { [key]: { count, radiusM, nearest } }, updated }; see lib/amenities.js).
+ *
+ * Places come from the configured POI search (lib/providers): Overpass unless POI_SEARCH=local, which
+ * needs a local OSM extract saved as an Overpass JSON response at LOCAL_POI_PATH. Overpass requests go
+ * through lib/request-scheduler.js and land in the shared lookup cache (lib/cache.js, 'overpass'), so
+ * an interrupted run picks up where it stopped and the server's /api/amenities reuses the answers.
+ *
+ * Usage: node scripts/precompute-amenities.js [--missing] [--limit N] [--suburbs Kew,Reservoir]
+ * --missing skips suburbs that already have a score. A full Overpass run over ~900 suburbs with
+ * coords can take half an hour or more.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cache = require('../lib/cache');
+const { poi } = require('../lib/providers');
+const amenities = require('../lib/amenities');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+
+function argValue(args, name) {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const limit = parseInt(argValue(args, '--limit'), 10) || null;
+  const only = argValue(args, '--suburbs');
+  const missingOnly = args.includes('--missing');
+
+  if (!amenities.amenitySearchAvailable(poi)) {
+    console.error(`The local POI search has no OSM extract at ${poi.fixturePath}. Save an Overpass JSON export there (or set LOCAL_POI_PATH), or use POI_SEARCH=overpass.`);
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(suburbsPath, 'utf8'));
+  const wanted = only ? only.split(',').map(s => s.trim().toLowerCase()) : null;
+  let names = Object.keys(data.suburbs)
+    .filter(name => data.suburbs[name].coords && data.suburbs[name].coords.length === 2)
+    .filter(name => !wanted || wanted.includes(name.toLowerCase()))
+    .filter(name => !missingOnly || !data.suburbs[name].walkability);
+  if (limit) names = names.slice(0, limit);
+  console.log(`Scoring amenities for ${names.length} suburbs with ${poi.name}`);
+
+  const updated = new Date().toISOString().slice(0, 10);
+  let scored = 0;
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const [lat, lon] = data.suburbs[name].coords;
+    try {
+      const summary = await amenities.amenitiesNear(lat, lon, poi);
+      data.suburbs[name].walkability = amenities.walkabilityRecord(summary, updated);
+      scored++;
+      const counts = Object.entries(summary.categories).map(([key, c]) => `${key} ${c.count}`).join(', ');
+      console.log(`[${i + 1}/${names.length}] ${name}: ${summary.score} (${counts})`);
+    } catch (e) {
+      console.error(`[${i + 1}/${names.length}] ${name}: ${e.message}`);
+    }
+  }
+
+  fs.writeFileSync(suburbsPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  cache.flush();
+  console.log(`Scored ${scored} of ${names.length} suburbs.${scored < names.length ? ' Re-run with --missing to retry the rest.' : ''}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Precompute driving times from every suburb centre to each commute destination with the configured
+ * router (lib/providers; OSRM table requests unless ROUTER=local, or OSRM_URL for a self-hosted
+ * instance). Writes data/driving-times.json, the driving half of the travel-time matrix behind the
+ * map's isochrone overlay (GET /api/isochrone); the server re-reads it when it changes.
+ *
+ * OSRM times are free-flow, so peak-hour drives take longer. The local router's straight-line
+ * estimates are saved with estimated: true.
+ *
+ * Usage: node scripts/precompute-driving-times.js [--batch 50] [--limit N] [--suburbs Kew,Reservoir]
+ * --batch is the number of suburbs per table request; the OSRM demo server allows 100 points per
+ * request including the destinations, and lib/request-scheduler.js holds it to 1 request a second.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { router } = require('../lib/providers');
+const destinations = require('../lib/destinations');
+const travelTimes = require('../lib/travel-times');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+const outPath = travelTimes.matrixPath('driving');
+
+function argValue(args, name) {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const batchSize = parseInt(argValue(args, '--batch') || '50', 10);
+  const limit = parseInt(argValue(args, '--limit'), 10) || null;
+  const only = argValue(args, '--suburbs');
+
+  const targets = destinations.listDestinations();
+  if (!(batchSize > 0) || batchSize + targets.length > 100) {
+    console.error(`--batch must be between 1 and ${100 - targets.length} (100 points per request, ${targets.length} destinations)`);
+    process.exit(1);
+  }
+
+  const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8')).suburbs;
+  const wanted = only ? only.split(',').map(s => s.trim().toLowerCase()) : null;
+  let names = Object.keys(suburbs)
+    .filter(name => suburbs[name].coords && suburbs[name].coords.length === 2)
+    .filter(name => !wanted || wanted.includes(name.toLowerCase()));
+  if (limit) names = names.slice(0, limit);
+  console.log(`Routing ${names.length} suburbs x ${targets.length} destinations with ${router.name}, ${batchSize} suburbs per request`);
+
+  const result = Object.fromEntries(targets.map(d => [d.id, {}]));
+  let reached = 0;
+  let failed = 0;
+  for (let i = 0; i < names.length; i += batchSize) {
+    const batch = names.slice(i, i + batchSize);
+    const sources = batch.map(name => ({ lat: suburbs[name].coords[0], lon: suburbs[name].coords[1] }));
+    let rows;
+    try {
+      rows = await router.table(sources, targets, { profile: 'driving', maxWaitMs: Infinity });
+    } catch (error) {
+      console.error(`  Suburbs ${i + 1}-${i + batch.length} failed: ${error.message}`);
+      failed += batch.length;
+      continue;
+    }
+    batch.forEach((name, s) => {
+      rows[s].forEach((r, t) => {
+        if (!r) return;
+        result[targets[t].id][name] = { minutes: r.durationMinutes, distanceKm: r.distanceKm, ...(r.estimated ? { estimated: true } : {}) };
+        reached++;
+      });
+    });
+    console.log(`  ${Math.min(i + batchSize, names.length)}/${names.length} suburbs`);
+  }
+
+  const output = {
+    metadata: {
+      generated: new Date().toISOString(),
+      router: router.name,
+      profile: 'driving'
+    },
+    destinations: result
+  };
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2) + '\n', 'utf8');
+  console.log(`Wrote ${reached} suburb/destination times to data/driving-times.json${failed ? ` (${failed} suburbs failed; re-run to retry)` : ''}.`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Precompute peak-hour public transport times from every suburb centre to each commute destination,
+ * planned door to door over the GTFS timetable (lib/gtfs). Writes data/transit-times.json, which the
+ * server uses for suburbs without a live journey lookup (assessment commutes, the suburb panel) in
+ * place of the hand-entered data/commute-times.json. A destination's own transitTimes still win.
+ *
+ * Each suburb records the median door-to-door time over departures across the window (waiting at
+ * home included), the fastest journey and its lines.
+ *
+ * Usage: node scripts/precompute-transit-times.js [--feed PATH] [--date YYYY-MM-DD] [--feeds 1,2,3,4]
+ *          [--depart 07:30] [--window 60] [--step 10] [--limit N] [--suburbs Kew,Reservoir]
+ * The feed defaults to GTFS_PATH, GTFS_DATE and GTFS_FEEDS as for the server (data/gtfs/gtfs.zip).
+ * A full run over ~2,700 suburbs takes a while; progress is printed every 100 suburbs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gtfs = require('../lib/gtfs');
+const destinations = require('../lib/destinations');
+const travelTimes = require('../lib/travel-times');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+const outPath = travelTimes.matrixPath('transit');
+
+function argValue(args, name) {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const feedPath = argValue(args, '--feed') || process.env.GTFS_PATH || path.join(__dirname, '..', 'data', 'gtfs', 'gtfs.zip');
+  const date = argValue(args, '--date') || process.env.GTFS_DATE;
+  const feedsArg = argValue(args, '--feeds') || process.env.GTFS_FEEDS;
+  const depart = argValue(args, '--depart') || '07:30';
+  const windowMinutes = parseInt(argValue(args, '--window') || '60', 10);
+  const stepMinutes = parseInt(argValue(args, '--step') || String(gtfs.DEFAULT_STEP_MINUTES), 10);
+  const limit = parseInt(argValue(args, '--limit'), 10) || null;
+  const only = argValue(args, '--suburbs');
+
+  const departAfter = gtfs.parseClock(depart);
+  if (departAfter == null || !(windowMinutes >= 0) || !(stepMinutes > 0)) {
+    console.error('--depart must be HH:MM, --window 0 or more and --step more than 0 minutes');
+    process.exit(1);
+  }
+  if (!fs.existsSync(feedPath)) {
+    console.error(`No GTFS feed at ${feedPath}. Download the PTV GTFS static feed and pass --feed or set GTFS_PATH.`);
+    process.exit(1);
+  }
+
+  console.log(`Loading ${feedPath}...`);
+  const started = Date.now();
+  const feeds = feedsArg ? feedsArg.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+  const network = gtfs.loadNetwork(feedPath, { date, feeds });
+  console.log(`Service date ${network.serviceDate}: ${network.stops} stops, ${network.trips} trips, ${network.patterns} patterns (${Math.round((Date.now() - started) / 1000)} s)`);
+
+  const targets = destinations.listDestinations();
+  const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8')).suburbs;
+  const wanted = only ? only.split(',').map(s => s.trim().toLowerCase()) : null;
+  let names = Object.keys(suburbs)
+    .filter(name => suburbs[name].coords && suburbs[name].coords.length === 2)
+    .filter(name => !wanted || wanted.includes(name.toLowerCase()));
+  if (limit) names = names.slice(0, limit);
+  console.log(`Planning ${names.length} suburbs x ${targets.length} destinations, departing ${depart} + ${windowMinutes} min every ${stepMinutes} min`);
+
+  const result = Object.fromEntries(targets.map(d => [d.id, {}]));
+  let reached = 0;
+  let failed = 0;
+  names.forEach((name, i) => {
+    const [lat, lon] = suburbs[name].coords;
+    let plans;
+    try {
+      plans = gtfs.planJourneys(network.index, { lat, lon }, targets, { departAfter, windowMinutes, stepMinutes });
+    } catch (error) {
+      console.error(`  ${name} failed: ${error.message}`);
+      failed++;
+      return;
+    }
+    plans.forEach((plan, t) => {
+      if (!plan.fastest) return;
+      result[targets[t].id][name] = {
+        minutes: plan.medianMinutes,
+        fastestMinutes: plan.fastest.durationMinutes,
+        text: gtfs.describeJourney(plan.fastest, plan.medianMinutes),
+        lines: plan.fastest.lines
+      };
+      reached++;
+    });
+    if ((i + 1) % 100 === 0) console.log(`  ${i + 1}/${names.length} suburbs`);
+  });
+
+  const output = {
+    metadata: {
+      generated: new Date().toISOString(),
+      feed: path.basename(feedPath),
+      serviceDate: network.serviceDate,
+      depart,
+      windowMinutes,
+      stepMinutes
+    },
+    destinations: result
+  };
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2) + '\n', 'utf8');
+  console.log(`Wrote ${reached} suburb/destination times to data/transit-times.json (${Math.round((Date.now() - started) / 1000)} s)${failed ? `; ${failed} suburbs failed` : ''}.`);
+}
+
+main();
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Hand-edit one price/statistic in data/suburbs.json and record it as a manual source.
+ * Manual values outrank VPSR and REIV for the same (or an unknown) quarter; give --quarter
+ * so a later VPSR release can supersede the edit (see lib/provenance.js).
+ *
+ * Usage: node scripts/set-suburb-field.js <suburb> <field> <value> [--quarter 2025-Q3] [--note "agent appraisal"]
+ * Fields: medianPrice, medianPriceUnit, medianPriceLand, annualChange, salesCount
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TRACKED_FIELDS, applyField } = require('../lib/provenance');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+
+function takeOption(args, flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  args.splice(idx, 2);
+  return value;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const quarter = takeOption(args, '--quarter');
+  const note = takeOption(args, '--note');
+  const [name, field, rawValue] = args;
+
+  if (!name || !field || rawValue == null) {
+    throw new Error('Usage: node scripts/set-suburb-field.js <suburb> <field> <value> [--quarter YYYY-Qn] [--note text]');
+  }
+  if (!TRACKED_FIELDS.includes(field)) throw new Error(`field must be one of ${TRACKED_FIELDS.join(', ')}`);
+  if (quarter && !/^\d{4}-Q[1-4]$/.test(quarter)) throw new Error('--quarter must look like 2025-Q3');
+  const value = Number(rawValue);
+  if (!Number.isFinite(value)) throw new Error('value must be a number');
+
+  const suburbs = JSON.parse(fs.readFileSync(suburbsPath, 'utf8'));
+  const key = Object.keys(suburbs.suburbs).find((k) => k.toLowerCase() === name.toLowerCase());
+  if (!key) throw new Error(`Suburb '${name}' not found`);
+
+  const provenance = { source: 'manual', quarter, retrieved: new Date().toISOString().slice(0, 10), ref: note };
+  if (!applyField(suburbs.suburbs[key], field, value, provenance)) {
+    const existing = suburbs.suburbs[key].sources[field];
+    throw new Error(`${key} ${field} has a newer or higher-precedence figure (${existing.source} ${existing.quarter || 'no quarter'}); not changed`);
+  }
+  fs.writeFileSync(suburbsPath, JSON.stringify(suburbs, null, 2) + '\n', 'utf8');
+  console.log(`${key}: ${field} = ${value} (manual${quarter ? ', ' + quarter : ''})`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
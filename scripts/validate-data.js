@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Validate data/suburbs.json: schema of each record, outlier prices, unit medians above
+ * house medians, big jumps against priceHistory, coordinates outside Victoria and
+ * duplicate/alias names (rules in lib/data-validation.js).
+ *
+ * Prints a readable report and exits 1 when there are errors, so data updates can be gated on it.
+ * Usage: node scripts/validate-data.js [--json] [--out report.json] [--examples N] [--strict]
+ *   --json      print the machine-readable report instead of text
+ *   --out FILE  also write the JSON report to FILE
+ *   --strict    exit 1 on warnings as well
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateDataset, formatReport } = require('../lib/data-validation');
+
+const suburbsPath = path.join(__dirname, '..', 'data', 'suburbs.json');
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIdx = args.indexOf('--out');
+  const outPath = outIdx >= 0 ? args[outIdx + 1] : null;
+  const examplesIdx = args.indexOf('--examples');
+  const examples = examplesIdx >= 0 ? parseInt(args[examplesIdx + 1], 10) || 10 : 10;
+
+  const report = validateDataset(JSON.parse(fs.readFileSync(suburbsPath, 'utf8')));
+
+  if (outPath) fs.writeFileSync(outPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  if (args.includes('--json')) console.log(JSON.stringify(report, null, 2));
+  else console.log(formatReport(report, { examples }));
+
+  const failed = report.summary.errors > 0 || (args.includes('--strict') && report.summary.warnings > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -4,6 +4,29 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const assess = require('./lib/assess');
+const affordability = require('./lib/affordability');
+const profiles = require('./lib/profiles');
+const destinations = require('./lib/destinations');
+const shortlist = require('./lib/shortlist');
+const batch = require('./lib/batch');
+const parsers = require('./lib/parsers');
+const regions = require('./lib/regions');
+const boundaries = require('./lib/boundaries');
+const compare = require('./lib/compare');
+const suburbFeatures = require('./lib/suburb-features');
+const { parseSuburbQuery, querySuburbs } = require('./lib/suburb-query');
+const { SERIES_TYPES, validateSeriesQuery, priceSeries } = require('./lib/price-series');
+const analytics = require('./lib/analytics');
+const { describeProvenance } = require('./lib/provenance');
+const { validateDataset, formatReport } = require('./lib/data-validation');
+const cache = require('./lib/cache');
+const scheduler = require('./lib/request-scheduler');
+const providers = require('./lib/providers');
+const gtfs = require('./lib/gtfs');
+const travelTimes = require('./lib/travel-times');
+const amenities = require('./lib/amenities');
+const { haversineKm } = require('./lib/geo');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,6 +38,7 @@ function loadSuburbData() {
         const dataPath = path.join(__dirname, 'data', 'suburbs.json');
         const rawData = fs.readFileSync(dataPath, 'utf8');
         suburbData = JSON.parse(rawData);
+        regions.setSuburbs(suburbData.suburbs);
         console.log(`✓ Loaded suburb data: ${Object.keys(suburbData.suburbs).length} suburbs`);
         console.log(`  Source: ${suburbData.metadata.source}`);
         console.log(`  Data quarter: ${suburbData.metadata.dataQuarter}`);
@@ -26,19 +50,73 @@ function loadSuburbData() {
 }
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // room for a batch CSV
 app.use(express.static(path.join(__dirname)));
 
 app.get('/', (req, res) => {
     res.redirect(302, '/melbourne-properties.html');
 });
 
-// API endpoint to get all suburbs data
+// API endpoint to get suburbs data. Without query parameters returns the whole dataset; otherwise
+// filters (price/unit price/change/sales ranges, municipality, postcode, region, hasTrainStation, hasCoords, q),
+// sorts (sort=field or -field, order=asc|desc), paginates (limit, offset or page) and projects (fields=a,b.c).
 app.get('/api/suburbs', (req, res) => {
     if (!suburbData) {
         return res.status(500).json({ error: 'Suburb data not loaded' });
     }
-    res.json(suburbData);
+    if (Object.keys(req.query).length === 0) {
+        return res.json(suburbData);
+    }
+    const { query, errors } = parseSuburbQuery(req.query, { suburbsInRegion: regions.suburbsInRegion });
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const result = querySuburbs(suburbData.suburbs, query);
+    res.json({ metadata: suburbData.metadata, ...result, count: Object.keys(result.suburbs).length });
+});
+
+// Map feed: GeoJSON of the suburbs inside ?bbox=minLon,minLat,maxLon,maxLat with minimal properties,
+// clustered at ?zoom= up to CLUSTER_MAX_ZOOM. ?metric= adds each feature's value and the class breaks,
+// ?profileId= scores against a saved profile, and the /api/suburbs filters (region, price ranges, ...) apply.
+app.get('/api/suburbs.geojson', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const metrics = suburbFeatures.metricKeys(suburbData.suburbs);
+    const feed = suburbFeatures.parseFeedQuery(req.query, { metrics });
+    const filter = parseSuburbQuery(req.query, { suburbsInRegion: regions.suburbsInRegion });
+    const errors = [...feed.errors, ...filter.errors];
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const profile = req.query.profileId ? profiles.getProfile(req.query.profileId) : profiles.defaultProfile();
+    if (!profile) {
+        return res.status(404).json({ error: `Profile '${req.query.profileId}' not found` });
+    }
+
+    const { query } = feed;
+    const matched = querySuburbs(suburbData.suburbs, { ...filter.query, sort: null, offset: 0, limit: null, fields: null });
+    const shapes = new Map((boundaries.boundaryFeatures({ bbox: query.bbox }) || []).map(f => [f.properties.name, f.geometry]));
+    const { features, clustered, suburbsInView } = suburbFeatures.buildFeatures(Object.entries(matched.suburbs), {
+        ...query,
+        profile,
+        centres: boundaries.boundaryCentres(),
+        shapes
+    });
+
+    res.json({
+        type: 'FeatureCollection',
+        metadata: {
+            dataQuarter: suburbData.metadata && suburbData.metadata.dataQuarter,
+            zoom: query.zoom,
+            clustered,
+            suburbsInView,
+            metric: query.metric,
+            breaks: suburbFeatures.metricBreaks(suburbData.suburbs, query.metric),
+            metrics
+        },
+        features
+    });
 });
 
 // API endpoint to get single suburb data
@@ -47,17 +125,92 @@ app.get('/api/suburbs/:name', (req, res) => {
         return res.status(500).json({ error: 'Suburb data not loaded' });
     }
     
-    const suburbName = req.params.name;
-    const suburb = suburbData.suburbs[suburbName];
+    const found = findSuburb(req.params.name);
     
-    if (!suburb) {
-        return res.status(404).json({ error: `Suburb '${suburbName}' not found` });
+    if (!found) {
+        return res.status(404).json({ error: `Suburb '${req.params.name}' not found` });
     }
     
     res.json({
-        name: suburbName,
+        name: found.name,
         metadata: suburbData.metadata,
-        ...suburb
+        ...found.suburb,
+        provenance: describeProvenance(found.suburb, suburbData.metadata && suburbData.metadata.quarter)
+    });
+});
+
+// Growth and risk analytics from the yearly medians (?type=house|unit|land, default house):
+// CAGR over 3/5/10 years, volatility, max drawdown and recovery, distance from peak, and the
+// difference from the Melbourne benchmark CAGR
+app.get('/api/suburbs/:name/analytics', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const found = findSuburb(req.params.name);
+    if (!found) {
+        return res.status(404).json({ error: `Suburb '${req.params.name}' not found` });
+    }
+    const type = String(req.query.type || 'house').toLowerCase();
+    if (!SERIES_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Invalid query', details: [`type must be one of ${SERIES_TYPES.join(', ')}`] });
+    }
+    const { bySuburb, benchmark } = analytics.analyseAll(suburbData.suburbs, type, regions.metroSuburbs());
+    res.json({
+        name: found.name,
+        dataQuarter: suburbData.metadata && suburbData.metadata.dataQuarter,
+        ...bySuburb[found.name],
+        benchmark
+    });
+});
+
+// Suburbs ranked by an analytics metric: ?sort=-cagr5 (default), ?type=, ?region=, min/max filters on any
+// metric (minCagr5=4, maxFromPeak=0), ?recovered=true|false, ?peakedIn=2021,2022, ?limit=&offset=
+app.get('/api/analytics/rankings', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const { query, errors } = analytics.parseRankingQuery(req.query);
+    const type = String(req.query.type || 'house').toLowerCase();
+    if (!SERIES_TYPES.includes(type)) errors.push(`type must be one of ${SERIES_TYPES.join(', ')}`);
+    const names = req.query.region ? regions.suburbsInRegion(req.query.region) : null;
+    if (req.query.region && !names) errors.push(`Unknown region '${req.query.region}'`);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const { bySuburb, benchmark } = analytics.analyseAll(suburbData.suburbs, type, regions.metroSuburbs());
+    const { total, rows } = analytics.rankSuburbs(bySuburb, query, names);
+    res.json({
+        type,
+        sort: query.sort,
+        order: query.order,
+        benchmark,
+        total,
+        offset: query.offset,
+        limit: query.limit,
+        suburbs: rows
+    });
+});
+
+// Price time series: ?type=house|unit|land&granularity=quarter|year
+app.get('/api/suburbs/:name/series', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+
+    const found = findSuburb(req.params.name);
+    if (!found) {
+        return res.status(404).json({ error: `Suburb '${req.params.name}' not found` });
+    }
+
+    const { query, errors } = validateSeriesQuery(req.query);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    res.json({
+        name: found.name,
+        dataQuarter: suburbData.metadata && suburbData.metadata.dataQuarter,
+        ...priceSeries(found.suburb, query)
     });
 });
 
@@ -69,6 +222,110 @@ app.get('/api/metadata', (req, res) => {
     res.json(suburbData.metadata);
 });
 
+// Validation and anomaly report for the loaded suburbs.json (same checks as scripts/validate-data.js).
+// JSON by default; ?format=text for the readable report, ?examples=N rows per rule.
+app.get('/api/admin/validate', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const report = validateDataset(suburbData);
+    if (req.query.format === 'text') {
+        const examples = parseInt(req.query.examples, 10) || 10;
+        return res.type('text/plain').send(formatReport(report, { examples }) + '\n');
+    }
+    res.json(report);
+});
+
+// Outbound lookup cache (lib/cache.js): per-provider stats, and purge with
+// ?provider=nominatim|overpass|osrm|reiv, ?expired=true (expired entries only), ?match=<key substring>
+app.get('/api/admin/cache', (req, res) => {
+    res.json(cache.stats());
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+    const removed = cache.purge({
+        provider: req.query.provider || undefined,
+        expiredOnly: req.query.expired === 'true',
+        match: req.query.match || undefined
+    });
+    res.json({ removed, ...cache.stats() });
+});
+
+// Outbound request queues per host (lib/request-scheduler.js)
+app.get('/api/admin/scheduler', (req, res) => {
+    res.json(scheduler.stats());
+});
+
+// Geocoder, router and POI search in use (lib/providers, chosen by PROVIDERS and per-service env vars)
+app.get('/api/admin/providers', (req, res) => {
+    res.json({ ...providers.describe(), transit: gtfs.describeFeed(), travelTimes: travelTimes.describeMatrices() });
+});
+
+// Suburb boundary polygons for the map choropleth (GeoJSON from scripts/import-boundaries.js).
+// ?names=Kew,Hawthorn and/or ?bbox=minLon,minLat,maxLon,maxLat narrow the features; 404 until a file is imported.
+app.get('/api/boundaries', (req, res) => {
+    const { bbox, errors } = boundaries.parseBbox(req.query.bbox);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const names = req.query.names
+        ? new Set(String(req.query.names).split(',').map(n => n.trim().toLowerCase()).filter(Boolean))
+        : null;
+    const features = boundaries.boundaryFeatures({ names, bbox });
+    if (!features) {
+        return res.status(404).json({ error: 'No suburb boundaries imported. Run: npm run import-boundaries -- <localities.geojson>' });
+    }
+    res.json({ type: 'FeatureCollection', metadata: boundaries.boundariesInfo(), features });
+});
+
+// Map regions (region dropdown), derived from data/regions.json and each suburb's municipality/coords
+app.get('/api/regions', (req, res) => {
+    res.json({ regions: regions.listRegions(), unassignedCount: regions.unassignedSuburbs().length });
+});
+
+// Buyer profiles (budget, property must-haves, commute limit) stored in data/profiles.json
+app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: profiles.listProfiles() });
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = profiles.getProfile(req.params.id);
+    if (!profile) {
+        return res.status(404).json({ error: `Profile '${req.params.id}' not found` });
+    }
+    res.json(profile);
+});
+
+app.post('/api/profiles', (req, res) => {
+    const result = profiles.createProfile(req.body);
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid profile', details: result.errors });
+    }
+    res.status(201).json(result.profile);
+});
+
+app.put('/api/profiles/:id', (req, res) => {
+    const result = profiles.updateProfile(req.params.id, req.body);
+    if (!result) {
+        return res.status(404).json({ error: `Profile '${req.params.id}' not found` });
+    }
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid profile', details: result.errors });
+    }
+    res.json(result.profile);
+});
+
+app.delete('/api/profiles/:id', (req, res) => {
+    try {
+        if (!profiles.deleteProfile(req.params.id)) {
+            return res.status(404).json({ error: `Profile '${req.params.id}' not found` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Shared fetch options for scraping listing pages
 const SCRAPE_HEADERS = {
     'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -79,323 +336,487 @@ const SCRAPE_HEADERS = {
 };
 
 const SCRAPE_TIMEOUT_MS = 15000;
+const SCRAPE_MAX_REDIRECTS = 5;
 
-// Extract suburb from Domain URL slug: ...-south-morang-vic-3752-2020549940 -> South Morang
-function suburbFromDomainUrl(url) {
-    const pathMatch = url.match(/domain\.com\.au\/([^/?#]+)/i);
-    if (!pathMatch) return null;
-    const parts = pathMatch[1].split('-');
-    const vicIdx = parts.findIndex(p => /^(nsw|vic|qld|sa|wa|tas|nt|act)$/i.test(p));
-    if (vicIdx <= 0) return null;
-    const suburbParts = parts.slice(0, vicIdx).filter(p => !/^\d+$/.test(p));
-    const raw = suburbParts.join(' ');
-    return raw ? raw.replace(/\b\w/g, c => c.toUpperCase()) : null;
+// findSuburb as a name -> stored name lookup, for the parsers to read suburbs out of listing URLs
+function matchSuburb(name) {
+    const found = findSuburb(name);
+    return found ? found.name : null;
 }
 
-// Fetch domain.com.au listing page and extract listing details from HTML (no API needed)
-async function fetchDomainListingByScrape(url) {
+// Fetch a listing page and parse it with its site's parser (lib/parsers). Redirects are followed one at
+// a time and only to listing sites (parsers.isListingUrl). Throws when the page cannot be loaded or is a
+// block/challenge page.
+async function fetchListingPage(url) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), SCRAPE_TIMEOUT_MS);
-    const res = await fetch(url, {
-        headers: SCRAPE_HEADERS,
-        redirect: 'follow',
-        signal: controller.signal
-    });
-    clearTimeout(timeoutId);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const html = await res.text();
+    let pageUrl = url;
+    let html;
+    try {
+        for (let redirects = 0; ; redirects++) {
+            const res = await fetch(pageUrl, { headers: SCRAPE_HEADERS, redirect: 'manual', signal: controller.signal });
+            const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+            if (!location) {
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                html = await res.text();
+                break;
+            }
+            if (redirects >= SCRAPE_MAX_REDIRECTS) throw new Error('Too many redirects');
+            pageUrl = new URL(location, pageUrl).href;
+            if (!parsers.isListingUrl(pageUrl)) throw new Error(`Redirected off the listing sites to ${new URL(pageUrl).hostname}`);
+        }
+    } finally {
+        clearTimeout(timeoutId);
+    }
     if (html.length < 5000 && (/blocked|captcha|challenge|access denied|robot/i.test(html))) {
         throw new Error('Page returned a block or challenge');
     }
+    return parsers.parseListing(html, pageUrl, { matchSuburb });
+}
 
-    const suburb = suburbFromDomainUrl(url);
+// Resolve a listing URL to { status, body } for the JSON response. Only listing sites are fetched (a
+// registered parser's hosts or LISTING_HOSTS); the page is scraped with its site's parser, or the
+// generic one for LISTING_HOSTS portals. The listing is geocoded too unless options.locate is false.
+async function listingFromUrl(url, { locate = true } = {}) {
+    if (!parsers.isListingUrl(url)) {
+        return { status: 400, body: { error: `Please use a listing page URL from ${parsers.listingHosts().join(', ')}.`, useManualForm: true } };
+    }
+    const parsed = new URL(url);
+    const parser = parsers.parserFor(url) || parsers.generic;
 
-    // Price: $1,100,000 - $1,210,000 or $1.1m
-    let price = null;
-    const priceRangeMatch = html.match(/\$[\d,]+(?:\s*-\s*\$?[\d,]+)?/g);
-    if (priceRangeMatch) {
-        for (const s of priceRangeMatch) {
-            const numStr = s.replace(/\$/g, '').replace(/,/g, '').split(/\s*-\s*/)[0].trim();
-            const num = parseInt(numStr, 10);
-            if (!isNaN(num) && num > 10000 && num < 50000000) {
-                price = num;
-                break;
-            }
+    try {
+        const { listing, confidence } = await fetchListingPage(url);
+        return { status: 200, body: { listing, source: parser.id, listingUrl: url, confidence, location: locate ? await locateListing(listing) : null } };
+    } catch (error) {
+        console.error(`Listing fetch error (${parser.id}):`, error.message || error);
+        const suggestedSuburb = parsers.suburbFromUrl(url, { matchSuburb });
+        const message = parser.id === 'domain'
+            ? 'Domain often blocks automated requests. Use the form below — we\'ve filled in the suburb from your URL. Add price, beds, baths and other details from the listing page, then click "Assess manual entry".'
+            : `Could not load the listing from ${parsed.hostname}. The page may be unavailable or block automated requests. Use the form below and add the details from the listing page.`;
+        return {
+            status: 502,
+            body: { error: message, useManualForm: true, suggestedSuburb: suggestedSuburb || undefined }
+        };
+    }
+}
+
+// Fetch listing by URL (page scrape with the site's parser, or the generic one)
+app.post('/api/listing-from-url', async (req, res) => {
+    const { url } = req.body || {};
+    if (!url || typeof url !== 'string') {
+        return res.status(400).json({ error: 'Missing or invalid url' });
+    }
+    const result = await listingFromUrl(url);
+    return res.status(result.status).json(result.body);
+});
+
+// Case-insensitive lookup in suburbs.json; returns { name, suburb } or null
+function findSuburb(name) {
+    if (!suburbData || !name) return null;
+    const wanted = String(name).trim().toLowerCase();
+    const key = Object.keys(suburbData.suburbs).find(k => k.toLowerCase() === wanted);
+    return key ? { name: key, suburb: suburbData.suburbs[key] } : null;
+}
+
+// Suburb whose geocoded centre is closest to a point (within maxKm); returns { name, suburb, distanceKm } or null
+function nearestSuburb(lat, lon, maxKm = 5) {
+    if (!suburbData) return null;
+    let best = null;
+    for (const [name, suburb] of Object.entries(suburbData.suburbs)) {
+        if (!suburb.coords || suburb.coords.length !== 2) continue;
+        const distanceKm = haversineKm(lat, lon, suburb.coords[0], suburb.coords[1]);
+        if (distanceKm <= maxKm && (!best || distanceKm < best.distanceKm)) best = { name, suburb, distanceKm };
+    }
+    return best;
+}
+
+const MEDIAN_FIELDS = { house: 'medianPrice', unit: 'medianPriceUnit', land: 'medianPriceLand' };
+
+// Purchase costs and repayments (lib/affordability.js) for ?price= or a suburb median (?suburb=&type=house|unit|land).
+// Finance defaults come from ?profileId= (default profile otherwise); deposit, depositPct, interestRatePct,
+// loanTermYears, otherCosts, firstHomeBuyer, principalResidence and lmiCapitalised override them.
+app.get('/api/affordability', (req, res) => {
+    const profile = req.query.profileId ? profiles.getProfile(req.query.profileId) : profiles.defaultProfile();
+    if (!profile) {
+        return res.status(404).json({ error: `Profile '${req.query.profileId}' not found` });
+    }
+
+    let price = req.query.price;
+    let suburb = null;
+    if (req.query.suburb) {
+        if (!suburbData) {
+            return res.status(500).json({ error: 'Suburb data not loaded' });
+        }
+        const type = req.query.type || 'house';
+        if (!MEDIAN_FIELDS[type]) {
+            return res.status(400).json({ error: 'Invalid query', details: [`type must be one of ${Object.keys(MEDIAN_FIELDS).join(', ')}`] });
+        }
+        const found = findSuburb(req.query.suburb);
+        if (!found) {
+            return res.status(404).json({ error: `Suburb '${req.query.suburb}' not found` });
         }
+        const median = found.suburb[MEDIAN_FIELDS[type]];
+        if (price == null && median == null) {
+            return res.status(404).json({ error: `No ${type} median for '${found.name}'` });
+        }
+        if (price == null) price = median;
+        suburb = { name: found.name, type, median: median != null ? median : null };
+    }
+
+    const finance = affordability.profileFinance(profile, price);
+    if (req.query.depositPct != null && req.query.deposit == null) finance.deposit = null;
+    const { input, errors } = affordability.validateInputs({ ...finance, ...req.query, price });
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    res.json({ ...affordability.calculateAffordability(input), suburb, profile: { id: profile.id, name: profile.name } });
+});
+
+// Profile to assess with from a request body: inline profile, saved profileId or the default.
+// Returns { profile } or { status, body } for the error response.
+function assessProfile(body) {
+    if (body.profile) {
+        const checked = profiles.validateProfile(body.profile);
+        if (checked.errors.length) return { status: 400, body: { error: 'Invalid profile', details: checked.errors } };
+        return { profile: { id: null, ...checked.profile } };
     }
-    if (price == null) {
-        const priceM = html.match(/\$(\d(?:\.\d)?)\s*[mM]/);
-        if (priceM) price = Math.round(parseFloat(priceM[1]) * 1e6);
+    if (body.profileId) {
+        const profile = profiles.getProfile(body.profileId);
+        if (!profile) return { status: 404, body: { error: `Profile '${body.profileId}' not found` } };
+        return { profile };
     }
+    return { profile: profiles.defaultProfile() };
+}
 
-    // Beds, baths, parking: "5 Beds", "3 Baths", "2 Parking"
-    let bedrooms = null, bathrooms = null, garage = null;
-    const bedsMatch = html.match(/(\d+)\s*Bed(?:s|room)?/i);
-    if (bedsMatch) bedrooms = parseInt(bedsMatch[1], 10);
-    const bathsMatch = html.match(/(\d+)\s*Bath(?:s|room)?/i);
-    if (bathsMatch) bathrooms = parseInt(bathsMatch[1], 10);
-    const parkMatch = html.match(/(\d+)\s*(?:Parking|Car|Garage)/i);
-    if (parkMatch) garage = parseInt(parkMatch[1], 10);
+// Normalize and score a raw listing with its suburb's commutes and medians; found is findSuburb's match
+function assessWithContext(rawListing, profile) {
+    const listing = assess.normalizeListing(rawListing);
+    const commutes = destinations.commutesForSuburb(listing.suburb);
+    const found = findSuburb(listing.suburb);
+    const assessment = assess.assessListing(listing, profile, { commutes, suburb: found && found.suburb });
+    return { listing, commutes, found, assessment };
+}
 
-    let propertyType = 'House';
-    const typeMatch = html.match(/>\s*(House|Unit|Townhouse|Villa|Apartment)\s*</i);
-    if (typeMatch) propertyType = typeMatch[1];
+// Assess a listing against a buyer profile with the same scoring module the browser uses (lib/assess.js).
+// Body: { listing } (shape of /api/listing-from-url) or { url }, plus optional profileId or inline profile.
+app.post('/api/assess', async (req, res) => {
+    const body = req.body || {};
+    const resolved = assessProfile(body);
+    if (!resolved.profile) return res.status(resolved.status).json(resolved.body);
+    const { profile } = resolved;
 
-    const lowerHtml = html.toLowerCase();
-    const garden = /garden|courtyard|yard|outdoor\s*space/i.test(lowerHtml) ? 'yes' : 'unknown';
-    const pool = /swimming\s*pool|pool\s*</i.test(lowerHtml) ? 'yes' : (/pool/i.test(lowerHtml) ? 'yes' : 'unknown');
+    let rawListing = body.listing;
+    let source = 'manual';
+    let listingUrl = null;
+    let confidence = null;
+    let location = null;
+    if (!rawListing) {
+        if (!body.url || typeof body.url !== 'string') {
+            return res.status(400).json({ error: 'Provide a listing object or a listing url' });
+        }
+        const result = await listingFromUrl(body.url);
+        if (result.status !== 200) return res.status(result.status).json(result.body);
+        ({ listing: rawListing, source, listingUrl, confidence, location } = result.body);
+    }
 
-    let displayAddress = suburb ? `${suburb}, VIC` : 'Unknown';
-    const titleMatch = html.match(/<title[^>]*>([^<]+)</i);
-    if (titleMatch) {
-        const t = titleMatch[1].replace(/\s*\|\s*.*$/, '').trim();
-        if (t.length > 5 && t.length < 120) displayAddress = t;
+    const checked = assess.validateListing(rawListing);
+    if (checked.errors.length) {
+        return res.status(400).json({ error: 'Invalid listing', details: checked.errors });
     }
+    const { listing, commutes, found, assessment } = assessWithContext(checked.listing, profile);
+    if (!location) location = await locateListing(listing);
+    const context = location ? await listingContext(location, listing.suburb) : null;
+    const suburb = found ? {
+        name: found.name,
+        municipality: found.suburb.municipality || null,
+        medianPrice: found.suburb.medianPrice,
+        medianPriceUnit: found.suburb.medianPriceUnit,
+        annualChange: found.suburb.annualChange,
+        salesCount: found.suburb.salesCount,
+        matchScore: assess.calculateMatchScore(found.suburb, profile),
+        commutes
+    } : null;
 
-    return {
-        price,
+    res.json({
+        listing,
+        source,
+        listingUrl,
+        confidence,
+        location,
+        context,
+        profile: { id: profile.id, name: profile.name },
+        ...assessment,
         suburb,
-        bedrooms,
-        bathrooms,
-        garage,
-        propertyType,
-        garden,
-        pool,
-        displayAddress
-    };
-}
+        dataQuarter: suburbData ? suburbData.metadata.dataQuarter : null
+    });
+});
 
-// Fetch realestate.com.au listing page and extract listing details from HTML
-async function fetchRealestateListing(url) {
-    const res = await fetch(url, { headers: SCRAPE_HEADERS, redirect: 'follow' });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const html = await res.text();
+// Bulk assessment (lib/batch.js). Body: { urls } or { csv }, plus optional profileId or inline profile.
+// Answers 202 with the job; rows are scraped and scored in the background, poll GET /api/assess/batch/:id.
+app.post('/api/assess/batch', (req, res) => {
+    const body = req.body || {};
+    const resolved = assessProfile(body);
+    if (!resolved.profile) return res.status(resolved.status).json(resolved.body);
+    const { profile } = resolved;
 
-    // Suburb from URL: e.g. /property-house-vic-south+morang-150086368 -> South Morang
-    let suburb = null;
-    const urlMatch = url.match(/\/(?:nsw|vic|qld|sa|wa|tas|nt|act)-([^-\d?]+?)(?:-\d+)?(?:\?|$)/i);
-    if (urlMatch) {
-        const raw = (urlMatch[1] || '').replace(/\+/g, ' ').trim();
-        suburb = raw ? raw.replace(/\b\w/g, c => c.toUpperCase()) : null;
-    }
-
-    // Price: $1,100,000 - $1,210,000 or $1.1m or "price":1200000
-    let price = null;
-    const priceRangeMatch = html.match(/\$[\d,]+(?:\s*-\s*\$?[\d,]+)?/g);
-    if (priceRangeMatch) {
-        for (const s of priceRangeMatch) {
-            const numStr = s.replace(/\$/g, '').replace(/,/g, '').split(/\s*-\s*/)[0].trim();
-            const num = parseInt(numStr, 10);
-            if (!isNaN(num) && num > 10000 && num < 50000000) {
-                price = num;
-                break;
-            }
+    const { rows, errors } = batch.parseBatchInput(body);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid batch', details: errors });
+    }
+    const job = batch.createJob(rows, { id: profile.id || null, name: profile.name });
+    batch.runJob(job, {
+        fetchListing: url => listingFromUrl(url, { locate: false }),
+        assessListing: rawListing => {
+            const { listing, found, assessment } = assessWithContext(rawListing, profile);
+            return { listing, assessment, suburb: found ? found.name : null };
         }
+    }).catch(error => console.error('Batch assessment failed:', error));
+    res.status(202).json(batch.jobView(job));
+});
+
+// Progress and results of a batch; ?format=csv downloads the results as CSV
+app.get('/api/assess/batch/:id', (req, res) => {
+    const job = batch.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Batch '${req.params.id}' not found` });
     }
-    if (price == null) {
-        const priceJsonMatch = html.match(/"price":\s*(\d+)/);
-        if (priceJsonMatch) price = parseInt(priceJsonMatch[1], 10);
-    }
-    if (price == null) {
-        const priceM = html.match(/\$(\d(?:\.\d)?)\s*[mM]/);
-        if (priceM) price = Math.round(parseFloat(priceM[1]) * 1e6);
-    }
-
-    // Beds, baths, parking: "5 Beds", "3 Baths", "2 Parking" or similar
-    let bedrooms = null, bathrooms = null, garage = null;
-    const bedsMatch = html.match(/(\d+)\s*Bed(?:s|room)?/i);
-    if (bedsMatch) bedrooms = parseInt(bedsMatch[1], 10);
-    const bathsMatch = html.match(/(\d+)\s*Bath(?:s|room)?/i);
-    if (bathsMatch) bathrooms = parseInt(bathsMatch[1], 10);
-    const parkMatch = html.match(/(\d+)\s*(?:Parking|Car|Garage)/i);
-    if (parkMatch) garage = parseInt(parkMatch[1], 10);
-
-    // Property type: House, Unit, etc. from URL or page
-    let propertyType = 'House';
-    if (/property-unit|apartment|unit/i.test(url)) propertyType = 'Unit';
-    else if (/property-townhouse|townhouse/i.test(url)) propertyType = 'Townhouse';
-    else if (/property-house|house/i.test(url)) propertyType = 'House';
-    const typeMatch = html.match(/>\s*(House|Unit|Townhouse|Villa|Apartment)\s*</i);
-    if (typeMatch) propertyType = typeMatch[1];
-
-    // Features
-    const lowerHtml = html.toLowerCase();
-    const garden = /garden|courtyard|yard|outdoor\s*space/i.test(lowerHtml) ? 'yes' : 'unknown';
-    const pool = /swimming\s*pool|pool\s*</i.test(lowerHtml) ? 'yes' : (/pool/i.test(lowerHtml) ? 'yes' : 'unknown');
-
-    // Display address: try meta or title
-    let displayAddress = suburb ? `${suburb}, VIC` : 'Unknown';
-    const titleMatch = html.match(/<title[^>]*>([^<]+)</i);
-    if (titleMatch) {
-        const t = titleMatch[1].replace(/\s*\|\s*.*$/, '').trim();
-        if (t.length > 5 && t.length < 120) displayAddress = t;
+    if (req.query.format === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="assessments-${job.createdAt.slice(0, 10)}.csv"`);
+        return res.type('text/csv').send(batch.jobCsv(job));
     }
+    res.json(batch.jobView(job));
+});
+
+// Saved profile for scoring a shortlist entry, the default profile when no id is given, null for an unknown id
+function shortlistProfile(profileId) {
+    if (!profileId) return profiles.defaultProfile();
+    return profiles.getProfile(profileId);
+}
 
+// Fields the server derives for a shortlist entry: the assessment, the matched suburb and a map position
+function shortlistDerived(listing, profile) {
+    const { found, assessment } = assessWithContext(listing, profile);
     return {
-        price,
-        suburb,
-        bedrooms,
-        bathrooms,
-        garage,
-        propertyType,
-        garden,
-        pool,
-        displayAddress
+        assessment: { ...assessment, profile: { id: profile.id || null, name: profile.name }, assessedAt: new Date().toISOString() },
+        suburb: found ? found.name : null,
+        coords: found && found.suburb.coords ? found.suburb.coords : null
     };
 }
 
-// Fetch listing by URL (Domain API or realestate.com.au page scrape)
-app.post('/api/listing-from-url', async (req, res) => {
-    const { url } = req.body || {};
-    if (!url || typeof url !== 'string') {
-        return res.status(400).json({ error: 'Missing or invalid url' });
+// Shortlist of assessed listings with notes and a pipeline status
+app.get('/api/shortlist', (req, res) => {
+    const errors = [];
+    const statuses = req.query.status ? String(req.query.status).split(',') : [];
+    statuses.filter(s => !shortlist.STATUSES.includes(s.trim())).forEach(s => errors.push(`Unknown status '${s}'`));
+    if (req.query.sort && !shortlist.SORTS[req.query.sort]) {
+        errors.push(`sort must be one of ${Object.keys(shortlist.SORTS).join(', ')}`);
+    }
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
     }
+    res.json({
+        entries: shortlist.listShortlist({ status: req.query.status, sort: req.query.sort }),
+        statuses: shortlist.STATUSES.map(id => ({ id, label: shortlist.STATUS_LABELS[id] }))
+    });
+});
 
-    const parsed = new URL(url, 'https://example.com');
-    const host = (parsed.hostname || '').toLowerCase();
+app.get('/api/shortlist/:id', (req, res) => {
+    const entry = shortlist.getEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: `Shortlist entry '${req.params.id}' not found` });
+    }
+    res.json(entry);
+});
 
-    if (host.includes('domain.com.au')) {
-        try {
-            const listing = await fetchDomainListingByScrape(url);
-            return res.json({ listing, source: 'domain', listingUrl: url });
-        } catch (error) {
-            console.error('Domain scrape error:', error.message || error);
-            const suggestedSuburb = suburbFromDomainUrl(url);
-            return res.status(502).json({
-                error: 'Domain often blocks automated requests. Use the form below — we\'ve filled in the suburb from your URL. Add price, beds, baths and other details from the listing page, then click "Assess manual entry".',
-                useManualForm: true,
-                suggestedSuburb: suggestedSuburb || undefined
-            });
-        }
+// Body: { listing, listingUrl?, notes?, status?, profileId? }; the listing is assessed against the profile
+app.post('/api/shortlist', (req, res) => {
+    const body = req.body || {};
+    const profile = shortlistProfile(body.profileId);
+    if (!profile) {
+        return res.status(404).json({ error: `Profile '${body.profileId}' not found` });
+    }
+    const derived = body.listing && typeof body.listing === 'object' ? shortlistDerived(body.listing, profile) : {};
+    const result = shortlist.createEntry(body, derived);
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid shortlist entry', details: result.errors });
+    }
+    if (result.duplicate) {
+        return res.status(409).json({ error: 'Listing is already on the shortlist', entry: result.duplicate });
     }
+    res.status(201).json(result.entry);
+});
 
-    if (host.includes('realestate.com.au')) {
-        try {
-            const listing = await fetchRealestateListing(url);
-            return res.json({ listing, source: 'realestate', listingUrl: url });
-        } catch (error) {
-            console.error('Realestate fetch error:', error);
-            return res.status(502).json({
-                error: 'Could not load the realestate.com.au listing. The page may be unavailable or the URL may be incorrect.',
-                useManualForm: true
-            });
+// Body: any of { listing, listingUrl, notes, status }. A new listing or profileId re-runs the assessment.
+app.put('/api/shortlist/:id', (req, res) => {
+    const body = req.body || {};
+    const existing = shortlist.getEntry(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: `Shortlist entry '${req.params.id}' not found` });
+    }
+    let derived = {};
+    if (body.listing || body.profileId) {
+        // Without a profileId, re-score with the profile used last time (default if it has been deleted)
+        const previousId = existing.assessment && existing.assessment.profile.id;
+        const profile = body.profileId ? shortlistProfile(body.profileId) : shortlistProfile(previousId) || profiles.defaultProfile();
+        if (!profile) {
+            return res.status(404).json({ error: `Profile '${body.profileId}' not found` });
         }
+        if (!body.listing || typeof body.listing === 'object') derived = shortlistDerived(body.listing || existing.listing, profile);
     }
-
-    return res.status(400).json({
-        error: 'Please use a listing URL from domain.com.au or realestate.com.au.'
-    });
+    const result = shortlist.updateEntry(req.params.id, body, derived);
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid shortlist entry', details: result.errors });
+    }
+    if (result.duplicate) {
+        return res.status(409).json({ error: 'Another shortlist entry has this listing URL', entry: result.duplicate });
+    }
+    res.json(result.entry);
 });
 
-// Static commute times (matches frontend) for OpenStreetMap transit
-const COMMUTE_TO_SOUTHERN_CROSS = {
-    'Glen Waverley': '45 min by train', 'Box Hill': '35 min by train', 'Doncaster': '50 min by bus',
-    'Ringwood': '45 min by train', 'Camberwell': '25 min by train', 'Moorabbin': '35 min by train',
-    'Preston': '25 min by train', 'Blackburn': '40 min by train', 'Reservoir': '30 min by train',
-    'Coburg': '25 min by train', 'Brunswick': '20 min by train', 'Footscray': '15 min by train',
-    'Sunshine': '25 min by train', 'St Albans': '35 min by train', 'Werribee': '45 min by train',
-    'Point Cook': '50 min by bus', 'Craigieburn': '45 min by train', 'South Morang': '50 min by train',
-    'Epping': '45 min by train', 'Bundoora': '40 min by bus', 'Heidelberg': '30 min by train',
-    'Ivanhoe': '25 min by train', 'Kew': '20 min by bus', 'Hawthorn': '15 min by train',
-    'Malvern': '20 min by train', 'Caulfield': '20 min by train', 'Bentleigh': '30 min by train',
-    'Cheltenham': '35 min by train', 'Mentone': '40 min by train', 'Frankston': '55 min by train',
-    'Clayton': '35 min by train', 'Dandenong': '45 min by train', 'Berwick': '50 min by train',
-    'Croydon': '55 min by train', 'Lilydale': '60 min by train', 'Belgrave': '65 min by train',
-    'Williamstown': '25 min by train', 'Altona': '35 min by train', 'Newport': '20 min by train',
-    'Essendon': '20 min by train', 'Moonee Ponds': '15 min by train', 'Pascoe Vale': '25 min by train',
-    'Niddrie': '25 min by bus', 'Northcote': '20 min by train', 'Thornbury': '22 min by train',
-    'Fairfield': '20 min by train', 'Mount Waverley': '40 min by train', 'Mulgrave': '45 min by bus',
-    'Wheelers Hill': '50 min by bus', 'Mill Park': '40 min by train', 'Doreen': '55 min by bus',
-    'Mernda': '55 min by train', 'Lara': '45 min by train (V/Line)', 'Geelong': '~1h by train (V/Line)'
-};
-const COMMUTE_TO_COLLINGWOOD = {
-    'Glen Waverley': '55 min', 'Box Hill': '50 min', 'Doncaster': '40 min', 'Ringwood': '1h 10min',
-    'Camberwell': '20 min', 'Moorabbin': '1h', 'Preston': '25 min', 'Blackburn': '58 min',
-    'Reservoir': '35 min', 'Coburg': '30 min', 'Brunswick': '25 min', 'Footscray': '30 min',
-    'Sunshine': '40 min', 'St Albans': '50 min', 'Werribee': '1h', 'Point Cook': '1h 10min',
-    'Craigieburn': '55 min', 'South Morang': '45 min', 'Epping': '40 min', 'Bundoora': '35 min',
-    'Heidelberg': '25 min', 'Ivanhoe': '20 min', 'Kew': '15 min', 'Hawthorn': '15 min',
-    'Malvern': '25 min', 'Caulfield': '30 min', 'Bentleigh': '40 min', 'Cheltenham': '45 min',
-    'Mentone': '50 min', 'Frankston': '1h 10min', 'Clayton': '45 min', 'Dandenong': '55 min',
-    'Berwick': '1h', 'Croydon': '1h 5min', 'Lilydale': '1h 10min', 'Belgrave': '1h 15min',
-    'Williamstown': '35 min', 'Altona': '45 min', 'Newport': '30 min', 'Essendon': '30 min',
-    'Moonee Ponds': '25 min', 'Pascoe Vale': '30 min', 'Niddrie': '35 min', 'Northcote': '15 min',
-    'Thornbury': '18 min', 'Fairfield': '15 min', 'Mount Waverley': '50 min', 'Mulgrave': '55 min',
-    'Wheelers Hill': '1h', 'Mill Park': '35 min', 'Doreen': '50 min', 'Mernda': '50 min',
-    'Lara': '1h 5min', 'Geelong': '1h 15min'
-};
-
-// Office locations for distance display (listing → office)
-const SIEMENS_OFFICE = { lat: -37.8190, lon: 144.9460, label: 'Siemens (380 Docklands Dr, Docklands)' };
-const CANVA_OFFICE = { lat: -37.8024, lon: 144.9927, label: 'Canva (30 Rupert St, Collingwood)' };
+app.delete('/api/shortlist/:id', (req, res) => {
+    if (!shortlist.deleteEntry(req.params.id)) {
+        return res.status(404).json({ error: `Shortlist entry '${req.params.id}' not found` });
+    }
+    res.status(204).end();
+});
 
-function haversineKm(lat1, lon1, lat2, lon2) {
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Error response for a failed outbound lookup. Requests the scheduler could not serve in time
+// (queued too long, or rate limited upstream) answer 503 with Retry-After and a status the page shows.
+function sendLookupError(res, error, status = 500) {
+    if (error.busy) {
+        const retryAfterSec = Math.ceil(error.busy.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfterSec));
+        return res.status(503).json({ error: error.message, status: error.busy.state, host: error.busy.host, retryAfterSec });
+    }
+    return res.status(status).json({ error: error.message });
 }
 
-// Driving distance/duration via OSRM (OpenStreetMap-based). Coordinates: lon,lat (GeoJSON order).
-async function getDrivingRouteOSRM(lat1, lon1, lat2, lon2) {
-    const coords = `${lon1},${lat1};${lon2},${lat2}`;
-    const url = `https://router.project-osrm.org/route/v1/driving/${coords}?overview=false`;
+// Driving distance/duration from the configured router (OSRM unless ROUTER=local).
+// Returns null when there is no route or the router fails, but lets scheduler busy errors through.
+async function getDrivingRoute(lat1, lon1, lat2, lon2) {
     try {
-        const res = await fetch(url, { headers: { 'User-Agent': 'MelbournePropertyFinder/1.0' } });
-        const data = await res.json();
-        if (data.code !== 'Ok' || !data.routes?.[0]) return null;
-        const r = data.routes[0];
-        const distanceKm = Math.round((r.distance / 1000) * 100) / 100;
-        const durationMinutes = Math.round(r.duration / 60);
-        return { distanceKm, durationMinutes };
+        return await providers.router.route({ lat: lat1, lon: lon1 }, { lat: lat2, lon: lon2 }, { profile: 'driving' });
     } catch (e) {
+        if (e.busy) throw e;
         return null;
     }
 }
 
-// Safe parse: OSM/Overpass sometimes return XML or HTML error pages instead of JSON (e.g. rate limit, 503).
-function parseJsonResponse(res, bodyText) {
-    const text = (bodyText || '').trim();
-    if (!res.ok) {
-        throw new Error(`OpenStreetMap API error (HTTP ${res.status}). Try again later.`);
-    }
-    if (text.startsWith('<')) {
-        throw new Error('OpenStreetMap API returned an error page (rate limit or temporary failure). Try again later.');
-    }
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        throw new Error('Invalid JSON from external API.');
-    }
+// Raw stop nodes around a point from the configured POI search (Overpass unless POI_SEARCH=local)
+function fetchStops(lat, lon, radiusM) {
+    return providers.poi.search({
+        kind: 'stops',
+        lat,
+        lon,
+        radiusM,
+        filters: ['railway=station', 'railway=halt', 'public_transport=stop_position', 'highway=bus_stop'],
+        // Only the tags used to name and classify stops
+        keepTags: ['name', 'station', 'railway', 'tram', 'light_rail', 'public_transport', 'bus']
+    });
 }
 
-// Fetch nearest train, tram, bus stops from OpenStreetMap (Overpass). Used for suburb analysis.
-async function fetchNearbyStopsFromOSM(lat, lon, radiusM = 2500) {
-    const overpassUrl = 'https://overpass-api.de/api/interpreter';
-    const overpassQuery = `[out:json][timeout:12];(node["railway"="station"](around:${radiusM},${lat},${lon});node["railway"="halt"](around:${radiusM},${lat},${lon});node["public_transport"="stop_position"](around:${radiusM},${lat},${lon});node["highway"="bus_stop"](around:${radiusM},${lat},${lon}););out body;`;
-    const res = await fetch(overpassUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: 'data=' + encodeURIComponent(overpassQuery)
-    });
-    const bodyText = await res.text();
-    const data = parseJsonResponse(res, bodyText);
-    const elements = data.elements || [];
+// Nearest train, tram and bus stops around a point. Used for suburb analysis.
+async function fetchNearbyStops(lat, lon, radiusM = 2500) {
+    const elements = await fetchStops(lat, lon, radiusM);
     const stops = elements.map(el => {
         const name = el.tags?.name || el.tags?.station || 'Stop';
         let type = 'Bus';
         if (el.tags?.railway === 'station' || el.tags?.railway === 'halt') type = 'Train';
         else if (el.tags?.tram === 'yes' || el.tags?.light_rail === 'yes' || (el.tags?.public_transport && !el.tags?.bus)) type = 'Tram';
         const dist = haversineKm(lat, lon, el.lat, el.lon);
-        return { name, type, distanceKm: Math.round(dist * 100) / 100 };
+        return { name, type, distanceKm: Math.round(dist * 100) / 100, lat: el.lat, lon: el.lon };
     });
     stops.sort((a, b) => a.distanceKm - b.distanceKm);
     const byType = { Train: null, Tram: null, Bus: null };
     for (const s of stops) {
         if (!byType[s.type]) byType[s.type] = s;
     }
-    return { train: byType.Train, tram: byType.Tram, bus: byType.Bus };
+    return { train: byType.Train, tram: byType.Tram, bus: byType.Bus, nearest: stops[0] || null };
+}
+
+// Geocode a suburb name or street address with the configured geocoder (Nominatim unless
+// GEOCODER=local); returns { lat, lon, displayName } or null. Nominatim answers are cached by normalized
+// query, shared with scripts/geocode-missing-suburbs.js.
+function geocodeAddress(address) {
+    const query = address.includes('VIC') || address.includes('Australia') ? address : `${address}, Victoria, Australia`;
+    return providers.geocoder.search(query);
+}
+
+// A geocoded address further than this from its listing suburb's centre is taken to be a mismatch
+// (same street name in another suburb)
+const LISTING_MATCH_MAX_KM = 10;
+const LISTING_STOPS_RADIUS_M = 3500;
+
+// Where a listing is: its address geocoded, else its suburb's centre. Returns null when neither is known.
+// { lat, lon, displayName, matchQuality: 'address' | 'street' | 'suburb' | 'area', estimated }
+async function locateListing(listing) {
+    const found = findSuburb(listing.suburb);
+    const centre = found && found.suburb.coords && found.suburb.coords.length === 2 ? found.suburb.coords : null;
+    const address = listing.displayAddress && listing.displayAddress !== 'Manual entry' ? listing.displayAddress : null;
+    if (address) {
+        try {
+            const geo = await geocodeAddress(address);
+            if (geo && (!centre || haversineKm(geo.lat, geo.lon, centre[0], centre[1]) <= LISTING_MATCH_MAX_KM)) {
+                return { lat: geo.lat, lon: geo.lon, displayName: geo.displayName, matchQuality: geo.precision || 'area', estimated: !!geo.estimated };
+            }
+        } catch (error) {
+            console.error('Listing geocode error:', error.message);
+        }
+    }
+    if (!centre) return null;
+    return { lat: centre[0], lon: centre[1], displayName: `${found.name}, VIC`, matchQuality: 'suburb', estimated: true };
+}
+
+// Address-level context for a located listing: walking distance to the nearest train, tram and bus stops
+// and straight-line distance from its suburb's centre. stops is null when the stop lookup fails.
+async function listingContext(location, suburbName) {
+    const found = findSuburb(suburbName);
+    const centre = found && found.suburb.coords && found.suburb.coords.length === 2 ? found.suburb.coords : null;
+    const fromCentre = centre ? {
+        suburb: found.name,
+        distanceKm: Math.round(haversineKm(location.lat, location.lon, centre[0], centre[1]) * 100) / 100
+    } : null;
+
+    let stops = null;
+    try {
+        const nearby = await fetchNearbyStops(location.lat, location.lon, LISTING_STOPS_RADIUS_M);
+        const walkTo = async stop => {
+            if (!stop) return null;
+            let walk = null;
+            try {
+                walk = await providers.walkingRoute(location, stop);
+            } catch (error) {
+                if (error.busy) throw error;
+            }
+            return { ...stop, walk };
+        };
+        const [train, tram, bus] = await Promise.all([nearby.train, nearby.tram, nearby.bus].map(walkTo));
+        stops = { train, tram, bus };
+    } catch (error) {
+        console.error('Listing stops error:', error.message);
+    }
+    return { stops, fromSuburbCentre: fromCentre, radiusKm: LISTING_STOPS_RADIUS_M / 1000 };
+}
+
+// Geocode a listing address (?address=, plus ?suburb= to check the match) and describe its surroundings:
+// { location, context } as added to /api/assess, for listings assessed in the browser
+app.get('/api/listing-location', async (req, res) => {
+    const address = (req.query.address || '').trim();
+    const suburb = (req.query.suburb || '').trim();
+    if (!address && !suburb) {
+        return res.status(400).json({ error: 'Missing address or suburb' });
+    }
+    const location = await locateListing({ displayAddress: address || null, suburb });
+    if (!location) {
+        return res.status(404).json({ error: `Could not locate '${address || suburb}'` });
+    }
+    res.json({ location, context: await listingContext(location, suburb) });
+});
+
+// Parse "lat,lon" (e.g. "-37.81,144.96"); returns null for anything else
+function parseLatLon(text) {
+    const m = String(text || '').trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    return m ? { lat: parseFloat(m[1]), lon: parseFloat(m[2]) } : null;
 }
 
 app.get('/api/nearby-stops', async (req, res) => {
@@ -405,41 +826,97 @@ app.get('/api/nearby-stops', async (req, res) => {
         return res.status(400).json({ error: 'Missing or invalid lat, lon' });
     }
     try {
-        const result = await fetchNearbyStopsFromOSM(lat, lon);
+        const result = await fetchNearbyStops(lat, lon);
         return res.json(result);
     } catch (error) {
-        console.error('Nearby stops error:', error);
-        return res.status(500).json({ error: error.message });
+        console.error('Nearby stops error:', error.message);
+        return sendLookupError(res, error);
     }
 });
 
-// REIV suburb page cache (slug -> { data, at }) to avoid hammering REIV
-const reivCache = new Map();
-const REIV_CACHE_TTL_MS = 5 * 60 * 1000;
+// Supermarkets, GPs, parks, playgrounds, cafés, libraries and childcare within walking distance of a point
+// (lib/amenities.js): counts and nearest places per category, and the 0-100 amenity score. 503 when the
+// POI search has no amenity data (POI_SEARCH=local without an OSM extract).
+app.get('/api/amenities', async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    if (isNaN(lat) || isNaN(lon)) {
+        return res.status(400).json({ error: 'Missing or invalid lat, lon' });
+    }
+    if (!amenities.amenitySearchAvailable()) {
+        return res.status(503).json({ error: `No amenity data: the local POI search has no OSM extract at ${providers.poi.fixturePath}` });
+    }
+    try {
+        const result = await amenities.amenitiesNear(lat, lon);
+        return res.json({ lat, lon, source: providers.poi.name, ...result });
+    } catch (error) {
+        console.error('Amenities error:', error.message);
+        return sendLookupError(res, error);
+    }
+});
 
-function parsePriceFromText(text) {
-    if (!text || typeof text !== 'string') return null;
-    const cleaned = text.replace(/,/g, '').trim();
-    const milMatch = cleaned.match(/\$?\s*(\d(?:\.\d+)?)\s*mi?l/i);
-    if (milMatch) return Math.round(parseFloat(milMatch[1]) * 1e6);
-    const kMatch = cleaned.match(/\$?\s*(\d+(?:\.\d+)?)\s*k/i);
-    if (kMatch) return Math.round(parseFloat(kMatch[1]) * 1000);
-    const numMatch = cleaned.match(/\$?\s*([\d,]+)/);
-    if (numMatch) return parseInt(numMatch[1].replace(/,/g, ''), 10);
-    return null;
-}
+// Compare 2-5 suburbs side by side: ?names=Kew,Hawthorn[&profileId=][&stops=false]
+// Nearest stops come from OpenStreetMap; a suburb whose lookup fails or is queued gets stops: null.
+app.get('/api/compare', async (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const { names, errors } = compare.parseCompareNames(req.query.names);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const found = names.map(findSuburb);
+    const missing = names.filter((n, i) => !found[i]);
+    if (missing.length) {
+        return res.status(404).json({ error: `Suburb(s) not found: ${missing.join(', ')}`, missing });
+    }
+    const profile = req.query.profileId ? profiles.getProfile(req.query.profileId) : profiles.defaultProfile();
+    if (!profile) {
+        return res.status(404).json({ error: `Profile '${req.query.profileId}' not found` });
+    }
+
+    const list = destinations.listDestinations();
+    const rows = await Promise.all(found.map(async ({ name, suburb }) => {
+        const coords = suburb.coords && suburb.coords.length === 2 ? suburb.coords : null;
+        const commutes = destinations.commutesForSuburb(name, list).map((c, i) => ({
+            ...c,
+            straightLineKm: coords ? Math.round(haversineKm(coords[0], coords[1], list[i].lat, list[i].lon) * 10) / 10 : null
+        }));
+        const row = compare.compareRow(name, suburb, { profile, commutes });
+        row.stops = null;
+        if (coords && req.query.stops !== 'false') {
+            try {
+                const stops = await fetchNearbyStops(coords[0], coords[1]);
+                row.stops = { train: stops.train, tram: stops.tram, bus: stops.bus };
+            } catch (error) {
+                console.error(`Compare stops (${name}) error:`, error.message);
+                row.stopsError = error.message;
+            }
+        }
+        return row;
+    }));
+
+    res.json({
+        names: rows.map(r => r.name),
+        dataQuarter: suburbData.metadata.dataQuarter,
+        profile: { id: profile.id, name: profile.name },
+        suburbs: rows,
+        leaders: compare.leaders(rows)
+    });
+});
 
+// REIV suburb page prices, cached on disk (lib/cache.js 'reiv' provider) to avoid hammering REIV
 async function fetchREIVSuburbPrices(slug) {
-    const now = Date.now();
-    const cached = reivCache.get(slug);
-    if (cached && (now - cached.at) < REIV_CACHE_TTL_MS) return cached.data;
+    return cache.wrap('reiv', cache.cacheKey('suburb', slug), () => scrapeREIVSuburbPrices(slug));
+}
 
+async function scrapeREIVSuburbPrices(slug) {
     const url = `https://reiv.com.au/market-insights/suburb/${encodeURIComponent(slug)}`;
-    const res = await fetch(url, {
+    const res = await scheduler.request(url, {
         headers: { 'User-Agent': 'MelbournePropertyFinder/1.0 (market data)' }
     });
     if (!res.ok) return null;
-    const html = await res.text();
+    const html = res.body;
 
     const result = { medianPrice: null, medianPriceUnit: null, quarterlyChange: null, source: 'reiv' };
     // REIV default tab is Houses, so this parse gives median HOUSE price only. Unit requires clicking "Units" tab.
@@ -459,8 +936,6 @@ async function fetchREIVSuburbPrices(slug) {
     // Quarterly price change: e.g. "9.7%"
     const qChangeMatch = html.match(/Quarterly\s*price\s*change[\s\S]*?([-]?\d+(?:\.\d+)?)\s*%/i);
     if (qChangeMatch) result.quarterlyChange = parseFloat(qChangeMatch[1]);
-
-    reivCache.set(slug, { data: result, at: now });
     return result;
 }
 
@@ -473,129 +948,290 @@ app.get('/api/reiv/suburb/:slug', async (req, res) => {
         if (!data) return res.status(404).json({ error: 'REIV data not found for this suburb' });
         return res.json(data);
     } catch (error) {
-        console.error('REIV fetch error:', error);
-        return res.status(502).json({ error: error.message });
+        console.error('REIV fetch error:', error.message);
+        return sendLookupError(res, error, 502);
     }
 });
 
-// Transit info using OpenStreetMap (Nominatim + Overpass). No API key required.
-app.get('/api/transit-to-southern-cross', async (req, res) => {
-    const address = (req.query.address || '').trim();
-    if (!address) {
-        return res.status(400).json({ error: 'Missing address (e.g. suburb name or full address)' });
+// Destinations (offices, schools, family...) used for the commute criterion and map reference markers
+app.get('/api/destinations', (req, res) => {
+    const list = destinations.listDestinations();
+    res.json({ destinations: list, transitTimes: destinations.transitTimesTable(list) });
+});
+
+app.get('/api/destinations/:id', (req, res) => {
+    const destination = destinations.getDestination(req.params.id);
+    if (!destination) {
+        return res.status(404).json({ error: `Destination '${req.params.id}' not found` });
     }
-    const query = address.includes('VIC') || address.includes('Australia') ? address : `${address}, Victoria, Australia`;
+    res.json(destination);
+});
+
+// Body: { name, lat, lon } or { name, address } (geocoded), plus optional label, kind, color, checkCommute, transitTimes
+app.post('/api/destinations', async (req, res) => {
+    const body = { ...(req.body || {}) };
     try {
-        const nomUrl = `https://nominatim.openstreetmap.org/search?${new URLSearchParams({
-            q: query,
-            format: 'json',
-            limit: 1,
-            countrycodes: 'au'
-        })}`;
-        const geoRes = await fetch(nomUrl, {
-            headers: { 'User-Agent': 'MelbournePropertyFinder/1.0' }
-        });
-        const geoBody = await geoRes.text();
-        const geoList = parseJsonResponse(geoRes, geoBody);
-        if (!geoList || geoList.length === 0) {
-            return res.json({
-                address: query,
-                destination: 'Southern Cross Station',
-                durationText: null,
-                steps: [],
-                walkToFirstStop: null,
-                message: 'Address not found. Try suburb name (e.g. South Morang).'
-            });
+        if (body.address && (body.lat == null || body.lon == null)) {
+            const geo = await geocodeAddress(String(body.address).trim());
+            if (!geo) {
+                return res.status(400).json({ error: `Address '${body.address}' not found` });
+            }
+            body.lat = geo.lat;
+            body.lon = geo.lon;
+            if (!body.label) body.label = `${body.name || 'Destination'} (${body.address})`;
+        }
+    } catch (error) {
+        console.error('Destination geocode error:', error.message);
+        return sendLookupError(res, error, 502);
+    }
+    const result = destinations.createDestination(body);
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid destination', details: result.errors });
+    }
+    res.status(201).json(result.destination);
+});
+
+app.put('/api/destinations/:id', (req, res) => {
+    const result = destinations.updateDestination(req.params.id, req.body);
+    if (!result) {
+        return res.status(404).json({ error: `Destination '${req.params.id}' not found` });
+    }
+    if (result.errors) {
+        return res.status(400).json({ error: 'Invalid destination', details: result.errors });
+    }
+    res.json(result.destination);
+});
+
+app.delete('/api/destinations/:id', (req, res) => {
+    if (!destinations.deleteDestination(req.params.id)) {
+        return res.status(404).json({ error: `Destination '${req.params.id}' not found` });
+    }
+    res.status(204).end();
+});
+
+// Suburb for a geocoded address: first comma-separated part that is a known suburb, else any suburb
+// with public transport times mentioned in the text
+function suburbForAddress(...texts) {
+    for (const text of texts.filter(Boolean)) {
+        for (const part of text.split(',')) {
+            const found = findSuburb(part);
+            if (found) return found.name;
         }
-        const { lat, lon, display_name } = geoList[0];
-        const latNum = parseFloat(lat);
-        const lonNum = parseFloat(lon);
-
-        const suburbFromAddress = (name) => {
-            const suburbKeys = Object.keys(COMMUTE_TO_SOUTHERN_CROSS);
-            for (const key of suburbKeys) {
-                if (name.toLowerCase().includes(key.toLowerCase())) return key;
+    }
+    const known = destinations.suburbsWithTransitTimes();
+    for (const text of texts.filter(Boolean)) {
+        const key = known.find(k => text.toLowerCase().includes(k.toLowerCase()));
+        if (key) return key;
+    }
+    return null;
+}
+
+const COMMUTE_DEPART_DEFAULT = '08:00';
+const COMMUTE_WINDOW_DEFAULT = 30;
+
+// Commute from an address, suburb or "lat,lon" to each configured destination: straight-line distance,
+// driving distance/time from the router, public transport time, plus nearest stops (lib/providers).
+// With a GTFS feed loaded (lib/gtfs), public transport is planned door to door from the timetable for
+// departures from ?depart=HH:MM (default 08:00) over ?window= minutes (default 30); otherwise it is the
+// suburb's precomputed or hand-entered time. Optional destinations=id1,id2 limits the destinations returned.
+app.get('/api/commute', async (req, res) => {
+    const from = (req.query.from || '').trim();
+    if (!from) {
+        return res.status(400).json({ error: 'Missing from (suburb name, full address or "lat,lon")' });
+    }
+    const departAfter = gtfs.parseClock(req.query.depart || COMMUTE_DEPART_DEFAULT);
+    const windowMinutes = req.query.window != null ? Number(req.query.window) : COMMUTE_WINDOW_DEFAULT;
+    const details = [];
+    if (departAfter == null) details.push('depart must be a time as HH:MM');
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 0 || windowMinutes > gtfs.MAX_WINDOW_MINUTES) {
+        details.push(`window must be a whole number of minutes from 0 to ${gtfs.MAX_WINDOW_MINUTES}`);
+    }
+    if (details.length) {
+        return res.status(400).json({ error: 'Invalid query', details });
+    }
+    const wanted = (req.query.destinations || '').split(',').map(s => s.trim()).filter(Boolean);
+    const list = destinations.listDestinations().filter(d => !wanted.length || wanted.includes(d.id));
+    try {
+        let origin = parseLatLon(from);
+        let address = from;
+        let suburb = null;
+        if (origin) {
+            const near = nearestSuburb(origin.lat, origin.lon);
+            suburb = near ? near.name : null;
+        } else {
+            const geo = await geocodeAddress(from);
+            if (!geo) {
+                return res.json({
+                    from,
+                    address: null,
+                    origin: null,
+                    suburb: null,
+                    destinations: [],
+                    stops: null,
+                    walkToFirstStop: null,
+                    message: 'Address not found. Try suburb name (e.g. South Morang).'
+                });
             }
-            return null;
-        };
-        const matchedSuburb = suburbFromAddress(display_name) || suburbFromAddress(query);
-        const durationText = matchedSuburb ? COMMUTE_TO_SOUTHERN_CROSS[matchedSuburb] : null;
-        const durationTextCollingwood = matchedSuburb ? COMMUTE_TO_COLLINGWOOD[matchedSuburb] : null;
-
-        const overpassUrl = 'https://overpass-api.de/api/interpreter';
-        const radius = 2500;
-        const overpassQuery = `[out:json][timeout:15];(node["railway"="station"](around:${radius},${latNum},${lonNum});node["railway"="halt"](around:${radius},${latNum},${lonNum});node["public_transport"="stop_position"](around:${radius},${latNum},${lonNum});node["highway"="bus_stop"](around:${radius},${latNum},${lonNum}););out body;`;
-        const overRes = await fetch(overpassUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: 'data=' + encodeURIComponent(overpassQuery)
-        });
-        const overBody = await overRes.text();
-        const overData = parseJsonResponse(overRes, overBody);
-        const elements = overData.elements || [];
-        const stops = elements.map(el => {
-            const name = el.tags?.name || el.tags?.station || 'Stop';
-            let type = 'Bus';
-            if (el.tags?.railway === 'station' || el.tags?.railway === 'halt') type = 'Train';
-            else if (el.tags?.tram === 'yes' || el.tags?.light_rail === 'yes' || (el.tags?.public_transport && !el.tags?.bus)) type = 'Tram';
-            const dist = haversineKm(latNum, lonNum, el.lat, el.lon);
-            return { name, type, distanceKm: Math.round(dist * 100) / 100, lat: el.lat, lon: el.lon };
-        });
-        stops.sort((a, b) => a.distanceKm - b.distanceKm);
-        const byType = { Train: null, Tram: null, Bus: null };
-        for (const s of stops) {
-            if (!byType[s.type]) byType[s.type] = s;
+            origin = { lat: geo.lat, lon: geo.lon };
+            address = geo.displayName;
+            suburb = suburbForAddress(address, from);
         }
-        const steps = [byType.Train, byType.Tram, byType.Bus].filter(Boolean).map(s => ({
-            departureStop: s.name,
-            vehicleType: s.type,
-            lineShortName: null,
-            summary: `${s.name} – ${s.type} (${s.distanceKm} km)`
-        }));
-        const firstStop = stops[0];
+
+        // A planner failure falls back to the stored times rather than failing the whole response
+        const feed = gtfs.configuredFeed();
+        let planned = null;
+        if (feed.network) {
+            try {
+                planned = gtfs.planJourneys(feed.network.index, origin, list, { departAfter, windowMinutes });
+            } catch (error) {
+                console.error('Commute journey planning error:', error.message);
+            }
+        }
+
+        const [stops, results] = await Promise.all([
+            fetchNearbyStops(origin.lat, origin.lon).catch(error => {
+                console.error('Commute stops error:', error.message);
+                if (error.busy) throw error;
+                return null;
+            }),
+            Promise.all(list.map(async (d, i) => {
+                const straightLineKm = Math.round(haversineKm(origin.lat, origin.lon, d.lat, d.lon) * 100) / 100;
+                const driving = await getDrivingRoute(origin.lat, origin.lon, d.lat, d.lon);
+                const ptText = suburb ? destinations.transitTimeFor(d, suburb) : null;
+                const plan = planned && planned[i];
+                return {
+                    id: d.id,
+                    name: d.name,
+                    label: d.label,
+                    kind: d.kind,
+                    color: d.color,
+                    lat: d.lat,
+                    lon: d.lon,
+                    checkCommute: d.checkCommute !== false,
+                    straightLineKm,
+                    driving,
+                    publicTransport: plan && plan.fastest ? {
+                        text: plan.text,
+                        minutes: plan.fastest.durationMinutes,
+                        medianMinutes: plan.medianMinutes,
+                        source: 'timetable',
+                        journey: plan.fastest,
+                        journeys: plan.journeys
+                    } : ptText ? { text: ptText, minutes: assess.parseCommuteToMinutes(ptText), source: 'static' } : null
+                };
+            }))
+        ]);
+
         let walkToFirstStop = null;
-        if (firstStop) {
-            const walkKm = firstStop.distanceKm;
+        if (stops && stops.nearest) {
+            const walkKm = stops.nearest.distanceKm;
             const walkMin = Math.round(walkKm * 12);
-            walkToFirstStop = { distance: walkKm < 1 ? `${Math.round(walkKm * 1000)} m` : `${walkKm.toFixed(1)} km`, duration: `~${walkMin} min walk` };
+            walkToFirstStop = { stop: stops.nearest.name, distance: walkKm < 1 ? `${Math.round(walkKm * 1000)} m` : `${walkKm.toFixed(1)} km`, duration: `~${walkMin} min walk` };
         }
-        const haversineSiemens = Math.round(haversineKm(latNum, lonNum, SIEMENS_OFFICE.lat, SIEMENS_OFFICE.lon) * 100) / 100;
-        const haversineCanva = Math.round(haversineKm(latNum, lonNum, CANVA_OFFICE.lat, CANVA_OFFICE.lon) * 100) / 100;
-        const [driveSiemens, driveCanva] = await Promise.all([
-            getDrivingRouteOSRM(latNum, lonNum, SIEMENS_OFFICE.lat, SIEMENS_OFFICE.lon),
-            getDrivingRouteOSRM(latNum, lonNum, CANVA_OFFICE.lat, CANVA_OFFICE.lon)
-        ]);
-        const distanceSiemensKm = driveSiemens ? driveSiemens.distanceKm : haversineSiemens;
-        const distanceCanvaKm = driveCanva ? driveCanva.distanceKm : haversineCanva;
-        const distanceSiemensSource = driveSiemens ? 'driving' : 'straight-line';
-        const distanceCanvaSource = driveCanva ? 'driving' : 'straight-line';
         return res.json({
-            address: display_name,
-            destination: 'Southern Cross Station',
-            durationText,
-            durationTextCollingwood: durationTextCollingwood || null,
-            durationValue: null,
-            steps,
+            from,
+            address,
+            origin,
+            suburb,
+            destinations: results,
+            stops: stops ? { train: stops.train, tram: stops.tram, bus: stops.bus } : null,
             walkToFirstStop,
-            suburb: matchedSuburb || null,
-            distanceSiemensKm,
-            distanceCanvaKm,
-            distanceSiemensSource,
-            distanceCanvaSource,
-            durationSiemensDrivingMin: driveSiemens ? driveSiemens.durationMinutes : null,
-            durationCanvaDrivingMin: driveCanva ? driveCanva.durationMinutes : null
+            timetable: planned ? { serviceDate: feed.network.serviceDate, depart: gtfs.formatClock(departAfter), windowMinutes } : null
         });
     } catch (error) {
-        console.error('Transit (OSM) error:', error);
-        return res.status(500).json({ error: error.message });
+        console.error('Commute error:', error.message);
+        return sendLookupError(res, error);
+    }
+});
+
+// Deprecated: the Southern Cross-specific route now lives on as /api/commute
+app.get('/api/transit-to-southern-cross', (req, res) => {
+    const params = new URLSearchParams({ from: req.query.address || '' });
+    ['depart', 'window'].forEach(key => {
+        if (req.query[key]) params.set(key, req.query[key]);
+    });
+    res.redirect(307, `/api/commute?${params}`);
+});
+
+// Isochrone overlay: the suburbs a destination can be reached from within ?minutes= by ?mode=transit|driving,
+// in bands of ?step= minutes (default 15), as GeoJSON for the map (boundary polygons where imported, points
+// otherwise). Times come from the precomputed travel-time matrix (lib/travel-times.js); public transport also
+// uses the hand-entered times, as commute checks do, so destinations the timetable run missed still get some.
+app.get('/api/isochrone', (req, res) => {
+    if (!suburbData) {
+        return res.status(500).json({ error: 'Suburb data not loaded' });
+    }
+    const { query, errors } = travelTimes.parseIsochroneQuery(req.query);
+    if (errors.length) {
+        return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    const destination = destinations.getDestination(query.destination);
+    if (!destination) {
+        return res.status(404).json({ error: `Destination '${query.destination}' not found` });
     }
+
+    let times;
+    let source;
+    const matrixTimes = travelTimes.matrixMinutes(query.mode, destination.id);
+    if (query.mode === 'transit') {
+        const table = destinations.transitTimesTable([destination])[destination.id];
+        times = Object.fromEntries(Object.entries(table).map(([name, text]) => [name, assess.parseCommuteToMinutes(text)]));
+        source = matrixTimes ? 'timetable' : 'static';
+    } else {
+        times = matrixTimes || {};
+        source = matrixTimes ? 'router' : null;
+    }
+    // Hand-entered tables may not match suburbs.json's capitalisation
+    const canonical = new Map(Object.keys(suburbData.suburbs).map(name => [name.toLowerCase(), name]));
+    times = Object.fromEntries(Object.entries(times).map(([name, minutes]) => [canonical.get(name.toLowerCase()) || name, minutes]));
+
+    const reachable = travelTimes.reachableSuburbs(times, query);
+    const names = new Set(reachable.map(r => r.name.toLowerCase()));
+    const shapes = new Map((boundaries.boundaryFeatures({ names }) || []).map(f => [f.properties.name, f.geometry]));
+    const centres = boundaries.boundaryCentres();
+    const features = reachable.map(r => {
+        const suburb = suburbData.suburbs[r.name];
+        const location = suburb && Array.isArray(suburb.coords) && suburb.coords.length === 2 ? suburb.coords : centres.get(r.name);
+        const geometry = shapes.get(r.name) || (location && { type: 'Point', coordinates: [location[1], location[0]] });
+        return geometry ? { type: 'Feature', geometry, properties: r } : null;
+    }).filter(Boolean);
+
+    const matrix = travelTimes.loadMatrix(query.mode);
+    res.json({
+        type: 'FeatureCollection',
+        metadata: {
+            destination: { id: destination.id, name: destination.name, lat: destination.lat, lon: destination.lon, color: destination.color },
+            mode: query.mode,
+            minutes: query.minutes,
+            step: query.step,
+            bands: travelTimes.bandLimits(query.minutes, query.step),
+            source,
+            generated: matrixTimes && matrix.metadata ? matrix.metadata.generated : null,
+            suburbsWithTimes: Object.values(times).filter(m => m != null).length,
+            reachable: reachable.length
+        },
+        features
+    });
 });
 
+// Index the GTFS timetable, if one is configured, before taking requests: parsing a weekday of PTV's feed
+// blocks for a while, and doing it in the first commute lookup would stall every request queued behind it
+const transitFeed = gtfs.configuredFeed();
+
 app.listen(PORT, () => {
     console.log(`\n🏠 Melbourne Property Finder`);
     console.log(`   Server running at http://localhost:${PORT}`);
-    console.log(`   Open http://localhost:${PORT}/melbourne-properties.html\n`);
+    console.log(`   Open http://localhost:${PORT}/melbourne-properties.html`);
+    const p = providers.describe();
+    console.log(`   Providers: geocoder ${p.geocoder.name}, router ${p.router.name}, POI search ${p.poi.name}\n`);
     
     // Load local suburb data
     loadSuburbData();
+
+    if (transitFeed.network) {
+        const n = transitFeed.network;
+        console.log(`✓ Loaded GTFS feed for ${n.serviceDate}: ${n.stops} stops, ${n.trips} trips`);
+    } else if (transitFeed.error) {
+        console.error(`GTFS feed ${transitFeed.path} could not be loaded: ${transitFeed.error}`);
+    }
 });
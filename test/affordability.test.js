@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const affordability = require('../lib/affordability');
+
+const { landTransferDuty, estimateLmi, calculateAffordability } = affordability;
+
+test('landTransferDuty: general brackets', () => {
+    assert.equal(landTransferDuty(20000, { principalResidence: false }).amount, 280);
+    assert.equal(landTransferDuty(100000, { principalResidence: false }).amount, 2150);
+    assert.equal(landTransferDuty(500000, { principalResidence: false }).amount, 25070);
+    // From $960,000 the rate applies to the whole value
+    assert.equal(landTransferDuty(959999).amount, 52670);
+    assert.equal(landTransferDuty(1000000).amount, 55000);
+    assert.equal(landTransferDuty(2500000).amount, 142500);
+    assert.equal(landTransferDuty(2500000).basis, 'general');
+});
+
+test('landTransferDuty: PPR concession up to $550,000', () => {
+    assert.deepEqual(landTransferDuty(500000), { amount: 21970, basis: 'ppr', generalAmount: 25070, saving: 3100 });
+    assert.equal(landTransferDuty(550000).basis, 'ppr');
+    assert.equal(landTransferDuty(550001).basis, 'general');
+    assert.equal(landTransferDuty(100000).basis, 'general', 'below $130,000 the concession does not apply');
+});
+
+test('landTransferDuty: first home buyer exemption and concession', () => {
+    assert.deepEqual(landTransferDuty(600000, { firstHomeBuyer: true }), { amount: 0, basis: 'fhb-exemption', generalAmount: 31070, saving: 31070 });
+    // Sliding from nil at $600,000 to full duty at $750,000
+    assert.deepEqual(landTransferDuty(700000, { firstHomeBuyer: true }), { amount: 24713, basis: 'fhb-concession', generalAmount: 37070, saving: 12357 });
+    assert.equal(landTransferDuty(750000, { firstHomeBuyer: true }).amount, 40070);
+    assert.equal(landTransferDuty(800000, { firstHomeBuyer: true }).basis, 'general');
+});
+
+test('estimateLmi: bands by LVR, unavailable above 95%', () => {
+    assert.deepEqual(estimateLmi(640000, 80), { band: 'none', ratePct: 0, amount: 0 });
+    assert.deepEqual(estimateLmi(680000, 85), { band: 'low', ratePct: 1.0, amount: 6800 });
+    assert.deepEqual(estimateLmi(720000, 90), { band: 'moderate', ratePct: 2.0, amount: 14400 });
+    assert.deepEqual(estimateLmi(760000, 95), { band: 'high', ratePct: 3.5, amount: 26600 });
+    assert.deepEqual(estimateLmi(761000, 95.1), { band: 'unavailable', ratePct: null, amount: null });
+});
+
+test('calculateAffordability: capitalised LMI joins the loan and the total cost', () => {
+    const result = calculateAffordability({ price: 800000, depositPct: 5 });
+    assert.equal(result.deposit, 40000);
+    assert.equal(result.lvrPct, 95);
+    assert.equal(result.lmi.amount, 26600);
+    assert.equal(result.loan, 786600);
+    assert.equal(result.upfrontCash, 40000 + 43070 + 3000);
+    assert.equal(result.totalCost, 800000 + 43070 + 3000 + 26600);
+    assert.equal(result.financeable, true);
+
+    const paidUpfront = calculateAffordability({ price: 800000, depositPct: 5, lmiCapitalised: false });
+    assert.equal(paidUpfront.loan, 760000);
+    assert.equal(paidUpfront.upfrontCash, 40000 + 43070 + 3000 + 26600);
+    assert.equal(paidUpfront.totalCost, result.totalCost);
+});
+
+test('calculateAffordability: over 95% LVR is not financeable', () => {
+    const result = calculateAffordability({ price: 800000, deposit: 20000 });
+    assert.equal(result.lvrPct, 97.5);
+    assert.equal(result.lmi.band, 'unavailable');
+    assert.equal(result.financeable, false);
+    assert.equal(result.totalCost, 800000 + 43070 + 3000);
+});
+
+test('monthlyRepayment and validateInputs', () => {
+    assert.equal(affordability.monthlyRepayment(360000, 0, 30), 1000);
+    assert.equal(Math.round(affordability.monthlyRepayment(800000, 6, 30)), 4796);
+
+    const { input, errors } = affordability.validateInputs({ price: '$1,000,000', firstHomeBuyer: 'yes' });
+    assert.deepEqual(errors, []);
+    assert.equal(input.price, 1000000);
+    assert.equal(input.firstHomeBuyer, true);
+    assert.deepEqual(affordability.validateInputs({ price: 'abc', depositPct: 120, loanTermYears: 2.5, lmiCapitalised: 'maybe' }).errors, [
+        'price must be a positive number',
+        'depositPct must be a number from 0 to 100',
+        'loanTermYears must be a whole number of years from 1 to 40',
+        'lmiCapitalised must be true or false'
+    ]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const amenities = require('../lib/amenities');
+
+const centre = { lat: -37.8, lon: 145.0 };
+// A place due north of the centre; 0.001 degrees of latitude is about 111 m
+function place(tags, northDeg) {
+    return { lat: centre.lat + northDeg, lon: centre.lon, tags };
+}
+
+test('amenityScore: weighted mean of each category capped at its target', () => {
+    assert.equal(amenities.amenityScore({}), 0);
+    const full = Object.fromEntries(Object.entries(amenities.CATEGORIES).map(([key, c]) => [key, { count: c.target }]));
+    assert.equal(amenities.amenityScore(full), 100);
+    // Counts beyond the target earn nothing more
+    assert.equal(amenities.amenityScore({ supermarket: { count: 10 } }), amenities.amenityScore({ supermarket: { count: 2 } }));
+    // Supermarkets weigh 3 of 11: full marks alone is 27, half of the target 14
+    assert.equal(amenities.amenityScore({ supermarket: { count: 2 } }), 27);
+    assert.equal(amenities.amenityScore({ supermarket: { count: 1 } }), 14);
+    assert.equal(amenities.amenityScore({ cafe: { count: 5 } }), 9);
+});
+
+test('summarizeAmenities: counts places within each radius, nearest first', () => {
+    const elements = [
+        place({ shop: 'supermarket', name: 'Far Supermarket' }, 0.005),
+        place({ shop: 'supermarket', name: 'Near Supermarket' }, 0.002),
+        place({ shop: 'supermarket', name: 'Too Far' }, 0.01), // ~1.1 km, outside 1000 m
+        place({ leisure: 'park', name: 'Edge Park' }, 0.008), // ~890 m, outside 800 m
+        place({ amenity: 'kindergarten' }, 0.003),
+        place({ amenity: 'library', name: 'Library' }, 0.013), // ~1.4 km, inside 1500 m
+        { lat: centre.lat, lon: centre.lon } // no tags
+    ];
+    const summary = amenities.summarizeAmenities(centre.lat, centre.lon, elements);
+    const { supermarket, park, childcare, library, cafe } = summary.categories;
+
+    assert.equal(supermarket.count, 2);
+    assert.deepEqual(supermarket.nearest.map(p => p.name), ['Near Supermarket', 'Far Supermarket']);
+    assert.ok(Math.abs(supermarket.nearest[0].distanceM - 222) <= 1);
+    assert.equal(park.count, 0);
+    assert.deepEqual(childcare.nearest.map(p => p.name), [null]);
+    assert.equal(library.count, 1);
+    assert.deepEqual(cafe, { label: 'Cafés', radiusM: 800, count: 0, nearest: [] });
+    assert.equal(summary.score, amenities.amenityScore(summary.categories));
+});
+
+test('summarizeAmenities: keeps the three nearest examples', () => {
+    const cafes = [0.004, 0.001, 0.003, 0.002].map((d, i) => place({ amenity: 'cafe', name: `Cafe ${i}` }, d));
+    const { cafe } = amenities.summarizeAmenities(centre.lat, centre.lon, cafes).categories;
+    assert.equal(cafe.count, 4);
+    assert.deepEqual(cafe.nearest.map(p => p.name), ['Cafe 1', 'Cafe 3', 'Cafe 2']);
+});
+
+test('walkabilityRecord: compact record without labels and two examples per category', () => {
+    const cafes = [0.001, 0.002, 0.003].map((d, i) => place({ amenity: 'cafe', name: `Cafe ${i}` }, d));
+    const summary = amenities.summarizeAmenities(centre.lat, centre.lon, cafes);
+    const record = amenities.walkabilityRecord(summary, '2026-10-19');
+    assert.equal(record.score, summary.score);
+    assert.equal(record.updated, '2026-10-19');
+    assert.deepEqual(Object.keys(record.categories), Object.keys(amenities.CATEGORIES));
+    assert.deepEqual(Object.keys(record.categories.cafe), ['count', 'radiusM', 'nearest']);
+    assert.equal(record.categories.cafe.count, 3);
+    assert.deepEqual(record.categories.cafe.nearest.map(p => p.name), ['Cafe 0', 'Cafe 1']);
+});
+
+test('amenitiesNear: one search over the widest radius with every filter', async () => {
+    let options = null;
+    const poi = {
+        async search(o) {
+            options = o;
+            return [place({ shop: 'supermarket', name: 'Near Supermarket' }, 0.002)];
+        }
+    };
+    const summary = await amenities.amenitiesNear(centre.lat, centre.lon, poi);
+    assert.equal(options.radiusM, amenities.SEARCH_RADIUS_M);
+    assert.equal(options.radiusM, 1500);
+    assert.equal(options.areas, true);
+    assert.equal(new Set(options.filters).size, options.filters.length);
+    assert.ok(options.filters.includes('healthcare=doctor'));
+    assert.equal(summary.categories.supermarket.count, 1);
+
+    assert.equal(amenities.amenitySearchAvailable(poi), true);
+    assert.equal(amenities.amenitySearchAvailable({ hasExtract: () => false }), false);
+});
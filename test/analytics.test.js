@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../lib/analytics');
+
+// House medians by year: steady 10% growth, a 2021 peak not yet regained, a dip since recovered,
+// flat, a regional suburb and one with a single year
+const SUBURBS = {
+    Steady: { priceHistory: { 2020: 400000, 2021: 440000, 2022: 484000, 2023: 532400 } },
+    Peaked: { priceHistory: { 2020: 500000, 2021: 600000, 2022: 480000, 2023: 540000 } },
+    Recovered: { priceHistory: { 2020: 800000, 2021: 720000, 2022: 760000, 2023: 840000 } },
+    Flat: { priceHistory: { 2020: 600000, 2023: 600000 } },
+    Regional: { priceHistory: { 2020: 300000, 2023: 600000 } },
+    Short: { priceHistory: { 2023: 500000 } }
+};
+const METRO = new Set(['Steady', 'Peaked', 'Recovered', 'Flat']);
+
+test('suburbAnalytics: CAGR, volatility, drawdown and distance from the peak', () => {
+    const steady = analytics.suburbAnalytics(SUBURBS.Steady);
+    assert.deepEqual(steady.years, { from: '2020', to: '2023', count: 4 });
+    assert.deepEqual(steady.cagr, { 3: 10, 5: null, 10: null });
+    assert.equal(steady.volatility, 0);
+    assert.equal(steady.maxDrawdown, null);
+    assert.deepEqual(steady.fromPeak, { pct: 0, peakPeriod: '2023' });
+
+    const peaked = analytics.suburbAnalytics(SUBURBS.Peaked);
+    assert.equal(peaked.cagr[3], 2.6);
+    assert.deepEqual(peaked.maxDrawdown, { pct: 20, peakPeriod: '2021', troughPeriod: '2022', recovered: false, recoveredPeriod: null, recoveryYears: null });
+    assert.deepEqual(peaked.fromPeak, { pct: 10, peakPeriod: '2021' });
+
+    const recovered = analytics.suburbAnalytics(SUBURBS.Recovered);
+    assert.equal(recovered.maxDrawdown.recoveredPeriod, '2023');
+    assert.equal(recovered.maxDrawdown.recoveryYears, 2);
+
+    // Gaps between years are not annual changes
+    assert.equal(analytics.suburbAnalytics(SUBURBS.Flat).volatility, null);
+    const short = analytics.suburbAnalytics(SUBURBS.Short);
+    assert.deepEqual(short.cagr, { 3: null, 5: null, 10: null });
+    assert.equal(short.fromPeak, null);
+});
+
+test('analyseAll: the Melbourne benchmark is the median CAGR of metro suburbs', () => {
+    const { bySuburb, benchmark } = analytics.analyseAll(SUBURBS, 'house', METRO);
+    // Metro CAGR3 values 10, 2.6, 1.6 and 0: the median of an even count is the middle pair's mean
+    assert.deepEqual(benchmark.cagr, { 3: 2.1, 5: null, 10: null });
+    assert.deepEqual(benchmark.suburbs, { 3: 4, 5: 0, 10: 0 }, 'Regional and Short are not counted');
+    assert.equal(bySuburb.Steady.vsMelbourne[3], 7.9);
+    assert.equal(bySuburb.Regional.vsMelbourne[3], 23.9);
+    assert.equal(bySuburb.Short.vsMelbourne[3], null);
+    assert.equal(analytics.analyseAll(SUBURBS, 'house', METRO).bySuburb, bySuburb, 'computed once per dataset and type');
+});
+
+test('parseRankingQuery and rankSuburbs: sort, filters, region and paging', () => {
+    const { bySuburb } = analytics.analyseAll(SUBURBS, 'house', METRO);
+    const rank = (params, names) => {
+        const { query, errors } = analytics.parseRankingQuery(params);
+        assert.deepEqual(errors, []);
+        return analytics.rankSuburbs(bySuburb, query, names);
+    };
+
+    const byGrowth = rank({ sort: '-cagr3', minCagr3: '1' });
+    assert.equal(byGrowth.total, 4);
+    assert.deepEqual(byGrowth.rows.map(r => [r.rank, r.name, r.value]), [[1, 'Regional', 26], [2, 'Steady', 10], [3, 'Peaked', 2.6], [4, 'Recovered', 1.6]]);
+    assert.deepEqual(rank({ sort: 'cagr3', recovered: 'false' }).rows.map(r => r.name), ['Peaked']);
+    assert.deepEqual(rank({ sort: 'fromPeak', peakedIn: '2021' }).rows.map(r => r.name), ['Peaked']);
+    assert.deepEqual(rank({ sort: 'cagr3' }, METRO).rows.map(r => r.name), ['Flat', 'Recovered', 'Peaked', 'Steady']);
+
+    const paged = rank({ sort: '-cagr3', limit: '2', offset: '1' });
+    assert.equal(paged.total, 5);
+    assert.deepEqual(paged.rows.map(r => [r.rank, r.name]), [[2, 'Steady'], [3, 'Peaked']]);
+
+    assert.deepEqual(analytics.parseRankingQuery({ sort: 'price', order: 'up', minCagr5: 'x', limit: '0', recovered: 'maybe' }).errors, [
+        `sort must be one of ${Object.keys(analytics.RANK_METRICS).join(', ')}`,
+        'order must be asc or desc',
+        'minCagr5 must be a number',
+        'recovered must be true or false',
+        'limit must be between 1 and 500'
+    ]);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const assess = require('../lib/assess');
+
+const { DEFAULT_PROFILE, parsePrice, toCount, validateListing, normalizeListing, calculateMatchScore, assessListing } = assess;
+
+test('parsePrice: numbers, $ and separators, m and k suffixes', () => {
+    assert.equal(parsePrice(1250000), 1250000);
+    assert.equal(parsePrice('1,250,000'), 1250000);
+    assert.equal(parsePrice('$1,250,000'), 1250000);
+    assert.equal(parsePrice('$1.2m'), 1200000);
+    assert.equal(parsePrice('1.25M'), 1250000);
+    assert.equal(parsePrice('950k'), 950000);
+    assert.equal(parsePrice(''), null);
+    assert.equal(parsePrice(null), null);
+});
+
+test('parsePrice: a range is unreadable rather than guessed', () => {
+    for (const value of ['$1,100,000 - $1,200,000', '$1.1m - $1.2m', '1.1-1.2m', '$900k to $950k']) {
+        assert.ok(Number.isNaN(parsePrice(value)), value);
+    }
+});
+
+test('parsePrice: unreadable or negative prices are NaN', () => {
+    for (const value of ['abc', 'Contact agent', '-5', '1.2.3', -1, Infinity]) {
+        assert.ok(Number.isNaN(parsePrice(value)), String(value));
+    }
+});
+
+test('toCount: whole and half counts; negative or text is NaN', () => {
+    assert.equal(toCount(3), 3);
+    assert.equal(toCount('3'), 3);
+    assert.equal(toCount('2.5'), 2.5);
+    assert.equal(toCount(''), null);
+    assert.equal(toCount(undefined), null);
+    assert.ok(Number.isNaN(toCount('-1')));
+    assert.ok(Number.isNaN(toCount('three')));
+});
+
+test('validateListing: coerces fields and reports unreadable values', () => {
+    const { listing, errors } = validateListing({ price: '$1.2m', suburb: ' Reservoir ', bedrooms: '4', parking: 2, garden: true, pool: 'maybe' });
+    assert.deepEqual(errors, []);
+    assert.equal(listing.price, 1200000);
+    assert.equal(listing.suburb, 'Reservoir');
+    assert.equal(listing.bedrooms, 4);
+    assert.equal(listing.bathrooms, null);
+    assert.equal(listing.garage, 2, 'parking is accepted for garage');
+    assert.equal(listing.garden, 'yes');
+    assert.equal(listing.pool, 'unknown');
+    assert.equal(listing.displayAddress, 'Reservoir, VIC');
+
+    const rejected = validateListing({ price: 'lots', bedrooms: '-1', bathrooms: 'two' });
+    assert.deepEqual(rejected.errors, [
+        "price 'lots' is not a number",
+        "bedrooms '-1' is not a number",
+        "bathrooms 'two' is not a number"
+    ]);
+    assert.equal(rejected.listing.price, null);
+    assert.equal(rejected.listing.bedrooms, null);
+});
+
+test('calculateMatchScore: price bands and transport', () => {
+    const suburb = (medianPrice, trainStation = true) => ({ medianPrice, transport: { trainStation } });
+    assert.equal(calculateMatchScore(suburb(1200000), DEFAULT_PROFILE), 100);
+    assert.equal(calculateMatchScore(suburb(900000, false), DEFAULT_PROFILE), 85, 'under budget, bus only');
+    assert.equal(calculateMatchScore(suburb(1500000), DEFAULT_PROFILE), 85, 'within the 10% tolerance');
+    assert.equal(calculateMatchScore(suburb(1650000), DEFAULT_PROFILE), 75);
+    assert.equal(calculateMatchScore(suburb(2000000), DEFAULT_PROFILE), 65);
+    // A units-only profile is judged on the unit median
+    const unitsOnly = { ...DEFAULT_PROFILE, propertyTypes: ['Unit'] };
+    assert.equal(calculateMatchScore({ medianPrice: 2000000, medianPriceUnit: 1200000, transport: {} }, unitsOnly), 90);
+});
+
+test('assessListing: a listing meeting every criterion scores good', () => {
+    const listing = normalizeListing({ price: '$1.2m', suburb: 'Reservoir', propertyType: 'House', bedrooms: 4, bathrooms: 2, garage: 1, garden: 'yes', pool: 'no' });
+    const result = assessListing(listing, DEFAULT_PROFILE, { commutes: [{ name: 'CBD', text: '40 min', minutes: 40 }] });
+    assert.equal(result.score, 100);
+    assert.equal(result.summaryClass, 'good');
+    assert.ok(result.criteria.every(c => c.status !== 'fail'));
+    assert.equal(result.criteria.find(c => c.text === 'Within 1h 15min to CBD').status, 'pass');
+    assert.ok(result.costs.duty.amount > 0);
+});
+
+test('assessListing: moderate and poor bands', () => {
+    // 50 base + 10 type + 10 bedrooms - 5 garden - 10 pool; no price
+    const moderate = assessListing(normalizeListing({ propertyType: 'House', bedrooms: 4, bathrooms: 1, garage: 0, garden: 'no', pool: 'yes' }), DEFAULT_PROFILE);
+    assert.equal(moderate.score, 55);
+    assert.equal(moderate.summaryClass, 'moderate');
+    assert.equal(moderate.costs, null);
+    assert.equal(moderate.criteria[0].status, 'unknown');
+
+    // Over budget within the tolerance: -10 instead of disqualifying
+    const poor = assessListing(normalizeListing({ price: 1500000, propertyType: 'Apartment', bedrooms: 2, garden: 'no', pool: 'yes' }), DEFAULT_PROFILE);
+    assert.equal(poor.score, 20);
+    assert.equal(poor.summaryClass, 'poor');
+    assert.equal(poor.criteria[0].status, 'fail');
+});
+
+test('assessListing: over the budget tolerance is no match', () => {
+    const result = assessListing(normalizeListing({ price: 1600000, propertyType: 'House', bedrooms: 4, garden: 'yes', pool: 'no' }), DEFAULT_PROFILE);
+    assert.equal(result.score, 0);
+    assert.equal(result.summaryClass, 'poor');
+    assert.match(result.summaryText, /more than 10% over your upper limit/);
+    assert.match(result.criteria[0].detail, /limit \$1\.54M/);
+});
+
+test('benchmarkListing: verdict thresholds against the type median', () => {
+    const suburb = { medianPrice: 1000000, priceSeries: { house: { '2025-Q1': { median: 990000 }, '2025-Q2': { median: 1000000, sales: 40 } } } };
+    const verdict = (price) => assess.benchmarkListing({ price, propertyType: 'House' }, suburb).verdict;
+    assert.equal(assess.UNDERQUOTED_PCT, -15);
+    assert.equal(assess.OVERPRICED_PCT, 20);
+    assert.equal(verdict(850000), 'underquoted', 'exactly 15% below');
+    assert.equal(verdict(851000), 'in-line');
+    assert.equal(verdict(1199000), 'in-line');
+    assert.equal(verdict(1200000), 'overpriced', 'exactly 20% above');
+    assert.equal(assess.benchmarkListing({ price: null, propertyType: 'House' }, suburb), null);
+    assert.equal(assess.benchmarkListing({ price: 900000, propertyType: 'Unit' }, suburb), null, 'no unit median');
+});
+
+test('benchmarkListing: reliability uses the type\'s sales in the latest quarter', () => {
+    const suburb = (houseSales, unitSales) => ({
+        medianPrice: 1000000,
+        medianPriceUnit: 600000,
+        salesCount: 500,
+        priceSeries: {
+            house: { '2025-Q1': { median: 990000, sales: 100 }, '2025-Q2': { median: 1000000, sales: houseSales } },
+            unit: { '2025-Q2': { median: 600000, sales: unitSales } }
+        }
+    });
+    assert.equal(assess.MIN_BENCHMARK_SALES, 10);
+    const house = assess.benchmarkListing({ price: 1000000, propertyType: 'House' }, suburb(10, 9));
+    assert.deepEqual([house.salesCount, house.reliable], [10, true]);
+    const unit = assess.benchmarkListing({ price: 600000, propertyType: 'Apartment' }, suburb(10, 9));
+    assert.deepEqual([unit.type, unit.salesCount, unit.reliable], ['unit', 9, false]);
+    // Unknown counts are not reliable, whatever the suburb-wide salesCount says
+    const unknown = assess.benchmarkListing({ price: 1000000, propertyType: 'House' }, suburb(undefined, 50));
+    assert.deepEqual([unknown.salesCount, unknown.reliable], [null, false]);
+    const noSeries = assess.benchmarkListing({ price: 1000000, propertyType: 'House' }, { medianPrice: 1000000, salesCount: 500 });
+    assert.deepEqual([noSeries.salesCount, noSeries.reliable], [null, false]);
+
+    const result = assessListing(normalizeListing({ price: 600000, propertyType: 'Unit' }), DEFAULT_PROFILE, { suburb: suburb(10, 9) });
+    const criterion = result.criteria.find(c => c.text === 'Price vs suburb unit median');
+    assert.equal(criterion.status, 'unknown');
+    assert.match(criterion.detail, /only 9 unit sales last quarter, benchmark unreliable/);
+});
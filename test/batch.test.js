@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const batch = require('../lib/batch');
+const { parsePrice } = require('../lib/assess');
+
+test('parseCsv: quoted fields, doubled quotes, line breaks and blank rows', () => {
+    const text = '\uFEFFsuburb,price,address\r\nKew,"$1,250,000","1 Smith St, Kew"\n\n"Box Hill","950k","Unit 2 ""The Grove""\nBox Hill"\n';
+    assert.deepEqual(batch.parseCsv(text), [
+        ['suburb', 'price', 'address'],
+        ['Kew', '$1,250,000', '1 Smith St, Kew'],
+        ['Box Hill', '950k', 'Unit 2 "The Grove"\nBox Hill']
+    ]);
+    assert.deepEqual(batch.parseCsv('a,b'), [['a', 'b']], 'last row without a line break');
+    assert.deepEqual(batch.parseCsv(''), []);
+});
+
+test('csvField: quotes when needed and defuses spreadsheet formulas', () => {
+    assert.equal(batch.csvField(null), '');
+    assert.equal(batch.csvField(1250000), '1250000');
+    assert.equal(batch.csvField(-12.5), '-12.5', 'negative numbers are left alone');
+    assert.equal(batch.csvField('Kew'), 'Kew');
+    assert.equal(batch.csvField('1 Smith St, Kew'), '"1 Smith St, Kew"');
+    assert.equal(batch.csvField('Unit 2 "The Grove"'), '"Unit 2 ""The Grove"""');
+    assert.equal(batch.csvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(batch.csvField('-2+3'), "'-2+3");
+    assert.deepEqual(batch.parseCsv(batch.formatCsv([['a', 'b, c'], ['line\nbreak', '"q"']])), [['a', 'b, c'], ['line\nbreak', '"q"']]);
+});
+
+test('parsePrice: dollars, k and m suffixes and decimals', () => {
+    assert.equal(parsePrice('$1,250,000'), 1250000);
+    assert.equal(parsePrice('1250000'), 1250000);
+    assert.equal(parsePrice('1.25m'), 1250000);
+    assert.equal(parsePrice('$1.2M'), 1200000);
+    assert.equal(parsePrice('950k'), 950000);
+    assert.equal(parsePrice(' $ 950 K '), 950000);
+    assert.equal(parsePrice(1250000), 1250000);
+    assert.equal(parsePrice(''), null);
+    assert.equal(parsePrice(null), null);
+    assert.ok(Number.isNaN(parsePrice('Contact agent')));
+    assert.ok(Number.isNaN(parsePrice('$900k - $950k')));
+    assert.ok(Number.isNaN(parsePrice(-5)));
+});
+
+test('parseBatchInput: URL lists and CSV rows with per-row errors', () => {
+    const urls = batch.parseBatchInput({ urls: 'https://www.domain.com.au/1-a-st-kew-vic-3101-1\n\nnotaurl\nhttp://169.254.169.254/latest' });
+    assert.deepEqual(urls.errors, []);
+    assert.equal(urls.rows.length, 3);
+    assert.equal(urls.rows[0].error, null);
+    assert.equal(urls.rows[1].error, "'notaurl' is not a listing URL from domain.com.au, realestate.com.au");
+    assert.equal(urls.rows[2].error, "'http://169.254.169.254/latest' is not a listing URL from domain.com.au, realestate.com.au");
+
+    const csv = batch.parseBatchInput({ csv: 'Suburb,Asking Price,Bedrooms\nKew,1.2m,4\nReservoir,POA,3\nBox Hill,,three\n,,' });
+    assert.deepEqual(csv.errors, []);
+    assert.deepEqual(csv.rows.map(r => r.error), [null, "price 'POA' is not a number", "bedrooms 'three' is not a number"]);
+    assert.equal(csv.rows[0].listing.price, 1200000);
+    assert.equal(csv.rows[0].listing.bedrooms, 4);
+
+    assert.deepEqual(batch.parseBatchInput({ csv: 'name,notes\nx,y' }).errors, [
+        `csv header needs a url, suburb or price column (columns: ${Object.keys(batch.INPUT_COLUMNS).join(', ')})`
+    ]);
+    assert.deepEqual(batch.parseBatchInput({}).errors, ['Provide urls (a list of listing URLs) or csv (listings with a header row)']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+const CACHE_MODULE = path.join(__dirname, '..', 'lib', 'cache.js');
+
+// Run a script against the cache in a separate process, as the cache directory is fixed at load time
+function runNode(dir, script) {
+    return execFileSync(process.execPath, ['-e', `const cache = require(${JSON.stringify(CACHE_MODULE)});\n${script}`], {
+        env: { ...process.env, CACHE_DIR: dir },
+        encoding: 'utf8',
+        timeout: 10000
+    }).trim();
+}
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+}
+
+test('cache: entries expire after their TTL; null answers use the negative TTL', () => {
+    const dir = tempDir();
+    const out = runNode(dir, `
+        cache.set('osrm', 'a', { km: 1 }, 20);
+        cache.set('osrm', 'none', null);
+        const before = cache.get('osrm', 'a');
+        setTimeout(() => {
+            const values = [before, cache.get('osrm', 'a'), cache.get('osrm', 'none'), cache.get('osrm', 'missing')];
+            console.log(JSON.stringify(values.map(v => (v === undefined ? 'miss' : v))));
+        }, 50);
+    `);
+    // null is a cached "no result", unlike a miss
+    assert.deepEqual(JSON.parse(out), [{ km: 1 }, 'miss', null, 'miss']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('cache: entries persist across processes, including after SIGTERM', async () => {
+    const dir = tempDir();
+    runNode(dir, "cache.set('nominatim', cache.cacheKey(' Kew  VIC '), { lat: -37.8 });");
+    assert.equal(runNode(dir, "console.log(JSON.stringify(cache.get('nominatim', 'kew vic')))"), '{"lat":-37.8}');
+
+    // A long-running process stopped before the batched write is due
+    const child = spawn(process.execPath, ['-e', `
+        const cache = require(${JSON.stringify(CACHE_MODULE)});
+        cache.set('overpass', 'k', 42);
+        console.log('ready');
+        setInterval(() => {}, 1000);
+    `], { env: { ...process.env, CACHE_DIR: dir } });
+    await new Promise(resolve => child.stdout.once('data', resolve));
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve(signal)));
+    child.kill('SIGTERM');
+    assert.equal(await exited, 'SIGTERM', 'the signal still ends the process');
+    assert.equal(runNode(dir, "console.log(cache.get('overpass', 'k'))"), '42');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
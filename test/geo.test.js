@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineKm, haversineM } = require('../lib/geo');
+
+test('haversine: great-circle distance in km and metres', () => {
+    assert.equal(haversineKm(-37.8, 145, -37.8, 145), 0);
+    // One degree of latitude is about 111.19 km on the mean-radius sphere
+    assert.equal(Math.round(haversineKm(-37, 145, -38, 145) * 100) / 100, 111.19);
+    // Flinders Street to Southern Cross, about 1.2 km
+    const km = haversineKm(-37.8183, 144.9671, -37.8184, 144.9525);
+    assert.ok(km > 1.2 && km < 1.35, `${km} km`);
+    assert.equal(haversineM(-37.8183, 144.9671, -37.8184, 144.9525), km * 1000);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const gtfs = require('../lib/gtfs');
+const feed = require('../lib/gtfs/feed');
+
+const feedDir = path.join(__dirname, 'fixtures', 'gtfs');
+const home = { lat: -37.7180, lon: 145.0067 }; // ~150 m from Reservoir station
+const southernCross = { lat: -37.8190, lon: 144.9530 };
+const collingwood = { lat: -37.8045, lon: 144.9905 };
+
+const { index } = gtfs.loadNetwork(feedDir, { date: '2026-10-20' });
+
+test('feed: keeps the trips running on the service date', () => {
+    const network = feed.loadFeed(feedDir, { date: '2026-10-20' });
+    assert.equal(network.serviceDate, '2026-10-20');
+    assert.deepEqual(network.trips.map(t => t.id).sort(), ['M1', 'M2', 'T1', 'T2']);
+    assert.equal(network.stops.length, 5, 'parent stations are dropped');
+    assert.equal(network.stops.find(s => s.id === 'NTH').name, 'Northcote Station');
+    // Missing times are interpolated between the known ones
+    assert.deepEqual(network.trips.find(t => t.id === 'M2').arr, [8 * 3600 + 20 * 60, 8 * 3600 + 35 * 60, 8 * 3600 + 50 * 60]);
+
+    assert.deepEqual(feed.loadFeed(feedDir, { date: '2026-10-24' }).trips.map(t => t.id), ['M3']);
+    // Melbourne Cup day: calendar_dates.txt removes the weekday service
+    assert.deepEqual(feed.loadFeed(feedDir, { date: '2026-11-03' }).trips, []);
+    assert.equal(feed.defaultServiceDate([{ start_date: '20260101', end_date: '20261231' }], new Date(2026, 9, 17)), '20261019');
+});
+
+test('feed: maps basic and extended route types to modes', () => {
+    assert.deepEqual([0, 1, 2, 3, 4].map(feed.modeOf), ['tram', 'train', 'train', 'bus', 'ferry']);
+    // Extended types: 100-199 railway, 200-299 coach, 400-499 urban rail, 700 bus, 900 tram
+    assert.deepEqual([100, 106, 200, 204, 401, 700, 900, 1000].map(feed.modeOf), ['train', 'train', 'bus', 'bus', 'train', 'bus', 'tram', 'ferry']);
+    assert.equal(feed.modeOf(1700), 'transit');
+});
+
+test('plans a door-to-door journey with walking legs', () => {
+    const result = gtfs.planJourney(index, home, southernCross, { departAfter: gtfs.parseClock('07:50') });
+    const j = result.fastest;
+    assert.equal(j.arrival, '08:31');
+    assert.equal(j.transfers, 0);
+    assert.deepEqual(j.lines, ['train Mernda']);
+    assert.deepEqual(j.legs.map(l => l.mode), ['walk', 'train', 'walk']);
+    assert.deepEqual(j.legs[1], {
+        mode: 'train',
+        line: 'Mernda',
+        headsign: 'Flinders Street',
+        from: 'Reservoir Station Platform 1',
+        to: 'Southern Cross Station',
+        departure: '08:00',
+        arrival: '08:30',
+        stops: 2
+    });
+    // Leaves home in time for the 08:00, not at the requested 07:50
+    assert.equal(j.departure, '07:58');
+    assert.equal(result.text, '34 min by train');
+});
+
+test('transfers between a train and a tram on foot', () => {
+    const j = gtfs.planJourney(index, home, collingwood, { departAfter: gtfs.parseClock('07:50') }).fastest;
+    assert.deepEqual(j.lines, ['train Mernda', 'tram 86']);
+    assert.equal(j.transfers, 1);
+    assert.deepEqual(j.legs.map(l => l.mode), ['walk', 'train', 'walk', 'tram', 'walk']);
+    assert.equal(j.legs[2].from, 'Northcote Station');
+    assert.equal(j.legs[2].to, 'High St/Separation St #11');
+    assert.equal(j.legs[3].departure, '08:15');
+    assert.equal(j.arrival, '08:36');
+});
+
+test('samples a departure window and one query serves several targets', () => {
+    const [city, town] = gtfs.planJourneys(index, home, [southernCross, collingwood], { departAfter: gtfs.parseClock('07:50'), windowMinutes: 30, stepMinutes: 10 });
+    assert.deepEqual(city.journeys.map(j => j.departure), ['07:58', '08:18']);
+    assert.equal(city.fastest.departure, '07:58');
+    // Door to door from 07:50, 08:00 and 08:10: 41, 51 and 41 minutes; from 08:20 the last train is gone
+    assert.equal(city.medianMinutes, 41);
+    assert.ok(town.journeys.length >= 1);
+
+    const none = gtfs.planJourney(index, home, southernCross, { departAfter: gtfs.parseClock('09:00') });
+    assert.deepEqual(none, { journeys: [], fastest: null, medianMinutes: null, text: null });
+});
+
+test('no journey when nothing runs and the walk is too long', () => {
+    // ~3.8 km apart through Reservoir station, after the last train: walking via a stop is not a journey
+    const from = { lat: -37.7167 - 0.017, lon: 145.0067 };
+    const to = { lat: -37.7167 + 0.017, lon: 145.0067 };
+    const result = gtfs.planJourney(index, from, to, { departAfter: gtfs.parseClock('23:00') });
+    assert.deepEqual(result, { journeys: [], fastest: null, medianMinutes: null, text: null });
+});
+
+test('reads a zip of per-mode zips like the PTV feed', () => {
+    const inner = new AdmZip();
+    fs.readdirSync(feedDir).forEach(f => inner.addFile(f, fs.readFileSync(path.join(feedDir, f))));
+    const outer = new AdmZip();
+    outer.addFile('2/google_transit.zip', inner.toBuffer());
+    outer.addFile('3/google_transit.zip', inner.toBuffer());
+    const zipPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-')), 'gtfs.zip');
+    outer.writeZip(zipPath);
+
+    const both = feed.loadFeed(zipPath, { date: '2026-10-20' });
+    assert.deepEqual(both.feeds.map(f => f.name), ['2', '3']);
+    assert.equal(both.trips.length, 8);
+    assert.ok(both.trips.some(t => t.id === '3:M1'), 'ids are prefixed with their folder');
+    assert.deepEqual(feed.loadFeed(zipPath, { date: '2026-10-20', feeds: ['3'] }).feeds.map(f => f.name), ['3']);
+    fs.rmSync(path.dirname(zipPath), { recursive: true });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/json-store');
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    return path.join(dir, 'items.json');
+}
+
+test('json-store: starts from the seed when the file is missing and saves through a rename', () => {
+    const file = tempFile();
+    const store = createJsonStore(file, { seed: [{ id: 'a', name: 'Seeded' }] });
+    assert.deepEqual(store.list().map(i => i.id), ['a']);
+    assert.equal(fs.existsSync(file), false, 'the seed is not written until something changes');
+
+    store.create({ id: 'b', name: 'Added' });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).items.map(i => i.id), ['a', 'b']);
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['items.json'], 'no temp file is left behind');
+});
+
+test('json-store: moves an unreadable file aside instead of overwriting it', () => {
+    const file = tempFile();
+    fs.writeFileSync(file, '{"items": [{"id": "a"', 'utf8');
+    const store = createJsonStore(file, { seed: [{ id: 'seed' }] });
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(store.list().map(i => i.id), ['seed']);
+    } finally {
+        console.error = error;
+    }
+    const aside = fs.readdirSync(path.dirname(file)).filter(f => f.startsWith('items.json.corrupt-'));
+    assert.equal(aside.length, 1);
+    assert.equal(fs.readFileSync(path.join(path.dirname(file), aside[0]), 'utf8'), '{"items": [{"id": "a"');
+});
+
+test('json-store: throws on read errors other than a missing file', () => {
+    const file = tempFile();
+    fs.mkdirSync(file);
+    const store = createJsonStore(file, { seed: [{ id: 'seed' }] });
+    assert.throws(() => store.list(), { code: 'EISDIR' });
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const parsers = require('../lib/parsers');
+const extract = require('../lib/parsers/extract');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'listings', `${name}.html`), 'utf8');
+}
+
+test('domain: reads __NEXT_DATA__ and ignores the ad and similar listings', () => {
+    const url = 'https://www.domain.com.au/12-smith-street-reservoir-vic-3073-2020549940';
+    const { parser, listing, confidence, sources } = parsers.parseListing(fixture('domain-next-data'), url);
+    assert.equal(parser, 'domain');
+    assert.deepEqual(listing, {
+        price: 1150000,
+        suburb: 'Reservoir',
+        bedrooms: 4,
+        bathrooms: 2,
+        garage: 2,
+        propertyType: 'House',
+        garden: 'yes',
+        pool: 'yes',
+        displayAddress: '12 Smith Street, Reservoir VIC 3073'
+    });
+    assert.equal(sources.price, '__NEXT_DATA__');
+    assert.equal(confidence.price, 'high');
+    assert.equal(confidence.pool, 'high');
+});
+
+test('domain: falls back to JSON-LD and does not read a pool from the page text', () => {
+    const url = 'https://www.domain.com.au/3-41-cotham-road-kew-vic-3101-2019000001';
+    const { listing, confidence, sources } = parsers.parseListing(fixture('domain-json-ld'), url);
+    assert.equal(listing.price, 780000);
+    assert.equal(listing.suburb, 'Kew');
+    assert.equal(listing.displayAddress, '3/41 Cotham Road, Kew VIC 3101');
+    assert.equal(listing.bedrooms, 2);
+    assert.equal(listing.bathrooms, 1);
+    assert.equal(listing.propertyType, 'Apartment');
+    assert.equal(sources.bedrooms, 'json-ld');
+    // "Courtyard" is listed with value false; the only pool is the recreation centre's
+    assert.equal(listing.garden, 'unknown');
+    assert.equal(listing.pool, 'unknown');
+    assert.equal(confidence.pool, null);
+    // Parking only appears in the page text
+    assert.equal(listing.garage, 1);
+    assert.equal(confidence.garage, 'low');
+});
+
+test('realestate: reads nested ArgonautExchange state', () => {
+    const url = 'https://www.realestate.com.au/property-house-vic-south+morang-150086368';
+    const { parser, listing, confidence } = parsers.parseListing(fixture('realestate-argonaut'), url);
+    assert.equal(parser, 'realestate');
+    assert.deepEqual(listing, {
+        price: 720000,
+        suburb: 'South Morang',
+        bedrooms: 3,
+        bathrooms: 2,
+        garage: 2,
+        propertyType: 'House',
+        garden: 'yes',
+        pool: 'no',
+        displayAddress: '8 Wilton Vale Road, South Morang, Vic 3752'
+    });
+    assert.equal(confidence.bedrooms, 'high');
+});
+
+test('realestate: without embedded state uses OpenGraph, then heuristics above similar listings', () => {
+    const url = 'https://www.realestate.com.au/property-townhouse-vic-fairfield-150099999';
+    const { listing, confidence, sources } = parsers.parseListing(fixture('realestate-og-only'), url);
+    assert.equal(listing.price, null, 'auction listing has no price; the similar listing\'s is ignored');
+    assert.equal(listing.suburb, 'Fairfield');
+    assert.equal(listing.displayAddress, '15 Park Crescent, Fairfield, Vic 3078');
+    assert.equal(listing.bedrooms, 3);
+    assert.equal(confidence.bedrooms, 'medium');
+    assert.equal(listing.bathrooms, 2);
+    assert.equal(sources.bathrooms, 'heuristics');
+    assert.equal(confidence.bathrooms, 'low');
+    assert.equal(listing.propertyType, 'Townhouse');
+    assert.equal(listing.garden, 'yes');
+    assert.equal(listing.pool, 'unknown');
+});
+
+test('generic parser handles a portal without its own parser', () => {
+    const url = 'https://www.homely.com.au/homes/27-gordon-street-ballarat-east-vic-3350/1234';
+    const { parser, listing, sources } = parsers.parseListing(fixture('homely-json-ld'), url);
+    assert.equal(parser, 'generic');
+    assert.equal(listing.price, 585000);
+    assert.equal(listing.suburb, 'Ballarat East');
+    assert.equal(listing.bedrooms, 4);
+    assert.equal(listing.bathrooms, 2);
+    assert.equal(listing.propertyType, 'House');
+    assert.equal(listing.pool, 'yes');
+    assert.equal(sources.garage, 'opengraph');
+});
+
+test('registry matches subdomains and accepts new parsers', () => {
+    assert.equal(parsers.parserFor('https://domain.com.au/x').id, 'domain');
+    assert.equal(parsers.parserFor('https://m.realestate.com.au/x').id, 'realestate');
+    assert.equal(parsers.parserFor('https://notdomain.com.au/x'), null);
+    assert.equal(parsers.parserFor('https://domain.com.au.evil.example/x'), null);
+
+    parsers.registerParser({
+        id: 'example-agent',
+        hosts: ['example-agent.com.au'],
+        extractors: [() => ({ fields: { price: 999000 }, source: 'agent-api', confidence: 'high' }), extract.heuristics]
+    });
+    const { parser, listing, sources } = parsers.parseListing('<p>$1,000,000 3 Beds</p>', 'https://www.example-agent.com.au/l/1');
+    assert.equal(parser, 'example-agent');
+    assert.equal(listing.price, 999000);
+    assert.equal(sources.price, 'agent-api');
+    assert.equal(listing.bedrooms, 3);
+    assert.throws(() => parsers.registerParser({ id: 'broken' }));
+});
+
+test('isListingUrl: only parser hosts and LISTING_HOSTS are fetched', () => {
+    const env = {};
+    assert.equal(parsers.isListingUrl('https://www.domain.com.au/1-a-st-kew-vic-3101-1', env), true);
+    assert.equal(parsers.isListingUrl('http://www.realestate.com.au/property-house-vic-kew-1', env), true);
+    assert.equal(parsers.isListingUrl('https://www.homely.com.au/homes/x', env), false);
+    assert.equal(parsers.isListingUrl('https://www.homely.com.au/homes/x', { LISTING_HOSTS: 'homely.com.au, allhomes.com.au' }), true);
+    assert.equal(parsers.isListingUrl('ftp://www.domain.com.au/x', env), false);
+    assert.equal(parsers.isListingUrl('not a url', env), false);
+    ['http://localhost:3000/api/admin/providers', 'http://127.0.0.1/', 'http://10.0.0.5/', 'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/', 'https://domain.com.au.evil.example/x', 'https://www.domain.com.au@169.254.169.254/'].forEach(url => {
+        assert.equal(parsers.isListingUrl(url, { LISTING_HOSTS: 'homely.com.au' }), false, url);
+    });
+});
+
+test('suburbFromUrl prefers the longest known suburb at the end of a Domain slug', () => {
+    const known = ['South Morang', 'Morang'];
+    const matchSuburb = name => known.find(k => k.toLowerCase() === name.toLowerCase()) || null;
+    const url = 'https://www.domain.com.au/5-foo-st-south-morang-vic-3752-2020549940';
+    assert.equal(parsers.suburbFromUrl(url, { matchSuburb }), 'South Morang');
+    assert.equal(parsers.suburbFromUrl(url), 'Foo St South Morang');
+    assert.equal(parsers.suburbFromUrl('https://www.realestate.com.au/property-unit-vic-st+kilda-1234'), 'St Kilda');
+    assert.equal(parsers.suburbFromUrl('https://www.homely.com.au/homes/x'), null);
+    // A malformed % escape keeps the raw slug instead of throwing a URIError
+    assert.equal(parsers.suburbFromUrl('https://www.realestate.com.au/property-house-vic-south%ZZmorang-150086368'), 'South%Zzmorang');
+    assert.equal(parsers.suburbFromUrl('not a url'), null);
+});
+
+test('parsePriceText', () => {
+    assert.equal(extract.parsePriceText('$1,150,000 - $1,250,000').price, 1150000);
+    assert.equal(extract.parsePriceText('Price guide $1.2m').price, 1200000);
+    assert.equal(extract.parsePriceText('Offers over $950k').price, 950000);
+    assert.equal(extract.parsePriceText('Contact agent').price, null);
+    assert.equal(extract.parsePriceText('$500 deposit holds').price, null);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProfile } = require('../lib/profiles');
+
+test('validateProfile: money fields accept $ and thousands separators', () => {
+    const { profile, errors } = validateProfile({ budgetMin: '$800,000', budgetMax: ' 1250000 ', deposit: 150000 });
+    assert.deepEqual(errors, []);
+    assert.equal(profile.budgetMin, 800000);
+    assert.equal(profile.budgetMax, 1250000);
+    assert.equal(profile.deposit, 150000);
+});
+
+test('validateProfile: rejects anything but a whole number instead of mangling it', () => {
+    for (const value of ['1.5', '1.4M', '$800k', 'abc', 1.5]) {
+        const { errors } = validateProfile({ budgetMin: value, budgetMax: 2000000 });
+        assert.deepEqual(errors, ['budgetMin must be a non-negative whole number'], String(value));
+    }
+    assert.deepEqual(validateProfile({ minBedrooms: '-1' }).errors, ['minBedrooms must be a non-negative whole number']);
+    assert.deepEqual(validateProfile({ deposit: '100k' }).errors, ['deposit must be a non-negative whole number']);
+    assert.deepEqual(validateProfile({ loanTermYears: '30.5' }).errors, ['loanTermYears must be a whole number of years from 1 to 40']);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { outranks, applyField, describeField, describeProvenance, provenanceCaption } = require('../lib/provenance');
+
+test('outranks: a newer reference quarter wins whatever the source', () => {
+    assert.equal(outranks({ source: 'reiv', quarter: '2025-Q3' }, { source: 'vpsr', quarter: '2025-Q2' }), true);
+    assert.equal(outranks({ source: 'manual', quarter: '2025-Q1' }, { source: 'reiv', quarter: '2025-Q2' }), false);
+    assert.equal(outranks({ source: 'vpsr', quarter: '2025-Q2' }, null), true, 'nothing to replace');
+});
+
+test('outranks: otherwise source rank, then the later retrieval', () => {
+    // Same quarter or a side without one: manual > vpsr > reiv > legacy
+    assert.equal(outranks({ source: 'vpsr', quarter: '2025-Q2' }, { source: 'reiv', quarter: '2025-Q2' }), true);
+    assert.equal(outranks({ source: 'reiv', quarter: '2025-Q2' }, { source: 'vpsr', quarter: '2025-Q2' }), false);
+    assert.equal(outranks({ source: 'vpsr', quarter: '2025-Q3' }, { source: 'manual', quarter: null }), false, 'a manual edit without a quarter stays');
+    assert.equal(outranks({ source: 'reiv' }, { source: 'legacy' }), true);
+    assert.equal(outranks({ source: 'unknown' }, { source: 'legacy' }), false);
+
+    assert.equal(outranks({ source: 'reiv', retrieved: '2025-11-03' }, { source: 'reiv', retrieved: '2025-10-01' }), true);
+    assert.equal(outranks({ source: 'reiv', retrieved: '2025-09-01' }, { source: 'reiv', retrieved: '2025-10-01' }), false);
+});
+
+test('applyField: records provenance and never replaces data with null', () => {
+    const suburb = { medianPrice: 900000 };
+    // An existing value without sources counts as legacy
+    assert.equal(applyField(suburb, 'medianPrice', 950000, { source: 'reiv', retrieved: '2025-11-03', ref: 'https://reiv.com.au/x' }), true);
+    assert.equal(suburb.medianPrice, 950000);
+    assert.deepEqual(suburb.sources.medianPrice, { source: 'reiv', quarter: null, retrieved: '2025-11-03', ref: 'https://reiv.com.au/x' });
+
+    assert.equal(applyField(suburb, 'medianPrice', null, { source: 'manual' }), false);
+    assert.equal(suburb.medianPrice, 950000);
+
+    assert.equal(applyField(suburb, 'medianPrice', 980000, { source: 'vpsr', quarter: '2025-Q2', retrieved: '2025-11-10' }), true);
+    assert.equal(applyField(suburb, 'medianPrice', 970000, { source: 'reiv', retrieved: '2025-12-01' }), false, 'REIV does not replace VPSR');
+    assert.equal(suburb.medianPrice, 980000);
+    assert.deepEqual(suburb.sources.medianPrice, { source: 'vpsr', quarter: '2025-Q2', retrieved: '2025-11-10' });
+});
+
+test('describeField: only an official figure for the current quarter is current', () => {
+    const suburb = {
+        medianPrice: 980000,
+        medianPriceUnit: 610000,
+        salesCount: 40,
+        sources: {
+            medianPrice: { source: 'vpsr', quarter: '2025-Q2', retrieved: '2025-11-10' },
+            medianPriceUnit: { source: 'reiv', quarter: null, retrieved: '2025-11-03' }
+        }
+    };
+    assert.equal(describeField(suburb, 'medianPrice', '2025-Q2').current, true);
+    assert.equal(describeField(suburb, 'medianPrice', '2025-Q3').current, false);
+    assert.equal(describeField(suburb, 'medianPriceUnit', '2025-Q2').current, false);
+    assert.equal(describeField(suburb, 'salesCount', '2025-Q2').source, 'legacy');
+    assert.equal(describeField(suburb, 'annualChange', '2025-Q2'), null);
+    assert.deepEqual(Object.keys(describeProvenance(suburb, '2025-Q2')), ['medianPrice', 'medianPriceUnit', 'salesCount']);
+
+    assert.equal(provenanceCaption(describeField(suburb, 'medianPrice')), 'VPSR 2025-Q2');
+    assert.equal(provenanceCaption(describeField(suburb, 'medianPriceUnit')), 'REIV (scraped), retrieved 2025-11-03');
+    assert.equal(provenanceCaption(describeField(suburb, 'salesCount')), 'Earlier dataset (source not recorded)');
+});
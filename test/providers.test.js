@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const providers = require('../lib/providers');
+const local = require('../lib/providers/local');
+
+const names = set => ({ geocoder: set.geocoder.name, router: set.router.name, poi: set.poi.name });
+
+test('createProviders: remote by default, local with PROVIDERS=local', () => {
+    const remote = providers.createProviders({});
+    assert.deepEqual(names(remote), { geocoder: 'nominatim', router: 'osrm', poi: 'overpass' });
+    assert.equal(remote.geocoder.baseUrl, 'https://nominatim.openstreetmap.org');
+    assert.deepEqual(remote.router.profiles, ['driving'], 'the public OSRM server only routes driving');
+
+    assert.deepEqual(names(providers.createProviders({ PROVIDERS: 'LOCAL' })), { geocoder: 'local', router: 'local', poi: 'local' });
+});
+
+test('createProviders: per-service overrides and self-hosted URLs', () => {
+    const mixed = providers.createProviders({ PROVIDERS: 'remote', GEOCODER: 'local', ROUTER: 'osrm' });
+    assert.deepEqual(names(mixed), { geocoder: 'local', router: 'osrm', poi: 'overpass' });
+    assert.deepEqual(names(providers.createProviders({ PROVIDERS: 'local', POI_SEARCH: 'overpass' })), { geocoder: 'local', router: 'local', poi: 'overpass' });
+
+    const selfHosted = providers.createProviders({
+        NOMINATIM_URL: 'http://nominatim.internal:8080/',
+        OSRM_URL: 'http://osrm.internal:5000//',
+        OSRM_WALKING_URL: 'http://osrm-foot.internal:5000',
+        OVERPASS_URL: 'http://overpass.internal/api/interpreter'
+    });
+    assert.equal(selfHosted.geocoder.baseUrl, 'http://nominatim.internal:8080');
+    assert.deepEqual(selfHosted.router.profiles, ['driving', 'walking']);
+    assert.equal(selfHosted.poi.url, 'http://overpass.internal/api/interpreter');
+});
+
+test('createProviders: unknown choices are configuration errors', () => {
+    assert.throws(() => providers.createProviders({ PROVIDERS: 'offline' }), /PROVIDERS must be remote or local, got 'offline'/);
+    assert.throws(() => providers.createProviders({ ROUTER: 'google' }), /ROUTER must be osrm or local, got 'google'/);
+    assert.throws(() => providers.createProviders({ PROVIDERS: 'local', GEOCODER: 'osrm' }), /GEOCODER must be nominatim or local/);
+});
+
+test('local providers: canned geocodes and straight-line routes without the network', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-test-'));
+    const fixturePath = path.join(dir, 'geocode.json');
+    fs.writeFileSync(fixturePath, JSON.stringify({ '1 Test St, Kew VIC': { lat: -37.8, lon: 145.03, displayName: '1 Test Street, Kew' } }));
+    const { geocoder, router } = providers.createProviders({ PROVIDERS: 'local', LOCAL_GEOCODE_PATH: fixturePath });
+    assert.equal(geocoder.fixturePath, fixturePath);
+    assert.deepEqual(await geocoder.search('  1 test st,  kew vic '), {
+        lat: -37.8, lon: 145.03, displayName: '1 Test Street, Kew', precision: 'address', estimated: false
+    });
+
+    // 0.1 degrees of latitude is about 11.12 km; driving adds 30% at 35 km/h
+    const route = await router.route({ lat: -37.8, lon: 145 }, { lat: -37.9, lon: 145 });
+    assert.deepEqual(route, { distanceKm: 14.46, durationMinutes: 25, estimated: true });
+    assert.equal(await router.route({ lat: -37.8, lon: 145 }, { lat: -37.9, lon: 145 }, { profile: 'boat' }), null);
+    assert.deepEqual(Object.keys(local.ROUTE_PROFILES), router.profiles);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const regions = require('../lib/regions');
+
+// Against the regions in data/regions.json: Carlton and Reservoir are listed under North (Carlton
+// despite its Melbourne municipality), Testville matches Banyule, Geelong Test only has coords
+test('regions: membership by listing, municipality and nearest centre, with counts', () => {
+    regions.setSuburbs({
+        Reservoir: { municipality: 'Darebin' },
+        Carlton: { municipality: 'Melbourne' },
+        Melbourne: { municipality: 'Melbourne', coords: [-37.81, 144.96] },
+        Kew: { municipality: 'Boroondara' },
+        Testville: { municipality: 'banyule' },
+        'Geelong Test': { coords: [-38.14, 144.35] },
+        Nowhere: {}
+    });
+    const byKey = Object.fromEntries(regions.listRegions().map(r => [r.key, r]));
+
+    assert.deepEqual(byKey.north.suburbs, ['Carlton', 'Reservoir']);
+    assert.deepEqual(byKey.north.counts, { listed: 2, municipality: 0, nearest: 0 });
+    assert.deepEqual(byKey.innerCity.suburbs, ['Melbourne']);
+    assert.deepEqual(byKey.northEast.counts, { listed: 0, municipality: 1, nearest: 0 }, 'municipality match ignores case');
+    assert.deepEqual(byKey.geelongBarwon.suburbs, ['Geelong Test']);
+    assert.deepEqual(byKey.geelongBarwon.counts, { listed: 0, municipality: 0, nearest: 1 });
+    assert.deepEqual(byKey.west.suburbs, []);
+
+    assert.deepEqual(regions.unassignedSuburbs(), ['Nowhere']);
+    assert.deepEqual([...regions.metroSuburbs()].sort(), ['Carlton', 'Kew', 'Melbourne', 'Reservoir', 'Testville']);
+    assert.deepEqual([...regions.suburbsInRegion('Geelong & Barwon')], ['Geelong Test']);
+    assert.deepEqual([...regions.suburbsInRegion('EAST')], ['Kew']);
+    assert.equal(regions.suburbsInRegion('Atlantis'), null);
+});
+
+test('regions: setSuburbs re-derives membership', () => {
+    regions.setSuburbs({ Kew: { municipality: 'Boroondara' } });
+    assert.deepEqual([...regions.metroSuburbs()], ['Kew']);
+    regions.setSuburbs({});
+    assert.deepEqual([...regions.metroSuburbs()], []);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../lib/request-scheduler');
+
+const realFetch = global.fetch;
+
+// Stub fetch answering from responder(url, init, callIndex); records each call's URL and start time
+function stubFetch(responder) {
+    const calls = [];
+    global.fetch = async (url, init = {}) => {
+        calls.push({ url, at: Date.now(), body: init.body });
+        const { status = 200, body = 'ok', headers = {}, delayMs = 0 } = responder(url, init, calls.length - 1) || {};
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+        return new Response(body, { status, headers });
+    };
+    return calls;
+}
+
+// Backoff capped at a few milliseconds so retries do not slow the suite
+const FAST = { baseBackoffMs: 5, maxBackoffMs: 20 };
+
+test.afterEach(() => {
+    global.fetch = realFetch;
+});
+
+test('request-scheduler: requests to one host start at least minIntervalMs apart', async () => {
+    scheduler.HOST_POLICIES['spaced.test'] = { concurrency: 1, minIntervalMs: 40 };
+    const calls = stubFetch(() => ({}));
+    const results = await Promise.all([1, 2, 3].map(n => scheduler.request(`https://spaced.test/${n}`)));
+    assert.deepEqual(results.map(r => r.status), [200, 200, 200]);
+    assert.deepEqual(calls.map(c => c.url), ['https://spaced.test/1', 'https://spaced.test/2', 'https://spaced.test/3']);
+    for (let i = 1; i < calls.length; i++) {
+        assert.ok(calls[i].at - calls[i - 1].at >= 38, `gap ${calls[i].at - calls[i - 1].at} ms`);
+    }
+    // Other hosts are not held up by this one's spacing
+    const start = Date.now();
+    await scheduler.request('https://other.test/x');
+    assert.ok(Date.now() - start < 40);
+});
+
+test('request-scheduler: a caller that would wait longer than maxWaitMs is rejected as queued', async () => {
+    scheduler.HOST_POLICIES['slow.test'] = { concurrency: 1, minIntervalMs: 200 };
+    stubFetch(() => ({}));
+    const first = scheduler.request('https://slow.test/1');
+    const err = await scheduler.request('https://slow.test/2', {}, { maxWaitMs: 50 }).catch(e => e);
+    assert.equal(err.busy.state, 'queued');
+    assert.equal(err.busy.host, 'slow.test');
+    assert.ok(err.busy.retryAfterMs >= 1000);
+    assert.equal((await first).status, 200);
+    assert.equal(scheduler.stats().hosts['slow.test'].rejected, 1);
+});
+
+test('request-scheduler: 429 and 503 are retried with backoff', async () => {
+    const calls = stubFetch((url, init, i) => (i < 2 ? { status: i === 0 ? 429 : 503 } : { body: 'done' }));
+    const res = await scheduler.request('https://retry.test/a', {}, FAST);
+    assert.equal(res.status, 200);
+    assert.equal(res.body, 'done');
+    assert.equal(calls.length, 3);
+    assert.ok(calls[1].at - calls[0].at >= 4, 'the retry waits for the backoff');
+    assert.equal(scheduler.stats().hosts['retry.test'].retries, 2);
+});
+
+test('request-scheduler: a host that keeps rate limiting is reported and paused', async () => {
+    const calls = stubFetch(() => ({ status: 429 }));
+    const err = await scheduler.request('https://limited.test/a', {}, { ...FAST, retries: 1 }).catch(e => e);
+    assert.equal(calls.length, 2);
+    assert.equal(err.busy.state, 'rate-limited');
+    const host = scheduler.stats().hosts['limited.test'];
+    assert.equal(host.failures, 1);
+    assert.ok(host.pausedForMs > 0, 'later requests to the host wait out the backoff');
+});
+
+test('request-scheduler: 5xx gateway errors are retried, then returned', async () => {
+    const calls = stubFetch(() => ({ status: 502, body: 'bad gateway' }));
+    const res = await scheduler.request('https://gateway.test/a', {}, { ...FAST, retries: 2 });
+    assert.equal(calls.length, 3);
+    assert.equal(res.status, 502);
+    assert.equal(res.ok, false);
+    // Other errors are the caller's to handle, without retrying
+    const notFound = stubFetch(() => ({ status: 404 }));
+    assert.equal((await scheduler.request('https://gateway.test/missing', {}, FAST)).status, 404);
+    assert.equal(notFound.length, 1);
+});
+
+test('request-scheduler: identical requests in flight share one upstream call', async () => {
+    const calls = stubFetch((url, init) => ({ body: `${url} ${init.body || ''}`, delayMs: 20 }));
+    const [a, b] = await Promise.all([
+        scheduler.request('https://dedupe.test/q?x=1'),
+        scheduler.request('https://dedupe.test/q?x=1')
+    ]);
+    assert.equal(calls.length, 1);
+    assert.equal(a, b);
+    assert.equal(scheduler.stats().hosts['dedupe.test'].deduped, 1);
+
+    // A different body is a different request, and a finished request is not reused
+    await Promise.all([
+        scheduler.request('https://dedupe.test/q', { method: 'POST', body: 'a' }),
+        scheduler.request('https://dedupe.test/q', { method: 'POST', body: 'b' })
+    ]);
+    await scheduler.request('https://dedupe.test/q?x=1');
+    assert.equal(calls.length, 4);
+});
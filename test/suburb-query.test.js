@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSuburbQuery, querySuburbs } = require('../lib/suburb-query');
+
+const suburbs = {
+    Kew: { postcode: '3101', municipality: 'Boroondara', medianPrice: 2500000, annualChange: 3.1, coords: [-37.8, 145.03], transport: { trainStation: null }, walkability: { score: 80 } },
+    Reservoir: { postcode: '3073', municipality: 'Darebin', medianPrice: 920000, medianPriceUnit: 600000, annualChange: -1.2, coords: [-37.72, 145.0], transport: { trainStation: 'Reservoir' }, walkability: { score: 65 } },
+    Preston: { postcode: '3072', municipality: 'Darebin', medianPrice: 1150000, annualChange: 0.5, coords: [-37.74, 145.0], transport: { trainStation: 'Preston' } },
+    Stub: { postcode: '', municipality: '', medianPrice: null, coords: null, transport: {} }
+};
+
+function run(params, options) {
+    const { query, errors } = parseSuburbQuery(params, options);
+    assert.deepEqual(errors, []);
+    return querySuburbs(suburbs, query);
+}
+
+test('parseSuburbQuery: reports every invalid parameter', () => {
+    const { errors } = parseSuburbQuery({
+        minPrice: 'cheap', region: 'nowhere', hasCoords: 'maybe', order: 'sideways', offset: '-1', limit: '0', page: '2'
+    }, { suburbsInRegion: () => null });
+    assert.deepEqual(errors, [
+        'minPrice must be a number',
+        "Unknown region 'nowhere'",
+        'hasCoords must be true or false',
+        'order must be asc or desc',
+        'offset must be a non-negative integer',
+        'limit must be between 1 and 5000'
+    ]);
+    assert.deepEqual(parseSuburbQuery({ page: '2' }).errors, ['page requires limit']);
+    assert.equal(parseSuburbQuery({ page: '3', limit: '10' }).query.offset, 20);
+    assert.deepEqual(parseSuburbQuery({ sort: '-medianPrice' }).query, { ...parseSuburbQuery({}).query, sort: 'medianPrice', order: 'desc' });
+});
+
+test('querySuburbs: range filters drop suburbs without the value', () => {
+    assert.deepEqual(Object.keys(run({ minPrice: '1000000' }).suburbs), ['Kew', 'Preston']);
+    assert.deepEqual(Object.keys(run({ maxPrice: '1000000' }).suburbs), ['Reservoir']);
+    assert.deepEqual(Object.keys(run({ minChange: '0', maxChange: '1' }).suburbs), ['Preston']);
+    assert.deepEqual(Object.keys(run({ minUnitPrice: '1' }).suburbs), ['Reservoir']);
+    assert.deepEqual(Object.keys(run({ minAmenityScore: '70' }).suburbs), ['Kew']);
+});
+
+test('querySuburbs: list, flag, region and name filters', () => {
+    assert.deepEqual(Object.keys(run({ municipality: 'darebin' }).suburbs), ['Reservoir', 'Preston']);
+    assert.deepEqual(Object.keys(run({ postcode: '3101,3072' }).suburbs), ['Kew', 'Preston']);
+    assert.deepEqual(Object.keys(run({ hasTrainStation: 'true' }).suburbs), ['Reservoir', 'Preston']);
+    assert.deepEqual(Object.keys(run({ hasCoords: 'no' }).suburbs), ['Stub']);
+    assert.deepEqual(Object.keys(run({ q: 'RES' }).suburbs), ['Reservoir', 'Preston'], 'matches anywhere in the name, ignoring case');
+    const north = new Set(['Reservoir', 'Preston']);
+    assert.deepEqual(Object.keys(run({ region: 'north', minPrice: '1000000' }, { suburbsInRegion: id => (id === 'north' ? north : null) }).suburbs), ['Preston']);
+});
+
+test('querySuburbs: sorts with missing values last, pages and projects fields', () => {
+    assert.deepEqual(Object.keys(run({ sort: 'medianPrice' }).suburbs), ['Reservoir', 'Preston', 'Kew', 'Stub']);
+    assert.deepEqual(Object.keys(run({ sort: '-medianPrice' }).suburbs), ['Kew', 'Preston', 'Reservoir', 'Stub']);
+    assert.deepEqual(Object.keys(run({ sort: 'name' }).suburbs), ['Kew', 'Preston', 'Reservoir', 'Stub']);
+    assert.deepEqual(Object.keys(run({ sort: 'walkability.score', order: 'desc' }).suburbs), ['Kew', 'Reservoir', 'Preston', 'Stub']);
+
+    const page = run({ sort: 'name', limit: '2', page: '2' });
+    assert.equal(page.total, 4);
+    assert.equal(page.offset, 2);
+    assert.equal(page.limit, 2);
+    assert.deepEqual(Object.keys(page.suburbs), ['Reservoir', 'Stub']);
+
+    const projected = run({ q: 'kew', fields: 'medianPrice,walkability.score,missing' });
+    assert.deepEqual(projected.suburbs, { Kew: { medianPrice: 2500000, walkability: { score: 80 } } });
+});